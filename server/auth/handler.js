@@ -0,0 +1,200 @@
+// Wallet auth endpoint
+// Connect-style middleware serving:
+//   GET  /api/auth/nonce   → { nonce, expiresAt }
+//   POST /api/auth/verify  { message, signature } → { access_token, token_type, expires_at, address }
+//   GET  /api/auth/session (Authorization: Bearer <token>) → { address, expires_at }
+// verify checks a Sign-In With Ethereum message signed by the wallet and issues a
+// Supabase JWT (role "authenticated") carrying the lowercase address as the
+// wallet_address claim, which the row-level security policies compare with user_id.
+
+import { randomBytes, createHash } from 'node:crypto';
+import { verifyEOASignature } from 'thirdweb/auth';
+import { parseSiweMessage, siweMessageProblem } from '../../src/services/siwe.js';
+import { signJwt, verifyJwt } from './jwt.js';
+
+const DEFAULT_OPTIONS = {
+  basePath: '/api/auth',
+  // Lifetime of an issued token
+  tokenTtlSeconds: 60 * 60,
+  // Time a nonce can wait for its signature
+  nonceTtlMs: 5 * 60 * 1000,
+  // Hosts a message may name as its domain (required). Never taken from the request:
+  // a phishing site could otherwise have a wallet sign in for its own host.
+  domains: [],
+  // Browser origin allowed to call the endpoint cross-origin (standalone server)
+  corsOrigin: null
+};
+
+// Allowed SIWE domains from the environment: the host of AUTH_APP_ORIGIN plus the
+// comma-separated AUTH_DOMAINS
+export const authDomainsFromEnv = (env) => {
+  const domains = (env.AUTH_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean);
+  if (env.AUTH_APP_ORIGIN) {
+    domains.unshift(new URL(env.AUTH_APP_ORIGIN).host);
+  }
+  return [...new Set(domains)];
+};
+
+// Largest request body accepted (a SIWE message and signature are well under 4 KB)
+const MAX_BODY_BYTES = 16 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Supabase expects `sub` to be a UUID; derive a stable one from the address
+const walletSubject = (address) => {
+  const hex = createHash('sha1').update(`wallet:${address}`).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch {
+      reject(new HttpError(400, 'Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+};
+
+// Answers every auth request with 503, for servers started without SUPABASE_JWT_SECRET
+export const createUnavailableAuthHandler = (reason, basePath = DEFAULT_OPTIONS.basePath) => (req, res, next) => {
+  if (!(req.url || '').startsWith(`${basePath}/`)) {
+    return next ? next() : sendJson(res, 404, { error: 'Not found' });
+  }
+  sendJson(res, 503, { error: reason });
+};
+
+// Throws when the secret or the allowed domains are missing, so a misconfigured
+// server fails at startup instead of issuing tokens
+export const createAuthHandler = ({ jwtSecret, ...overrides }) => {
+  const options = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+  if (!jwtSecret) {
+    throw new Error('Wallet auth needs SUPABASE_JWT_SECRET');
+  }
+  if (!options.domains?.length) {
+    throw new Error('Wallet auth needs the app domains it signs in for (AUTH_APP_ORIGIN or AUTH_DOMAINS)');
+  }
+  // nonce → expiry time; a nonce is removed when used so a signature cannot be replayed
+  const nonces = new Map();
+
+  const pruneNonces = (now) => {
+    for (const [nonce, expiresAt] of nonces) {
+      if (expiresAt <= now) nonces.delete(nonce);
+    }
+  };
+
+  const issueNonce = () => {
+    const now = Date.now();
+    pruneNonces(now);
+    const nonce = randomBytes(16).toString('hex');
+    const expiresAt = now + options.nonceTtlMs;
+    nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+  };
+
+  const verify = async (req) => {
+    const { message, signature } = await readJson(req);
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      throw new HttpError(400, 'message and signature are required');
+    }
+
+    const now = Date.now();
+    const fields = parseSiweMessage(message);
+    const problem = siweMessageProblem(fields, { domains: options.domains, now });
+    if (problem) throw new HttpError(400, problem);
+
+    const nonceExpiresAt = nonces.get(fields.nonce);
+    nonces.delete(fields.nonce);
+    if (!nonceExpiresAt || nonceExpiresAt <= now) {
+      throw new HttpError(401, 'Unknown or expired nonce');
+    }
+
+    const valid = await verifyEOASignature({ message, signature, address: fields.address }).catch(() => false);
+    if (!valid) throw new HttpError(401, 'Signature does not match the address');
+
+    const address = fields.address.toLowerCase();
+    const iat = Math.floor(now / 1000);
+    const exp = iat + options.tokenTtlSeconds;
+    const accessToken = signJwt({
+      aud: 'authenticated',
+      role: 'authenticated',
+      sub: walletSubject(address),
+      wallet_address: address,
+      chain_id: fields.chainId,
+      iat,
+      exp
+    }, jwtSecret);
+
+    console.log(`🔐 Signed in ${address}`);
+    return { access_token: accessToken, token_type: 'bearer', expires_at: exp, address };
+  };
+
+  const session = (req) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const claims = verifyJwt(token, jwtSecret);
+    if (!claims?.wallet_address) throw new HttpError(401, 'Not signed in');
+    return { address: claims.wallet_address, expires_at: claims.exp };
+  };
+
+  return async (req, res, next) => {
+    const path = (req.url || '').split('?')[0];
+    if (!path.startsWith(`${options.basePath}/`)) {
+      return next ? next() : sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (options.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', options.corsOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      if (req.method === 'OPTIONS') {
+        res.statusCode = 204;
+        return res.end();
+      }
+    }
+
+    try {
+      const route = `${req.method} ${path.slice(options.basePath.length)}`;
+      switch (route) {
+        case 'GET /nonce':
+          return sendJson(res, 200, issueNonce());
+        case 'POST /verify':
+          return sendJson(res, 200, await verify(req));
+        case 'GET /session':
+          return sendJson(res, 200, session(req));
+        default:
+          throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('❌ Wallet auth error:', error);
+      }
+      sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+    }
+  };
+};
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { createThirdwebClient } from 'thirdweb';
+import { privateKeyToAccount } from 'thirdweb/wallets';
+import { createAuthHandler, createUnavailableAuthHandler, authDomainsFromEnv } from './handler.js';
+import { verifyJwt } from './jwt.js';
+import { createSiweMessage } from '../../src/services/siwe.js';
+
+const SECRET = 'test-secret-with-at-least-32-characters';
+const DOMAIN = 'app.example';
+
+// Well-known development keys; signing happens locally, the client id is never used
+const client = createThirdwebClient({ clientId: 'test' });
+const wallet = privateKeyToAccount({
+  client,
+  privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+});
+const otherWallet = privateKeyToAccount({
+  client,
+  privateKey: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+});
+
+// Serve a handler on an ephemeral port; resolves to its base URL and a close function
+const listen = (handler) => new Promise(resolve => {
+  const server = createServer((req, res) => handler(req, res));
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+describe('wallet auth handler', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await listen(createAuthHandler({ jwtSecret: SECRET, domains: [DOMAIN], tokenTtlSeconds: 600 }));
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const call = async (path, { method = 'GET', body, token } = {}) => {
+    const response = await fetch(`${server.url}/api/auth${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const nonce = async () => (await call('/nonce')).body.nonce;
+
+  const message = async (overrides = {}) => createSiweMessage({
+    domain: DOMAIN,
+    address: wallet.address,
+    statement: 'Sign in to NeAR Viewer',
+    uri: `https://${DOMAIN}`,
+    chainId: 1,
+    nonce: await nonce(),
+    ...overrides
+  });
+
+  const verify = async (text, signer = wallet) =>
+    call('/verify', { method: 'POST', body: { message: text, signature: await signer.signMessage({ message: text }) } });
+
+  it('issues nonces', async () => {
+    const { status, body } = await call('/nonce');
+
+    expect(status).toBe(200);
+    expect(body.nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(Date.parse(body.expiresAt)).toBeGreaterThan(Date.now());
+    expect(await nonce()).not.toBe(body.nonce);
+  });
+
+  it('signs in a valid message with a JWT carrying the wallet claim', async () => {
+    const { status, body } = await verify(await message());
+    const address = wallet.address.toLowerCase();
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ token_type: 'bearer', address });
+
+    const claims = verifyJwt(body.access_token, SECRET);
+    expect(claims).toMatchObject({
+      aud: 'authenticated',
+      role: 'authenticated',
+      wallet_address: address,
+      chain_id: 1,
+      exp: body.expires_at
+    });
+    expect(claims.sub).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(claims.exp - claims.iat).toBe(600);
+
+    const session = await call('/session', { token: body.access_token });
+    expect(session).toEqual({ status: 200, body: { address, expires_at: body.expires_at } });
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const text = await message();
+    const signature = await wallet.signMessage({ message: text });
+
+    expect((await call('/verify', { method: 'POST', body: { message: text, signature } })).status).toBe(200);
+    expect(await call('/verify', { method: 'POST', body: { message: text, signature } }))
+      .toEqual({ status: 401, body: { error: 'Unknown or expired nonce' } });
+  });
+
+  it('rejects a nonce the server did not issue', async () => {
+    expect((await verify(await message({ nonce: 'a1b2c3d4e5f6a7b8' }))).status).toBe(401);
+  });
+
+  it('rejects a message for another domain, even when the request names it', async () => {
+    const text = await message({ domain: 'evil.example', uri: 'https://evil.example' });
+    const response = await fetch(`${server.url}/api/auth/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Host: 'evil.example', 'X-Forwarded-Host': 'evil.example' },
+      body: JSON.stringify({ message: text, signature: await wallet.signMessage({ message: text }) })
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Message was created for evil.example' });
+  });
+
+  it('rejects an expired message', async () => {
+    const text = await message({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+
+    expect(await verify(text)).toEqual({ status: 400, body: { error: 'Message has expired' } });
+  });
+
+  it('rejects a message that is not valid yet', async () => {
+    const text = `${await message()}\nNot Before: ${new Date(Date.now() + 60 * 60 * 1000).toISOString()}`;
+
+    expect(await verify(text)).toEqual({ status: 400, body: { error: 'Message is not valid yet' } });
+  });
+
+  it('rejects a message issued in the future', async () => {
+    const text = await message({ issuedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+    expect(await verify(text)).toEqual({ status: 400, body: { error: 'Invalid issue time' } });
+  });
+
+  it('rejects a signature from another wallet', async () => {
+    expect(await verify(await message(), otherWallet))
+      .toEqual({ status: 401, body: { error: 'Signature does not match the address' } });
+  });
+
+  it('rejects a malformed signature', async () => {
+    const text = await message();
+
+    expect((await call('/verify', { method: 'POST', body: { message: text, signature: '0x1234' } })).status).toBe(401);
+  });
+
+  it('rejects malformed messages and bodies', async () => {
+    expect(await verify('Please sign in')).toEqual({ status: 400, body: { error: 'Not a Sign-In With Ethereum message' } });
+
+    // Statement followed by a field instead of a blank line
+    const text = (await message()).replace('Sign in to NeAR Viewer\n\n', 'Sign in to NeAR Viewer\nRequest ID: 1\n');
+    expect((await verify(text)).status).toBe(400);
+
+    expect(await call('/verify', { method: 'POST', body: { message: 'x' } }))
+      .toEqual({ status: 400, body: { error: 'message and signature are required' } });
+
+    const response = await fetch(`${server.url}/api/auth/verify`, { method: 'POST', body: '{not json' });
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects sessions without a valid token', async () => {
+    expect((await call('/session')).status).toBe(401);
+    expect((await call('/session', { token: 'not.a.token' })).status).toBe(401);
+  });
+
+  it('answers 404 for unknown routes', async () => {
+    expect((await call('/unknown')).status).toBe(404);
+  });
+});
+
+describe('createAuthHandler configuration', () => {
+  it('requires the JWT secret and the allowed domains', () => {
+    expect(() => createAuthHandler({ domains: [DOMAIN] })).toThrow('SUPABASE_JWT_SECRET');
+    expect(() => createAuthHandler({ jwtSecret: SECRET })).toThrow('AUTH_APP_ORIGIN or AUTH_DOMAINS');
+    expect(() => createAuthHandler({ jwtSecret: SECRET, domains: [] })).toThrow('AUTH_APP_ORIGIN or AUTH_DOMAINS');
+  });
+
+  it('reads the domains from AUTH_APP_ORIGIN and AUTH_DOMAINS', () => {
+    expect(authDomainsFromEnv({ AUTH_APP_ORIGIN: 'https://app.example:8443', AUTH_DOMAINS: 'a.example, app.example:8443,' }))
+      .toEqual(['app.example:8443', 'a.example']);
+    expect(authDomainsFromEnv({})).toEqual([]);
+  });
+
+  it('answers 503 when wallet auth is unavailable', async () => {
+    const unavailable = await listen(createUnavailableAuthHandler('Wallet auth is not configured'));
+    try {
+      const response = await fetch(`${unavailable.url}/api/auth/nonce`);
+      expect(response.status).toBe(503);
+      expect(await response.json()).toEqual({ error: 'Wallet auth is not configured' });
+    } finally {
+      await unavailable.close();
+    }
+  });
+});
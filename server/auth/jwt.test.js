@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { signJwt, verifyJwt } from './jwt.js';
+
+const SECRET = 'test-secret-with-at-least-32-characters';
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const claims = (overrides = {}) => ({
+  role: 'authenticated',
+  wallet_address: '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266',
+  iat: NOW / 1000,
+  exp: NOW / 1000 + 3600,
+  ...overrides
+});
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('signJwt / verifyJwt', () => {
+  it('round-trips the claims of an HS256 token', () => {
+    const token = signJwt(claims(), SECRET);
+    const [header] = token.split('.');
+
+    expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(verifyJwt(token, SECRET, NOW)).toEqual(claims());
+  });
+
+  it('rejects a token signed with another secret', () => {
+    expect(verifyJwt(signJwt(claims(), 'another-secret'), SECRET, NOW)).toBeNull();
+  });
+
+  it('rejects a token whose claims were changed after signing', () => {
+    const [header, , signature] = signJwt(claims(), SECRET).split('.');
+    const forged = `${header}.${segment(claims({ wallet_address: '0x0000000000000000000000000000000000000001' }))}.${signature}`;
+
+    expect(verifyJwt(forged, SECRET, NOW)).toBeNull();
+  });
+
+  it('rejects a token whose signature was truncated or removed', () => {
+    const token = signJwt(claims(), SECRET);
+
+    expect(verifyJwt(token.slice(0, -2), SECRET, NOW)).toBeNull();
+    expect(verifyJwt(token.slice(0, token.lastIndexOf('.') + 1), SECRET, NOW)).toBeNull();
+  });
+
+  it('rejects a header naming another algorithm', () => {
+    const input = `${segment({ alg: 'none', typ: 'JWT' })}.${segment(claims())}`;
+    const [, , signature] = signJwt(claims(), SECRET).split('.');
+
+    expect(verifyJwt(`${input}.`, SECRET, NOW)).toBeNull();
+    expect(verifyJwt(`${input}.${signature}`, SECRET, NOW)).toBeNull();
+  });
+
+  it('rejects expired tokens and tokens without an expiry', () => {
+    const token = signJwt(claims(), SECRET);
+
+    expect(verifyJwt(token, SECRET, NOW + 3599 * 1000)).not.toBeNull();
+    expect(verifyJwt(token, SECRET, NOW + 3600 * 1000)).toBeNull();
+    expect(verifyJwt(signJwt(claims({ exp: undefined }), SECRET), SECRET, NOW)).toBeNull();
+  });
+
+  it('rejects values that are not tokens', () => {
+    expect(verifyJwt(undefined, SECRET, NOW)).toBeNull();
+    expect(verifyJwt('', SECRET, NOW)).toBeNull();
+    expect(verifyJwt('a.b', SECRET, NOW)).toBeNull();
+    expect(verifyJwt('a.b.c.d', SECRET, NOW)).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+// Serves the wallet auth endpoint from the Vite dev and preview servers, so
+// `pnpm dev` signs wallets in without a separate backend. Without
+// SUPABASE_JWT_SECRET the endpoint answers 503; with it, the allowed domains are
+// required and a missing list stops the server from starting.
+
+import { createAuthHandler, createUnavailableAuthHandler } from './handler.js';
+
+export const walletAuthPlugin = (options) => {
+  // Created on server start, so `vite build` does not need the auth settings
+  const mount = (server) => {
+    const handler = options.jwtSecret
+      ? createAuthHandler(options)
+      : createUnavailableAuthHandler('SUPABASE_JWT_SECRET is not set; wallet sign-in is unavailable');
+    server.middlewares.use(handler);
+  };
+
+  return {
+    name: 'wallet-auth',
+    configureServer: mount,
+    configurePreviewServer: mount
+  };
+};
@@ -0,0 +1,28 @@
+// Standalone wallet auth endpoint for tests, or for serving a production build
+// whose static host cannot run the Vite middleware:
+//   SUPABASE_JWT_SECRET=… AUTH_APP_ORIGIN=http://localhost:5173 node server/authServer.js
+// Point the app at it with VITE_AUTH_URL=http://localhost:8787/api/auth. Messages must
+// name the host of AUTH_APP_ORIGIN (or one in AUTH_DOMAINS), and only that origin
+// may call the endpoint from a browser unless AUTH_CORS_ORIGIN says otherwise.
+
+import { createServer } from 'node:http';
+import { createAuthHandler, authDomainsFromEnv } from './auth/handler.js';
+
+const port = parseInt(process.env.AUTH_PORT, 10) || 8787;
+
+let handler;
+try {
+  handler = createAuthHandler({
+    jwtSecret: process.env.SUPABASE_JWT_SECRET,
+    tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL, 10) || undefined,
+    domains: authDomainsFromEnv(process.env),
+    corsOrigin: process.env.AUTH_CORS_ORIGIN || process.env.AUTH_APP_ORIGIN
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+createServer((req, res) => handler(req, res)).listen(port, () => {
+  console.log(`🔐 Wallet auth listening on http://localhost:${port}/api/auth`);
+});
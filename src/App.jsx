@@ -1,6 +1,7 @@
 import React from 'react';
 import ARViewer from './components/ARViewer';
 import ThirdWebProviderWrapper from './providers/ThirdWebProvider';
+import { Toaster } from '@/components/ui/sonner';
 import './App.css';
 
 function App() {
@@ -8,6 +9,7 @@ function App() {
     <ThirdWebProviderWrapper>
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
         <ARViewer />
+        <Toaster position="top-center" theme="dark" />
       </div>
     </ThirdWebProviderWrapper>
   );
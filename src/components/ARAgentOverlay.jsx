@@ -11,9 +11,15 @@ import {
   Gamepad2,
   Wrench
 } from 'lucide-react';
+import { ALTITUDE_DATUM, altitudeIn, heightDifference } from '../services/geoid';
+import { lookAngles } from '../services/geodesy';
+
+// Ground distance mapped to the edge of the overlay (40% from center)
+const VIEW_RADIUS_METERS = 100;
 
 const ARAgentOverlay = ({ 
   agents = [], 
+  nearbyCount = null,
   onAgentClick, 
   userLocation,
   cameraViewSize = { width: 1280, height: 720 }
@@ -44,6 +50,12 @@ const ARAgentOverlay = ({
     return colors[agentType] || 'from-blue-500 to-purple-500';
   };
 
+  // Marker size from the object's horizontal scale, kept within a tappable range
+  const markerScale = (agent) => {
+    const scale = ((agent.scale_x || 1) + (agent.scale_z || 1)) / 2;
+    return Math.max(0.6, Math.min(1.8, scale));
+  };
+
   // Calculate agent position on screen based on GPS coordinates
   const calculateAgentPosition = (agent, userLoc) => {
     if (!userLoc || !agent.latitude || !agent.longitude) {
@@ -69,19 +81,23 @@ const ARAgentOverlay = ({
       return {
         x: Math.max(10, Math.min(90, baseX + randomX)),
         y: Math.max(10, Math.min(90, baseY + randomY)),
-        distance: agent.distance_meters || (Math.random() * 100 + 10)
+        distance: agent.distance_meters || (Math.random() * 100 + 10),
+        heightDifference: heightDifference(userLoc, agent)
       };
     }
 
-    // GPS-based positioning with improved scaling
-    const latDiff = agent.latitude - userLoc.latitude;
-    const lonDiff = agent.longitude - userLoc.longitude;
+    // GPS-based positioning in the user's local east/north/up frame.
+    // Heights are compared on the ellipsoid; without both, the agent is placed at the user's height.
+    const userHeight = altitudeIn(userLoc, ALTITUDE_DATUM.ELLIPSOID);
+    const agentHeight = altitudeIn(agent, ALTITUDE_DATUM.ELLIPSOID);
+    const hasHeights = userHeight !== null && agentHeight !== null;
+    const look = lookAngles(
+      { latitude: userLoc.latitude, longitude: userLoc.longitude, altitude: hasHeights ? userHeight : 0 },
+      { latitude: agent.latitude, longitude: agent.longitude, altitude: hasHeights ? agentHeight : 0 }
+    );
     
-    // Better scaling for GPS coordinates to screen positions
-    const scaleFactor = 5000; // Adjusted for better distribution
-    
-    let x = 50 + (lonDiff * scaleFactor);
-    let y = 50 - (latDiff * scaleFactor); // Invert Y for screen coordinates
+    let x = 50 + (look.east / VIEW_RADIUS_METERS) * 40;
+    let y = 50 - (look.north / VIEW_RADIUS_METERS) * 40; // Invert Y for screen coordinates
     
     // Ensure agents stay within visible camera bounds
     x = Math.max(10, Math.min(90, x));
@@ -90,8 +106,10 @@ const ARAgentOverlay = ({
     return {
       x,
       y,
-      distance: agent.distance_meters || 
-        Math.sqrt(Math.pow(latDiff * 111000, 2) + Math.pow(lonDiff * 111000, 2))
+      distance: hasHeights ? look.slantRange : look.horizontalDistance,
+      bearing: look.azimuth,
+      elevation: hasHeights ? look.elevation : null,
+      heightDifference: heightDifference(userLoc, agent)
     };
   };
 
@@ -117,9 +135,9 @@ const ARAgentOverlay = ({
     console.log(`👁️ Visible agents set: ${limitedAgents.length}`, limitedAgents);
   }, [agents, userLocation]);
 
-  // Handle agent click
+  // Handle agent click (deploy previews are not real agents yet)
   const handleAgentClick = (agent) => {
-    if (onAgentClick) {
+    if (onAgentClick && !agent.is_preview) {
       onAgentClick(agent);
     }
   };
@@ -133,7 +151,7 @@ const ARAgentOverlay = ({
         return (
           <div
             key={agent.id}
-            className="absolute pointer-events-auto transform -translate-x-1/2 -translate-y-1/2 animate-pulse"
+            className={`absolute pointer-events-auto transform -translate-x-1/2 -translate-y-1/2 ${agent.is_preview ? '' : 'animate-pulse'}`}
             style={{
               left: `${agent.position.x}%`,
               top: `${agent.position.y}%`,
@@ -145,14 +163,27 @@ const ARAgentOverlay = ({
               onClick={() => handleAgentClick(agent)}
               className="relative cursor-pointer group"
             >
-              {/* Pulsing Ring */}
-              <div className={`absolute inset-0 w-16 h-16 bg-gradient-to-r ${colorClass} rounded-full opacity-30 animate-ping`}></div>
-              
-              {/* Main Agent Circle */}
-              <div className={`relative w-12 h-12 bg-gradient-to-r ${colorClass} rounded-full flex items-center justify-center shadow-lg border-2 border-white/50 hover:scale-110 transition-transform duration-200`}>
-                <IconComponent className="w-6 h-6 text-white" />
+              {/* Marker sized by the object's scale and turned by its heading (rotation_y) */}
+              <div style={{ transform: `scale(${markerScale(agent)})` }}>
+                {/* Pulsing Ring */}
+                {!agent.is_preview && (
+                  <div className={`absolute inset-0 w-16 h-16 bg-gradient-to-r ${colorClass} rounded-full opacity-30 animate-ping`}></div>
+                )}
+
+                {/* Main Agent Circle; a dashed outline marks a placement preview */}
+                <div className={`relative w-12 h-12 bg-gradient-to-r ${colorClass} rounded-full flex items-center justify-center shadow-lg border-2 ${
+                  agent.is_preview ? 'border-dashed border-white opacity-70' : 'border-white/50'
+                } hover:scale-110 transition-transform duration-200`}>
+                  <IconComponent className="w-6 h-6 text-white" style={{ transform: `rotate(${agent.rotation_y || 0}deg)` }} />
+                </div>
               </div>
 
+              {agent.is_preview && (
+                <div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-1">
+                  <Badge className="bg-purple-500/90 text-white text-xs">Preview</Badge>
+                </div>
+              )}
+
               {/* Distance Badge */}
               <div className="absolute -top-2 -right-2">
                 <Badge className="bg-black/70 text-white text-xs px-1 py-0.5">
@@ -168,8 +199,18 @@ const ARAgentOverlay = ({
                 <div className="bg-black/90 backdrop-blur-sm rounded-lg p-3 min-w-48 shadow-xl border border-white/20">
                   <div className="text-center">
                     <h4 className="text-white font-semibold text-sm mb-1">{agent.name}</h4>
-                    <p className="text-purple-200 text-xs mb-2">{agent.agent_type}</p>
+                    <p className="text-purple-200 text-xs mb-2">
+                      {agent.agent_type || agent.object_type}
+                      {agent.position_source === 'precise' && ' • RTK placed'}
+                    </p>
                     <p className="text-slate-300 text-xs mb-3 line-clamp-2">{agent.description}</p>
+                    {agent.position.heightDifference !== null && (
+                      <p className="text-slate-400 text-xs mb-2">
+                        {Math.abs(agent.position.heightDifference) < 1
+                          ? 'At your level'
+                          : `${Math.abs(Math.round(agent.position.heightDifference))}m ${agent.position.heightDifference > 0 ? 'above' : 'below'} you`}
+                      </p>
+                    )}
                     
                     <div className="flex items-center justify-center space-x-4 text-xs">
                       <div className="flex items-center space-x-1 text-green-400">
@@ -189,12 +230,14 @@ const ARAgentOverlay = ({
               </div>
 
               {/* Interaction Hint */}
-              <div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                <div className="bg-purple-500/90 backdrop-blur-sm rounded-full px-2 py-1 flex items-center space-x-1">
-                  <MessageCircle className="w-3 h-3 text-white" />
-                  <span className="text-white text-xs font-medium">Tap to chat</span>
+              {!agent.is_preview && (
+                <div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                  <div className="bg-purple-500/90 backdrop-blur-sm rounded-full px-2 py-1 flex items-center space-x-1">
+                    <MessageCircle className="w-3 h-3 text-white" />
+                    <span className="text-white text-xs font-medium">Tap to chat</span>
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         );
@@ -211,18 +254,22 @@ const ARAgentOverlay = ({
       )}
 
       {/* No Agents Message */}
-      {visibleAgents.length === 0 && agents.length === 0 && (
+      {visibleAgents.length === 0 && agents.length === 0 && nearbyCount !== null && (
         <div className="absolute bottom-20 left-1/2 transform -translate-x-1/2 pointer-events-auto">
           <div className="bg-black/70 backdrop-blur-sm rounded-lg p-4 text-center">
             <Bot className="w-8 h-8 text-slate-400 mx-auto mb-2" />
-            <p className="text-white text-sm font-medium">No agents nearby</p>
-            <p className="text-slate-400 text-xs">Move around to discover NEAR agents</p>
+            <p className="text-white text-sm font-medium">
+              {nearbyCount > 0 ? `${nearbyCount} agent${nearbyCount !== 1 ? 's' : ''} out of range` : 'No agents nearby'}
+            </p>
+            <p className="text-slate-400 text-xs">
+              {nearbyCount > 0 ? 'Walk closer to reveal them' : 'Move around to discover NEAR agents'}
+            </p>
           </div>
         </div>
       )}
 
       {/* Loading State */}
-      {agents.length === 0 && (
+      {agents.length === 0 && nearbyCount === null && (
         <div className="absolute bottom-20 left-1/2 transform -translate-x-1/2 pointer-events-auto">
           <div className="bg-black/70 backdrop-blur-sm rounded-lg p-4 text-center">
             <div className="w-6 h-6 border-2 border-purple-400 border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
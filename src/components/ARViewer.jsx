@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -16,22 +16,75 @@ import {
   Pause,
   RotateCcw,
   Satellite,
-  Wallet
+  Wallet,
+  Navigation,
+  PlusCircle,
+  UserCog
 } from 'lucide-react';
-import { useDatabase } from '../hooks/useDatabase';
+import { useMatch, useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { useDatabase, applyObjectChange } from '../hooks/useDatabase';
+import { useGeofence } from '../hooks/useGeofence';
+import { useWalletAuth } from '../hooks/useWalletAuth';
 import CameraView from './CameraView';
 import ThirdWebWalletConnect from './ThirdWebWalletConnect';
+import SimulatedLocationPanel from './SimulatedLocationPanel';
+import RTKMountpointPanel from './RTKMountpointPanel';
+import LocationPrivacyPanel from './LocationPrivacyPanel';
+import DataDiagnosticsPanel from './DataDiagnosticsPanel';
+import DeployAgentPanel from './DeployAgentPanel';
+import MyAgentsPanel from './MyAgentsPanel';
+import LocationOnboarding from './LocationOnboarding';
+import LocationPickerMap from './LocationPickerMap';
 import rtkLocationService from '../services/rtkLocation';
+import interactionEventService, { INTERACTION_EVENT } from '../services/interactionEvents';
+import locationPermissionService, { PERMISSION_STATE } from '../services/locationPermission';
+import { FIX_QUALITY, FIX_QUALITY_LABELS } from '../services/fixQuality';
+import { ALTITUDE_DATUM, ALTITUDE_DATUM_LABELS, altitudeIn } from '../services/geoid';
+import { surfaceDistance } from '../services/geodesy';
+
+// Badge colours per fix quality
+const FIX_QUALITY_BADGE_CLASSES = {
+  [FIX_QUALITY.NO_FIX]: 'bg-red-500/20 border-red-500 text-red-300',
+  [FIX_QUALITY.SINGLE]: 'bg-slate-500/20 border-slate-400 text-slate-200',
+  [FIX_QUALITY.DGPS]: 'bg-blue-500/20 border-blue-500 text-blue-300',
+  [FIX_QUALITY.RTK_FLOAT]: 'bg-yellow-500/20 border-yellow-500 text-yellow-300',
+  [FIX_QUALITY.RTK_FIXED]: 'bg-green-500/20 border-green-500 text-green-300'
+};
+
+// Search radius for nearby agents (meters)
+const NEARBY_RADIUS_METERS = 100;
+// Moving this far from where nearby agents were last queried queries again
+const NEARBY_REQUERY_DISTANCE_METERS = NEARBY_RADIUS_METERS / 2;
+// Most agents loaded at once; raise VITE_NEARBY_LIMIT to stress-test the overlay
+const NEARBY_LIMIT = parseInt(import.meta.env.VITE_NEARBY_LIMIT, 10) || 10;
 
 const ARViewer = () => {
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationError, setLocationError] = useState(null);
+  const [permission, setPermission] = useState(locationPermissionService.getState());
+  const [needsLocation, setNeedsLocation] = useState(false);
+  const [isRequestingLocation, setIsRequestingLocation] = useState(false);
+  const [pickedLocation, setPickedLocation] = useState(null);
   const [initializationStep, setInitializationStep] = useState(0);
   const [isInitialized, setIsInitialized] = useState(false);
   const [nearbyObjects, setNearbyObjects] = useState([]);
+  const [linkedAgent, setLinkedAgent] = useState(null);
+  // Agent being deployed, shown in the camera overlay before it is confirmed
+  const [deployPreview, setDeployPreview] = useState(null);
   const [cameraActive, setCameraActive] = useState(false);
   const [selectedTab, setSelectedTab] = useState('viewer');
-  const [rtkStatus, setRtkStatus] = useState({ isRTKEnhanced: false, source: 'Standard GPS' });
+  const [rtkStatus, setRtkStatus] = useState({
+    isRTKEnhanced: false,
+    source: 'Standard GPS',
+    fixQuality: FIX_QUALITY.NO_FIX,
+    correctionAge: null,
+    correctionsAvailable: false,
+    satellitesUsed: null,
+    hdop: null,
+    vdop: null,
+    baselineDistance: null
+  });
   const [walletConnection, setWalletConnection] = useState({
     isConnected: false,
     address: null,
@@ -42,57 +95,172 @@ const ARViewer = () => {
     isLoading, 
     error: dbError, 
     connectionStatus, 
+    realtimeStatus,
+    dataSource,
+    cachedAt,
     getNearbyObjects, 
+    getObjectById,
+    subscribeToObjectChanges,
+    createObject,
+    updateObject,
+    deleteObject,
+    listObjectsByOwner,
+    canWrite,
+    writeNeedsSignIn,
     refreshConnection 
   } = useDatabase();
+  const { isSignedIn } = useWalletAuth();
+  // The database only accepts changes from a wallet that proved it owns the address
+  const signInRequired = writeNeedsSignIn && !isSignedIn;
+
+  // Agents are only shown inside their visibility_radius
+  const { insideIds, visibleObjects, getFenceState } = useGeofence(nearbyObjects, currentLocation, {
+    enabled: isInitialized
+  });
+
+  // Deep link: /agent/:agentId opens that agent's interaction modal
+  const agentMatch = useMatch('/agent/:agentId');
+  const linkedAgentId = agentMatch?.params.agentId || null;
+  const navigate = useNavigate();
 
   const isMountedRef = useRef(true);
+  // Latest fix for callbacks that outlive a render (realtime merges)
+  const locationRef = useRef(null);
+  // Location of the latest nearby query; older responses are dropped
+  const nearbyQueryLocationRef = useRef(null);
+  const walletRef = useRef(null);
+
+  // Altitude above mean sea level when the geoid is available, else in the fix's own datum
+  const formatAltitude = (location) => {
+    const orthometric = altitudeIn(location, ALTITUDE_DATUM.EGM96);
+    if (orthometric !== null) return `${orthometric.toFixed(1)}m ${ALTITUDE_DATUM_LABELS[ALTITUDE_DATUM.EGM96]}`;
+    if (location.altitude === null || location.altitude === undefined) return '—';
+    return `${location.altitude.toFixed(1)}m ${ALTITUDE_DATUM_LABELS[location.altitudeDatum] || ''}`.trim();
+  };
+
+  // Store a location fix and its RTK status
+  const applyLocation = (location) => {
+    setCurrentLocation(location);
+    setLocationError(null);
+    setRtkStatus({
+      isRTKEnhanced: location.isRTKEnhanced || false,
+      source: location.source || 'Standard GPS',
+      accuracy: location.accuracy,
+      altitude: location.altitude,
+      altitudeDatum: location.altitudeDatum || null,
+      fixQuality: location.fixQuality || FIX_QUALITY.NO_FIX,
+      correctionAge: location.correctionAge ?? null,
+      correctionsAvailable: location.correctionsAvailable || false,
+      satellitesUsed: location.satellitesUsed ?? null,
+      hdop: location.hdop ?? null,
+      vdop: location.vdop ?? null,
+      baselineDistance: location.baselineDistance ?? null
+    });
+  };
 
-  // Initialize RTK-enhanced location services
-  const initializeLocation = async () => {
+  // Initialize RTK-enhanced location services; resolves to null when the user has to act
+  const initializeLocation = async ({ permissionChecked = false } = {}) => {
     try {
       setInitializationStep(1);
       console.log('📍 Requesting RTK-enhanced location...');
 
+      // ?sim= / ?simTrack= switch to the simulated provider before the first fix
+      let isSimulating = rtkLocationService.isSimulated() || rtkLocationService.isManual();
+      try {
+        isSimulating = (await rtkLocationService.applySimulationFromUrl()) || isSimulating;
+      } catch (simError) {
+        console.error('❌ Location simulation error:', simError);
+      }
+
+      // Anything short of granted goes to the onboarding / recovery screen first
+      if (!isSimulating && !permissionChecked) {
+        const state = await locationPermissionService.check();
+        if (state !== PERMISSION_STATE.GRANTED) {
+          return null;
+        }
+      }
+
       // Use RTK location service for enhanced accuracy
       const location = await rtkLocationService.getEnhancedLocation();
+      if (!location.isSimulated && !location.isManual) {
+        locationPermissionService.reportSuccess();
+      }
       
-      setCurrentLocation(location);
-      setLocationError(null);
-      setRtkStatus({
-        isRTKEnhanced: location.isRTKEnhanced || false,
-        source: location.source || 'Standard GPS',
-        accuracy: location.accuracy,
-        altitude: location.altitude
-      });
+      applyLocation(location);
       
       console.log('✅ RTK Location acquired:', location);
       return location;
     } catch (error) {
       console.error('❌ RTK Location error:', error);
       setLocationError(error.message);
-      
-      // Use fallback location (San Francisco) as last resort
-      const fallbackLocation = {
-        latitude: 37.7749,
-        longitude: -122.4194,
-        altitude: 52.0,
-        accuracy: 1000,
-        timestamp: Date.now(),
-        isFallback: true,
-        source: 'Fallback Location'
-      };
-      
-      setCurrentLocation(fallbackLocation);
-      setRtkStatus({
-        isRTKEnhanced: false,
-        source: 'Fallback Location',
-        accuracy: 1000,
-        altitude: 52.0
-      });
-      
-      console.log('🔄 Using fallback location:', fallbackLocation);
-      return fallbackLocation;
+      locationPermissionService.reportError(error);
+
+      // Dev builds can continue on a configured simulated start point
+      const simLatitude = parseFloat(import.meta.env.VITE_SIM_LATITUDE);
+      const simLongitude = parseFloat(import.meta.env.VITE_SIM_LONGITUDE);
+      if (import.meta.env.DEV && Number.isFinite(simLatitude) && Number.isFinite(simLongitude)) {
+        const provider = rtkLocationService.useSimulatedLocation();
+        if (!provider.getCurrentPoint()) {
+          provider.teleport(simLatitude, simLongitude);
+        }
+        const simulatedLocation = await rtkLocationService.getEnhancedLocation();
+        applyLocation(simulatedLocation);
+        setLocationError(error.message);
+        console.log('🧪 Using simulated location:', simulatedLocation);
+        return simulatedLocation;
+      }
+
+      // No guessed position: the user chooses how to continue
+      return null;
+    }
+  };
+
+  // Retry device location from the recovery screen
+  const handleRequestLocation = async () => {
+    setIsRequestingLocation(true);
+    try {
+      const state = await locationPermissionService.request();
+      const location = state === PERMISSION_STATE.GRANTED
+        ? await initializeLocation({ permissionChecked: true })
+        : null;
+      if (location) {
+        setNeedsLocation(false);
+        await completeInitialization(location);
+      }
+    } finally {
+      setIsRequestingLocation(false);
+    }
+  };
+
+  // Make a typed or map-picked position the active location source
+  const handleManualLocation = async (latitude, longitude) => {
+    try {
+      rtkLocationService.useManualLocation(latitude, longitude);
+      const location = await rtkLocationService.getEnhancedLocation();
+      applyLocation(location);
+      setPickedLocation(null);
+
+      if (needsLocation) {
+        setNeedsLocation(false);
+        await completeInitialization(location);
+      } else {
+        await loadNearbyObjects(location);
+      }
+    } catch (error) {
+      console.error('❌ Manual location error:', error);
+      setLocationError(error.message);
+    }
+  };
+
+  // Leave the manual position and go back to device GPS
+  const handleUseDeviceLocation = async () => {
+    rtkLocationService.useDeviceLocation();
+    const location = await initializeLocation();
+    if (location) {
+      await loadNearbyObjects(location);
+    } else {
+      setIsInitialized(false);
+      setNeedsLocation(true);
     }
   };
 
@@ -124,7 +292,10 @@ const ARViewer = () => {
   };
 
   // Load nearby objects
-  const loadNearbyObjects = async (location) => {
+  const loadNearbyObjects = useCallback(async (location, { forceRefresh = false } = {}) => {
+    nearbyQueryLocationRef.current = location;
+    const isLatest = () => isMountedRef.current && nearbyQueryLocationRef.current === location;
+
     try {
       setInitializationStep(3);
       console.log('🔍 Loading nearby objects...');
@@ -132,19 +303,26 @@ const ARViewer = () => {
       const objects = await getNearbyObjects({
         latitude: location.latitude,
         longitude: location.longitude,
-        radius_meters: 100,
-        limit: 10
+        radius_meters: NEARBY_RADIUS_METERS,
+        limit: NEARBY_LIMIT
+      }, {
+        forceRefresh,
+        // Cached results are shown first; swap in the refetched list when it arrives
+        onRevalidate: (fresh) => {
+          if (isLatest()) setNearbyObjects(fresh);
+        }
       });
 
+      if (!isLatest()) return objects;
       setNearbyObjects(objects || []);
       console.log(`✅ Loaded ${objects?.length || 0} nearby objects`);
       return objects;
     } catch (error) {
       console.error('❌ Error loading objects:', error);
-      setNearbyObjects([]);
+      if (isLatest()) setNearbyObjects([]);
       return [];
     }
-  };
+  }, [getNearbyObjects]);
 
   // Full initialization sequence
   const initializeApp = async () => {
@@ -157,6 +335,23 @@ const ARViewer = () => {
       const location = await initializeLocation();
       if (!isMountedRef.current) return;
 
+      if (!location) {
+        setNeedsLocation(true);
+        return;
+      }
+
+      await completeInitialization(location);
+    } catch (error) {
+      console.error('❌ Initialization error:', error);
+      if (isMountedRef.current) {
+        setIsInitialized(true); // Allow app to continue with fallbacks
+      }
+    }
+  };
+
+  // Remaining initialization once a location is known
+  const completeInitialization = async (location) => {
+    try {
       await new Promise(resolve => setTimeout(resolve, 1000));
 
       // Step 2: Camera
@@ -201,6 +396,149 @@ const ARViewer = () => {
     };
   }, []);
 
+  // Mirror the permission state machine
+  useEffect(() => locationPermissionService.subscribe(setPermission), []);
+
+  // Follow the user's position once initialization is done
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const unsubscribePosition = rtkLocationService.subscribe('position', applyLocation);
+    const unsubscribeError = rtkLocationService.subscribe('error', (error) => {
+      setLocationError(error.message);
+      locationPermissionService.reportError(error);
+    });
+
+    return () => {
+      unsubscribePosition();
+      unsubscribeError();
+    };
+  }, [isInitialized]);
+
+  useEffect(() => {
+    locationRef.current = currentLocation;
+  }, [currentLocation]);
+
+  // Query again once the user leaves the area nearby agents were last loaded for
+  useEffect(() => {
+    const queried = nearbyQueryLocationRef.current;
+    if (!isInitialized || !currentLocation || !queried) return;
+
+    if (surfaceDistance(queried, currentLocation) > NEARBY_REQUERY_DISTANCE_METERS) {
+      loadNearbyObjects(currentLocation);
+    }
+  }, [isInitialized, currentLocation, loadNearbyObjects]);
+
+  useEffect(() => {
+    walletRef.current = walletConnection.address || null;
+  }, [walletConnection.address]);
+
+  // Interaction events go to the agent_interactions log; the service coarsens the location
+  const trackInteraction = useCallback((agent, type, data) => {
+    interactionEventService.track(type, agent, {
+      wallet: walletRef.current,
+      location: locationRef.current,
+      data
+    });
+  }, []);
+
+  // Agents on screen in the camera view count as viewed; repeat views are throttled by the service
+  useEffect(() => {
+    if (selectedTab !== 'viewer' || !cameraActive) return;
+    visibleObjects.forEach(agent => trackInteraction(agent, INTERACTION_EVENT.VIEW));
+  }, [selectedTab, cameraActive, visibleObjects, trackInteraction]);
+
+  // Merge agents deployed, moved or deactivated elsewhere without reloading the list
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    return subscribeToObjectChanges((change) => {
+      setNearbyObjects(prev => applyObjectChange(prev, change, locationRef.current, NEARBY_RADIUS_METERS));
+    });
+  }, [isInitialized, subscribeToObjectChanges]);
+
+  // Resolve a deep-linked agent by id, even outside the search radius
+  useEffect(() => {
+    if (!linkedAgentId || !isInitialized) return;
+
+    let cancelled = false;
+    setSelectedTab('viewer');
+
+    getObjectById(linkedAgentId, { location: locationRef.current }).then(agent => {
+      if (cancelled) return;
+
+      if (!agent) {
+        toast.error('Agent not found', {
+          description: 'The link may be out of date or the agent was removed.'
+        });
+        navigate('/', { replace: true });
+        return;
+      }
+
+      if (!agent.is_active) {
+        toast('This agent is currently inactive');
+      }
+      setLinkedAgent(agent);
+      trackInteraction(agent, INTERACTION_EVENT.OPEN, { via: 'link' });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [linkedAgentId, isInitialized, getObjectById, navigate, trackInteraction]);
+
+  const closeLinkedAgent = () => {
+    setLinkedAgent(null);
+    if (linkedAgentId) {
+      navigate('/');
+    }
+  };
+
+  // Insert a new agent and show it right away; realtime may deliver it again, which is a no-op
+  const handleDeploy = async (row) => {
+    const stored = await createObject(row);
+    setNearbyObjects(prev => applyObjectChange(
+      prev,
+      { type: 'INSERT', id: stored.id, object: stored },
+      locationRef.current,
+      NEARBY_RADIUS_METERS
+    ));
+    toast.success(`${stored.name} deployed`);
+    setSelectedTab('viewer');
+    return stored;
+  };
+
+  // Owner edits from My Agents, applied to the nearby list like realtime changes
+  const handleOwnedObjectChange = useCallback((change) => {
+    setNearbyObjects(prev => applyObjectChange(prev, change, locationRef.current, NEARBY_RADIUS_METERS));
+  }, []);
+
+  const listOwnedObjects = useCallback(
+    (owner) => listObjectsByOwner(owner, { location: locationRef.current }),
+    [listObjectsByOwner]
+  );
+
+  // Offline means the agents shown are from the local cache, not that they are made up
+  const cachedAtLabel = dataSource === 'cache' && cachedAt
+    ? new Date(cachedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+    : null;
+  const connectionLabel = connectionStatus === 'connected'
+    ? 'Connected'
+    : dataSource === 'cache' ? 'Offline · cached' : dataSource === 'mock' ? 'Demo data' : 'Offline';
+
+  // Location onboarding / recovery
+  if (needsLocation) {
+    return (
+      <LocationOnboarding
+        permission={permission}
+        isRequesting={isRequestingLocation}
+        initialLocation={rtkLocationService.getSavedManualLocation()}
+        onRequestPermission={handleRequestLocation}
+        onManualLocation={handleManualLocation}
+      />
+    );
+  }
+
   // Render initialization screen
   if (!isInitialized) {
     return (
@@ -253,7 +591,7 @@ const ARViewer = () => {
                   Location: {locationError}
                 </p>
                 <p className="text-yellow-300 text-xs mt-1">
-                  Using fallback location for demo
+                  {rtkLocationService.isSimulated() ? 'Using simulated location' : 'Using your chosen location'}
                 </p>
               </div>
             )}
@@ -282,8 +620,14 @@ const ARViewer = () => {
           <div className="flex items-center space-x-2">
             <Badge variant={connectionStatus === 'connected' ? 'default' : 'destructive'} className="flex items-center space-x-1">
               {connectionStatus === 'connected' ? <Wifi className="w-3 h-3" /> : <WifiOff className="w-3 h-3" />}
-              <span>{connectionStatus === 'connected' ? 'Connected' : 'Offline'}</span>
+              <span>{connectionLabel}</span>
             </Badge>
+            {realtimeStatus === 'live' && (
+              <Badge variant="outline" className="text-green-300 border-green-500/50 flex items-center space-x-1">
+                <span className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />
+                <span>Live</span>
+              </Badge>
+            )}
           </div>
         </div>
       </div>
@@ -295,6 +639,8 @@ const ARViewer = () => {
             { id: 'viewer', label: 'NeAR Viewer', icon: Camera },
             { id: 'agents', label: 'NEAR Agents', icon: Users },
             { id: 'map', label: 'NEAR Map', icon: MapPin },
+            { id: 'deploy', label: 'Deploy', icon: PlusCircle },
+            { id: 'mine', label: 'My Agents', icon: UserCog },
             { id: 'wallet', label: 'Wallet', icon: Wallet },
             { id: 'settings', label: 'Settings', icon: Settings }
           ].map(tab => (
@@ -323,14 +669,14 @@ const ARViewer = () => {
               isActive={cameraActive}
               onToggle={setCameraActive}
               onError={(err) => console.error('Camera error:', err)}
-              agents={nearbyObjects}
-              userLocation={location}
-              onAgentInteraction={(agent, action, data) => {
-                console.log('Agent interaction:', agent.name, action, data);
-                // Handle agent interactions here
-              }}
+              agents={visibleObjects}
+              nearbyCount={nearbyObjects.length}
+              userLocation={currentLocation}
+              onAgentInteraction={trackInteraction}
               showControls={true}
               connectedWallet={walletConnection.address}
+              focusedAgent={linkedAgent}
+              onAgentModalClose={closeLinkedAgent}
             />
 
             {/* Status Cards */}
@@ -347,11 +693,9 @@ const ARViewer = () => {
                     <div>
                       <div className="flex items-center space-x-2">
                         <p className="text-sm text-purple-200">Location</p>
-                        {rtkStatus.isRTKEnhanced && (
-                          <Badge variant="outline" className="text-xs bg-green-500/20 border-green-500 text-green-300">
-                            RTK Enhanced
-                          </Badge>
-                        )}
+                        <Badge variant="outline" className={`text-xs ${FIX_QUALITY_BADGE_CLASSES[rtkStatus.fixQuality]}`}>
+                          {FIX_QUALITY_LABELS[rtkStatus.fixQuality]}
+                        </Badge>
                       </div>
                       <p className="font-semibold text-white">
                         {currentLocation ? 
@@ -361,8 +705,22 @@ const ARViewer = () => {
                       </p>
                       {currentLocation && (
                         <div className="text-xs text-purple-300 mt-1">
-                          <div>Alt: {(currentLocation.altitude || 0).toFixed(1)}m</div>
+                          <div>Alt: {formatAltitude(currentLocation)}</div>
                           <div>±{(rtkStatus.accuracy || 10).toFixed(2)}m • {rtkStatus.source}</div>
+                          {rtkStatus.correctionAge !== null && (
+                            <div>
+                              Corr. age {rtkStatus.correctionAge.toFixed(1)}s
+                              {rtkStatus.correctionsAvailable && !rtkStatus.isRTKEnhanced && ' (not applied to this fix)'}
+                              {rtkStatus.baselineDistance !== null && ` • Baseline ${(rtkStatus.baselineDistance / 1000).toFixed(1)}km`}
+                            </div>
+                          )}
+                          {(rtkStatus.satellitesUsed !== null || rtkStatus.hdop !== null) && (
+                            <div>
+                              {rtkStatus.satellitesUsed !== null && `Sats ${rtkStatus.satellitesUsed}`}
+                              {rtkStatus.hdop !== null && ` • HDOP ${rtkStatus.hdop.toFixed(1)}`}
+                              {rtkStatus.vdop !== null && ` • VDOP ${rtkStatus.vdop.toFixed(1)}`}
+                            </div>
+                          )}
                         </div>
                       )}
                     </div>
@@ -389,8 +747,11 @@ const ARViewer = () => {
                     <div>
                       <p className="text-sm text-purple-200">Database</p>
                       <p className="font-semibold text-white">
-                        {connectionStatus === 'connected' ? 'Connected' : 'Offline'}
+                        {connectionLabel}
                       </p>
+                      {cachedAtLabel && (
+                        <p className="text-xs text-yellow-300">Cached as of {cachedAtLabel}</p>
+                      )}
                     </div>
                   </div>
                 </CardContent>
@@ -410,29 +771,47 @@ const ARViewer = () => {
                 <CardDescription className="text-purple-200">
                   Nearby AI agents available for interaction
                 </CardDescription>
+                {cachedAtLabel && (
+                  <p className="text-xs text-yellow-300">
+                    Showing cached agents as of {cachedAtLabel}
+                  </p>
+                )}
               </CardHeader>
               <CardContent className="space-y-3">
                 {nearbyObjects.length > 0 ? (
-                  nearbyObjects.map((obj, index) => (
-                    <div key={obj.id} className="p-4 bg-slate-800/50 rounded-lg border border-purple-500/20">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <h4 className="font-semibold text-white">{obj.name}</h4>
-                          <p className="text-sm text-purple-200">{obj.description}</p>
-                          <p className="text-xs text-slate-400 mt-1">
-                            {obj.distance_meters?.toFixed(1)}m away • {obj.object_type}
-                          </p>
+                  nearbyObjects.map((obj) => {
+                    const fence = getFenceState(obj.id);
+                    const inRange = insideIds.includes(obj.id);
+                    return (
+                      <div key={obj.id} className="p-4 bg-slate-800/50 rounded-lg border border-purple-500/20">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <h4 className="font-semibold text-white">{obj.name}</h4>
+                            <p className="text-sm text-purple-200">{obj.description}</p>
+                            <p className="text-xs text-slate-400 mt-1">
+                              {(fence?.distance ?? obj.distance_meters)?.toFixed(1)}m away • {obj.object_type}
+                              {fence && ` • visible within ${Math.round(fence.radius)}m`}
+                              {obj.position_source === 'precise' && ` • RTK placed${
+                                obj.accuracy !== undefined ? ` ±${obj.accuracy < 1 ? `${Math.round(obj.accuracy * 100)}cm` : `${obj.accuracy.toFixed(1)}m`}` : ''
+                              }`}
+                            </p>
+                          </div>
+                          <Badge
+                            variant="outline"
+                            className={inRange ? 'bg-green-500/20 border-green-500 text-green-300' : 'text-slate-300'}
+                          >
+                            {inRange ? 'In Range' : 'Out of Range'}
+                          </Badge>
                         </div>
-                        <Badge variant="secondary">Active</Badge>
                       </div>
-                    </div>
-                  ))
+                    );
+                  })
                 ) : (
                   <div className="text-center py-8">
                     <Users className="w-12 h-12 text-slate-500 mx-auto mb-4" />
                     <p className="text-slate-400">No agents found nearby</p>
                     <Button 
-                      onClick={() => loadNearbyObjects(currentLocation)}
+                      onClick={() => loadNearbyObjects(currentLocation, { forceRefresh: true })}
                       variant="outline" 
                       className="mt-4"
                       disabled={isLoading}
@@ -455,21 +834,84 @@ const ARViewer = () => {
                 <span>NEAR Map</span>
               </CardTitle>
               <CardDescription className="text-purple-200">
-                Interactive map view of nearby agents
+                Nearby agents around you. Tap the map to choose a spot as your location.
               </CardDescription>
             </CardHeader>
-            <CardContent>
-              <div className="aspect-video bg-slate-800 rounded-lg flex items-center justify-center">
-                <div className="text-center">
-                  <MapPin className="w-16 h-16 text-purple-300 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-white mb-2">Interactive Map</h3>
-                  <p className="text-purple-200">Map view would be implemented here</p>
-                </div>
+            <CardContent className="space-y-3">
+              <LocationPickerMap
+                center={currentLocation}
+                currentLocation={currentLocation}
+                markers={nearbyObjects}
+                selected={pickedLocation}
+                onSelect={setPickedLocation}
+                className="aspect-video"
+              />
+
+              <div className="flex flex-wrap items-center gap-2">
+                {pickedLocation && (
+                  <>
+                    <span className="text-xs text-purple-200">
+                      {pickedLocation.latitude.toFixed(6)}, {pickedLocation.longitude.toFixed(6)}
+                    </span>
+                    <Button
+                      onClick={() => handleManualLocation(pickedLocation.latitude, pickedLocation.longitude)}
+                      size="sm"
+                    >
+                      <MapPin className="w-4 h-4 mr-2" />
+                      Use this spot as my location
+                    </Button>
+                  </>
+                )}
+                {rtkLocationService.isManual() && (
+                  <Button onClick={handleUseDeviceLocation} variant="outline" size="sm">
+                    <Navigation className="w-4 h-4 mr-2" />
+                    Use device GPS
+                  </Button>
+                )}
               </div>
             </CardContent>
           </Card>
         )}
 
+        {selectedTab === 'deploy' && (
+          <div className="space-y-4">
+            {deployPreview && (
+              <CameraView
+                isActive={cameraActive}
+                onToggle={setCameraActive}
+                onError={(err) => console.error('Camera error:', err)}
+                agents={[...visibleObjects, deployPreview]}
+                nearbyCount={nearbyObjects.length}
+                userLocation={currentLocation}
+                showControls={true}
+                connectedWallet={walletConnection.address}
+              />
+            )}
+
+            <DeployAgentPanel
+              currentLocation={currentLocation}
+              walletAddress={walletConnection.address}
+              canWrite={canWrite}
+              signInRequired={signInRequired}
+              onDeploy={handleDeploy}
+              onPreviewChange={setDeployPreview}
+            />
+          </div>
+        )}
+
+        {selectedTab === 'mine' && (
+          <MyAgentsPanel
+            walletAddress={walletConnection.address}
+            currentLocation={currentLocation}
+            canWrite={canWrite}
+            signInRequired={signInRequired}
+            listObjectsByOwner={listOwnedObjects}
+            updateObject={updateObject}
+            deleteObject={deleteObject}
+            onObjectChange={handleOwnedObjectChange}
+          />
+        )}
+
         {selectedTab === 'wallet' && (
           <div className="space-y-4">
             <ThirdWebWalletConnect 
@@ -549,6 +991,14 @@ const ARViewer = () => {
                     {currentLocation ? 'Active' : 'Inactive'}
                   </Badge>
                 </div>
+
+                <LocationPrivacyPanel currentLocation={currentLocation} />
+
+                <RTKMountpointPanel currentLocation={currentLocation} />
+
+                <SimulatedLocationPanel currentLocation={currentLocation} />
+
+                <DataDiagnosticsPanel />
               </div>
 
               {dbError && (
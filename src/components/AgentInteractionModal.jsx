@@ -17,14 +17,20 @@ import {
   Wallet,
   Phone,
   MicOff,
-  VideoOff
+  VideoOff,
+  Share2
 } from 'lucide-react';
+import { toast } from 'sonner';
+import locationPrivacyService from '../services/locationPrivacy';
+import { INTERACTION_EVENT } from '../services/interactionEvents';
 
 const AgentInteractionModal = ({ 
   agent, 
   isOpen, 
   onClose, 
-  onPayment 
+  onPayment,
+  onInteraction,
+  userLocation = null
 }) => {
   const [activeTab, setActiveTab] = useState('chat');
   const [messages, setMessages] = useState([]);
@@ -60,11 +66,18 @@ const AgentInteractionModal = ({
       id: Date.now(),
       type: 'user',
       content: inputMessage,
-      timestamp: new Date()
+      timestamp: new Date(),
+      // Context the agent receives with the message; location is privacy-protected
+      context: {
+        agentId: agent.id,
+        location: locationPrivacyService.protect(userLocation)
+      }
     };
 
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
+    // Only the length is recorded, never the text
+    onInteraction?.(INTERACTION_EVENT.MESSAGE_SENT, { length: inputMessage.trim().length });
     setIsTyping(true);
 
     // Simulate agent response
@@ -119,6 +132,25 @@ const AgentInteractionModal = ({
     return agentResponses[Math.floor(Math.random() * agentResponses.length)];
   };
 
+  // Share a deep link that opens this agent
+  const shareAgent = async () => {
+    const url = new URL(`/agent/${encodeURIComponent(agent.id)}`, window.location.origin).href;
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: agent.name, text: agent.description, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        toast.success('Agent link copied');
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.warn('⚠️ Could not share agent link:', error.message);
+        toast.error('Could not share this agent');
+      }
+    }
+  };
+
   // Handle payment request
   const handlePayment = () => {
     if (onPayment) {
@@ -134,6 +166,9 @@ const AgentInteractionModal = ({
 
   // Toggle video call
   const toggleVideoCall = () => {
+    if (!isVideoCall) {
+      onInteraction?.(INTERACTION_EVENT.CALL_STARTED, { kind: 'video' });
+    }
     setIsVideoCall(!isVideoCall);
     // In a real implementation, this would start/stop video call
   };
@@ -152,7 +187,10 @@ const AgentInteractionModal = ({
               <div>
                 <CardTitle className="text-xl text-white">{agent.name}</CardTitle>
                 <CardDescription className="text-purple-100">
-                  {agent.agent_type} • {agent.distance_meters?.toFixed(0)}m away
+                  {agent.agent_type}
+                  {Number.isFinite(agent.distance_meters) && (agent.distance_meters >= 1000
+                    ? ` • ${(agent.distance_meters / 1000).toFixed(1)}km away`
+                    : ` • ${agent.distance_meters.toFixed(0)}m away`)}
                 </CardDescription>
               </div>
             </div>
@@ -161,6 +199,15 @@ const AgentInteractionModal = ({
                 <div className="w-2 h-2 bg-white rounded-full mr-1 animate-pulse"></div>
                 Online
               </Badge>
+              <Button
+                onClick={shareAgent}
+                variant="ghost"
+                size="sm"
+                className="text-white hover:bg-white/20"
+                title="Share agent link"
+              >
+                <Share2 className="w-5 h-5" />
+              </Button>
               <Button
                 onClick={onClose}
                 variant="ghost"
@@ -335,7 +382,9 @@ const AgentInteractionModal = ({
                   <div className="bg-slate-800 rounded-lg p-4 mb-4">
                     <div className="flex justify-between items-center mb-2">
                       <span className="text-slate-400">Service Fee:</span>
-                      <span className="text-white font-semibold">0.1 USDFC</span>
+                      <span className="text-white font-semibold">
+                        {agent.interaction_fee ? `${agent.interaction_fee} ${agent.fee_token || 'USDFC'}` : 'Free'}
+                      </span>
                     </div>
                     <div className="flex justify-between items-center">
                       <span className="text-slate-400">Network:</span>
@@ -15,6 +15,7 @@ import {
 import ARAgentOverlay from './ARAgentOverlay';
 import AgentInteractionModal from './AgentInteractionModal';
 import PaymentQRModal from './PaymentQRModal';
+import { INTERACTION_EVENT } from '../services/interactionEvents';
 
 const CameraView = ({ 
   isActive, 
@@ -23,9 +24,12 @@ const CameraView = ({
   className = "",
   showControls = true,
   agents = [],
+  nearbyCount = null, // Agents loaded around the user, including those out of range
   userLocation = null,
   onAgentInteraction = null,
-  connectedWallet = null // Add connected wallet prop
+  connectedWallet = null, // Add connected wallet prop
+  focusedAgent = null, // Agent to open directly (deep link), in range or not
+  onAgentModalClose = null
 }) => {
   const videoRef = useRef(null);
   const streamRef = useRef(null);
@@ -325,6 +329,14 @@ const CameraView = ({
     }
   };
 
+  // Open the interaction modal for a deep-linked agent
+  useEffect(() => {
+    if (!focusedAgent) return;
+    setSelectedAgent(focusedAgent);
+    setShowPaymentModal(false);
+    setShowAgentModal(true);
+  }, [focusedAgent]);
+
   // Handle agent click
   const handleAgentClick = (agent) => {
     console.log('🤖 Agent clicked:', agent.name);
@@ -332,7 +344,7 @@ const CameraView = ({
     setShowAgentModal(true);
     
     if (onAgentInteraction) {
-      onAgentInteraction(agent, 'click');
+      onAgentInteraction(agent, INTERACTION_EVENT.OPEN);
     }
   };
 
@@ -342,6 +354,10 @@ const CameraView = ({
     setSelectedAgent(agent);
     setShowAgentModal(false);
     setShowPaymentModal(true);
+
+    if (onAgentInteraction) {
+      onAgentInteraction(agent, INTERACTION_EVENT.PAYMENT_STARTED);
+    }
   };
 
   // Handle payment completion
@@ -351,7 +367,11 @@ const CameraView = ({
     setShowAgentModal(true); // Return to agent modal
     
     if (onAgentInteraction) {
-      onAgentInteraction(agent, 'payment_complete', paymentData);
+      onAgentInteraction(agent, INTERACTION_EVENT.PAYMENT_CONFIRMED, {
+        amount: paymentData.amount,
+        token: paymentData.token,
+        chain_id: paymentData.chainId
+      });
     }
   };
 
@@ -360,6 +380,7 @@ const CameraView = ({
     setShowAgentModal(false);
     setShowPaymentModal(false);
     setSelectedAgent(null);
+    onAgentModalClose?.();
   };
 
   return (
@@ -537,6 +558,7 @@ const CameraView = ({
                 {/* AR Agent Overlay */}
                 <ARAgentOverlay
                   agents={agents}
+                  nearbyCount={nearbyCount}
                   onAgentClick={handleAgentClick}
                   userLocation={userLocation}
                   cameraViewSize={{ width: 1280, height: 720 }}
@@ -553,6 +575,8 @@ const CameraView = ({
         isOpen={showAgentModal}
         onClose={closeModals}
         onPayment={handlePaymentRequest}
+        onInteraction={(type, data) => onAgentInteraction?.(selectedAgent, type, data)}
+        userLocation={userLocation}
       />
 
       {/* Payment QR Modal */}
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { AlertTriangle, Trash2 } from 'lucide-react';
+import objectValidationService from '../services/objectValidation';
+
+// Quarantined rows listed in the panel
+const MAX_LISTED = 20;
+
+const DataDiagnosticsPanel = () => {
+  const [diagnostics, setDiagnostics] = useState(() => objectValidationService.getDiagnostics());
+  const [showDetails, setShowDetails] = useState(false);
+
+  useEffect(() => objectValidationService.subscribe('change', setDiagnostics), []);
+
+  const { quarantinedCount, bySource } = diagnostics;
+  const entries = showDetails ? objectValidationService.getQuarantine().slice(0, MAX_LISTED) : [];
+
+  return (
+    <div className="p-3 bg-slate-800/50 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <AlertTriangle className={`w-4 h-4 ${quarantinedCount > 0 ? 'text-yellow-400' : 'text-purple-300'}`} />
+          <span className="text-white">Data Diagnostics</span>
+        </div>
+        <Badge variant={quarantinedCount > 0 ? 'destructive' : 'default'}>
+          {quarantinedCount} invalid
+        </Badge>
+      </div>
+
+      {quarantinedCount === 0 ? (
+        <p className="text-xs text-slate-400">All agent records received so far passed validation.</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-400">
+            These records failed validation and are hidden from the viewer:{' '}
+            {Object.entries(bySource).map(([source, count]) => `${count} from ${source}`).join(', ')}.
+          </p>
+
+          <div className="flex space-x-2">
+            <Button onClick={() => setShowDetails(!showDetails)} variant="outline" size="sm">
+              {showDetails ? 'Hide details' : 'Show details'}
+            </Button>
+            <Button onClick={() => objectValidationService.clearQuarantine()} variant="outline" size="sm">
+              <Trash2 className="w-4 h-4 mr-2" />
+              Clear
+            </Button>
+          </div>
+
+          {entries.length > 0 && (
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {entries.map(entry => (
+                <div key={`${entry.source}:${entry.id}:${entry.at}`} className="px-3 py-2 rounded bg-slate-900/60 text-xs">
+                  <div className="flex items-center justify-between text-purple-200">
+                    <span className="font-mono truncate">{entry.id ?? '(no id)'}</span>
+                    <span className="text-slate-400">{entry.source}</span>
+                  </div>
+                  <p className="text-yellow-300 mt-1">{entry.reason}</p>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DataDiagnosticsPanel;
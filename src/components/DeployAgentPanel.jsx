@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from '@/components/ui/form';
+import { PlusCircle, Eye, ArrowLeft, Rocket, Wallet, AlertCircle } from 'lucide-react';
+import PlacementCapture from './PlacementCapture';
+import { AGENT_TYPES } from '../services/objectValidation';
+import {
+  deployAgentSchema,
+  DEFAULT_DEPLOY_VALUES,
+  MODEL_PRESETS,
+  buildDeployedObject
+} from '../services/agentDeployment';
+
+// Id of the preview marker shown in the camera overlay
+const PREVIEW_ID = 'deploy-preview';
+
+const DeployAgentPanel = ({
+  currentLocation,
+  walletAddress,
+  canWrite = true,
+  signInRequired = false,
+  onDeploy,
+  onPreviewChange
+}) => {
+  const [placement, setPlacement] = useState(null);
+  // Parsed form values while the placement is previewed
+  const [pendingValues, setPendingValues] = useState(null);
+  const [isDeploying, setIsDeploying] = useState(false);
+  const [deployError, setDeployError] = useState(null);
+
+  const form = useForm({
+    resolver: zodResolver(deployAgentSchema),
+    defaultValues: DEFAULT_DEPLOY_VALUES
+  });
+
+  // The preview marker goes away with the panel
+  useEffect(() => () => onPreviewChange?.(null), [onPreviewChange]);
+
+  const showPreview = (values) => {
+    setDeployError(null);
+    setPendingValues(values);
+    onPreviewChange?.({
+      ...buildDeployedObject(values, placement, walletAddress),
+      id: PREVIEW_ID,
+      is_preview: true
+    });
+  };
+
+  const backToEdit = () => {
+    setPendingValues(null);
+    onPreviewChange?.(null);
+  };
+
+  const confirmDeploy = async () => {
+    setIsDeploying(true);
+    setDeployError(null);
+
+    try {
+      const stored = await onDeploy(buildDeployedObject(pendingValues, placement, walletAddress));
+      form.reset(DEFAULT_DEPLOY_VALUES);
+      setPlacement(null);
+      setPendingValues(null);
+      onPreviewChange?.(null);
+      return stored;
+    } catch (error) {
+      console.error('❌ Deploy failed:', error);
+      setDeployError(error.message || 'Could not deploy the agent');
+      return null;
+    } finally {
+      setIsDeploying(false);
+    }
+  };
+
+  const blocker = !canWrite
+    ? 'The configured data source is read-only.'
+    : !walletAddress
+      ? 'Connect a wallet in the Wallet tab; it becomes the owner of the agent.'
+      : signInRequired
+        ? 'Sign in with your wallet in the Wallet tab so the database accepts it as the owner.'
+        : null;
+
+  return (
+    <Card className="bg-black/50 border-purple-500/30 backdrop-blur-sm">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center space-x-2">
+          <PlusCircle className="w-5 h-5" />
+          <span>Deploy Agent</span>
+        </CardTitle>
+        <CardDescription className="text-purple-200">
+          Place a new agent where you are standing
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {blocker && (
+          <div className="flex items-center space-x-2 p-3 bg-yellow-500/20 border border-yellow-500/30 rounded-lg text-yellow-200 text-sm">
+            {walletAddress ? <AlertCircle className="w-4 h-4 shrink-0" /> : <Wallet className="w-4 h-4 shrink-0" />}
+            <span>{blocker}</span>
+          </div>
+        )}
+
+        <PlacementCapture
+          currentLocation={currentLocation}
+          placement={placement}
+          onChange={setPlacement}
+          disabled={!!pendingValues}
+        />
+
+        {pendingValues ? (
+          <div className="space-y-3">
+            <div className="p-3 bg-purple-500/20 border border-purple-500/30 rounded-lg text-sm text-purple-100">
+              <p className="font-medium text-white">{pendingValues.name}</p>
+              <p className="text-xs">
+                {pendingValues.agent_type} • scale {pendingValues.scale} • heading {pendingValues.rotation_y}° •
+                visible within {pendingValues.visibility_radius}m
+              </p>
+              <p className="text-xs text-purple-300 mt-2">
+                The dashed marker in the camera view shows where the agent will appear.
+              </p>
+            </div>
+
+            {deployError && <p className="text-sm text-red-400">{deployError}</p>}
+
+            <div className="flex space-x-2">
+              <Button type="button" variant="outline" onClick={backToEdit} disabled={isDeploying}>
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Edit
+              </Button>
+              <Button type="button" onClick={confirmDeploy} disabled={isDeploying || !!blocker}>
+                <Rocket className="w-4 h-4 mr-2" />
+                {isDeploying ? 'Deploying…' : 'Confirm & deploy'}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(showPreview)} className="space-y-4">
+              <FormField
+                control={form.control}
+                name="name"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white">Name</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Coffee Concierge" className="text-white" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="description"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white">Description</FormLabel>
+                    <FormControl>
+                      <Textarea placeholder="What can people ask this agent?" className="text-white" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="agent_type"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white">Agent type</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger className="w-full text-white">
+                          <SelectValue placeholder="Choose a type" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {AGENT_TYPES.map(type => (
+                          <SelectItem key={type} value={type}>{type}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="model_url"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white">Model</FormLabel>
+                    <div className="flex flex-wrap gap-1">
+                      {MODEL_PRESETS.map(preset => (
+                        <button
+                          key={preset.url}
+                          type="button"
+                          onClick={() => field.onChange(preset.url)}
+                          className={`px-2 py-1 rounded text-xs ${
+                            field.value === preset.url ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+                          }`}
+                        >
+                          {preset.label}
+                        </button>
+                      ))}
+                    </div>
+                    <FormControl>
+                      <Input placeholder="https://…/model.gltf" className="text-white font-mono text-xs" {...field} />
+                    </FormControl>
+                    <FormDescription className="text-slate-400 text-xs">glTF model URL</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <div className="grid grid-cols-3 gap-3">
+                <FormField
+                  control={form.control}
+                  name="scale"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="text-white">Scale</FormLabel>
+                      <FormControl>
+                        <Input type="number" step="0.1" min="0.1" max="10" className="text-white" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+
+                <FormField
+                  control={form.control}
+                  name="rotation_y"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="text-white">Heading (°)</FormLabel>
+                      <FormControl>
+                        <Input type="number" step="1" min="0" max="360" className="text-white" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+
+                <FormField
+                  control={form.control}
+                  name="visibility_radius"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="text-white">Visible (m)</FormLabel>
+                      <FormControl>
+                        <Input type="number" step="5" min="5" max="500" className="text-white" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              <FormField
+                control={form.control}
+                name="interaction_fee"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white">Fee per interaction (USDFC)</FormLabel>
+                    <FormControl>
+                      <Input type="number" step="0.01" min="0" placeholder="Free" className="text-white" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <Button type="submit" className="w-full" disabled={!placement || !!blocker}>
+                <Eye className="w-4 h-4 mr-2" />
+                Preview placement
+              </Button>
+            </form>
+          </Form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeployAgentPanel;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import {
+  MapPin,
+  ShieldAlert,
+  SatelliteDish,
+  RotateCcw,
+  Navigation
+} from 'lucide-react';
+import LocationPickerMap from './LocationPickerMap';
+import { PERMISSION_STATE } from '../services/locationPermission';
+
+// Copy and recovery steps per permission state
+const SCREENS = {
+  [PERMISSION_STATE.PROMPT]: {
+    icon: MapPin,
+    title: 'Share your location',
+    description: 'NeAR Viewer places agents around you, so it needs to know where you are.',
+    steps: [
+      'Tap "Allow location access" and accept the browser prompt.',
+      'Precise location gives the best AR placement.'
+    ],
+    action: 'Allow location access'
+  },
+  [PERMISSION_STATE.DENIED]: {
+    icon: ShieldAlert,
+    title: 'Location access is blocked',
+    description: 'The browser is not allowing this site to read your location.',
+    steps: [
+      'Open the site settings (the icon left of the address bar).',
+      'Set Location to "Allow", then tap "Try again".',
+      'On iOS also check Settings → Privacy → Location Services → your browser.'
+    ],
+    action: 'Try again'
+  },
+  [PERMISSION_STATE.UNAVAILABLE]: {
+    icon: SatelliteDish,
+    title: 'Location unavailable',
+    description: 'Your position could not be determined.',
+    steps: [
+      'Make sure location services are switched on for this device.',
+      'Move near a window or outdoors for a better GPS signal.',
+      'Location only works on https:// pages.'
+    ],
+    action: 'Try again'
+  }
+};
+
+const LocationOnboarding = ({
+  permission,
+  isRequesting = false,
+  initialLocation = null, // Last manual position, offered again
+  onRequestPermission,
+  onManualLocation
+}) => {
+  const [latitudeInput, setLatitudeInput] = useState(initialLocation ? String(initialLocation.latitude) : '');
+  const [longitudeInput, setLongitudeInput] = useState(initialLocation ? String(initialLocation.longitude) : '');
+  const [picked, setPicked] = useState(null);
+  const [showMap, setShowMap] = useState(false);
+  const [error, setError] = useState(null);
+
+  const screen = SCREENS[permission.state] || SCREENS[PERMISSION_STATE.PROMPT];
+  const Icon = screen.icon;
+
+  const submitCoordinates = () => {
+    const latitude = parseFloat(latitudeInput);
+    const longitude = parseFloat(longitudeInput);
+
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      setError('Enter a latitude between -90 and 90 and a longitude between -180 and 180');
+      return;
+    }
+
+    setError(null);
+    onManualLocation(latitude, longitude);
+  };
+
+  const pickOnMap = (point) => {
+    setPicked(point);
+    setLatitudeInput(point.latitude.toFixed(6));
+    setLongitudeInput(point.longitude.toFixed(6));
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md bg-black/50 border-purple-500/30 backdrop-blur-sm">
+        <CardHeader className="text-center">
+          <div className="w-14 h-14 bg-purple-500/20 rounded-full flex items-center justify-center mx-auto mb-2">
+            <Icon className="w-7 h-7 text-purple-300" />
+          </div>
+          <CardTitle className="text-xl font-bold text-white">{screen.title}</CardTitle>
+          <CardDescription className="text-purple-200">{screen.description}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-5">
+          <ul className="space-y-2 text-sm text-slate-300 list-disc list-inside">
+            {screen.steps.map(step => <li key={step}>{step}</li>)}
+          </ul>
+
+          {permission.reason && permission.state !== PERMISSION_STATE.PROMPT && (
+            <p className="text-xs text-yellow-300">{permission.reason}</p>
+          )}
+
+          <Button onClick={onRequestPermission} disabled={isRequesting} className="w-full">
+            {permission.state === PERMISSION_STATE.PROMPT
+              ? <Navigation className="w-4 h-4 mr-2" />
+              : <RotateCcw className="w-4 h-4 mr-2" />}
+            {isRequesting ? 'Waiting for location...' : screen.action}
+          </Button>
+
+          {/* Manual fallback */}
+          <div className="pt-4 border-t border-purple-500/20 space-y-3">
+            <p className="text-sm text-white font-medium">Or set your location manually</p>
+            <div className="flex space-x-2">
+              <Input
+                value={latitudeInput}
+                onChange={(e) => setLatitudeInput(e.target.value)}
+                placeholder="Latitude"
+                inputMode="decimal"
+                className="bg-slate-900 border-slate-600 text-white"
+              />
+              <Input
+                value={longitudeInput}
+                onChange={(e) => setLongitudeInput(e.target.value)}
+                placeholder="Longitude"
+                inputMode="decimal"
+                className="bg-slate-900 border-slate-600 text-white"
+              />
+            </div>
+
+            {showMap ? (
+              <LocationPickerMap
+                selected={picked}
+                onSelect={pickOnMap}
+                className="h-56"
+              />
+            ) : (
+              <Button onClick={() => setShowMap(true)} variant="outline" size="sm" className="w-full">
+                <MapPin className="w-4 h-4 mr-2" />
+                Pick on a map
+              </Button>
+            )}
+
+            <Button
+              onClick={submitCoordinates}
+              variant="secondary"
+              className="w-full"
+              disabled={!latitudeInput || !longitudeInput}
+            >
+              Use this location
+            </Button>
+
+            {error && <p className="text-red-300 text-xs">{error}</p>}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default LocationOnboarding;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Plus, Minus, Crosshair } from 'lucide-react';
+
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SIZE = 256;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 19;
+const MAX_LATITUDE = 85.05112878;
+
+// Pointer travel (px) below which a drag counts as a tap
+const TAP_TOLERANCE = 5;
+
+// Web Mercator: geodetic ↔ world pixels at a zoom level
+const project = (latitude, longitude, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+  return {
+    x: (longitude + 180) / 360 * size,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * size
+  };
+};
+
+const unproject = (x, y, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / size;
+  return {
+    latitude: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    longitude: ((x / size * 360 + 540) % 360) - 180
+  };
+};
+
+const tileUrl = (x, y, z) => TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+const LocationPickerMap = ({
+  center = null,
+  zoom: initialZoom = null,
+  currentLocation = null,
+  markers = [],
+  selected = null,
+  onSelect,
+  className = ''
+}) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [zoom, setZoom] = useState(initialZoom ?? (center ? 16 : MIN_ZOOM));
+  const [view, setView] = useState(() => center || { latitude: 20, longitude: 0 });
+
+  // Track the container size for tile layout
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const measure = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    measure();
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const centerPixel = project(view.latitude, view.longitude, zoom);
+  const origin = { x: centerPixel.x - size.width / 2, y: centerPixel.y - size.height / 2 };
+
+  const toScreen = (latitude, longitude) => {
+    const point = project(latitude, longitude, zoom);
+    return { left: point.x - origin.x, top: point.y - origin.y };
+  };
+
+  // Tiles covering the viewport
+  const tiles = [];
+  if (size.width > 0) {
+    const tileCount = 2 ** zoom;
+    const firstX = Math.floor(origin.x / TILE_SIZE);
+    const lastX = Math.floor((origin.x + size.width) / TILE_SIZE);
+    const firstY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+    const lastY = Math.min(tileCount - 1, Math.floor((origin.y + size.height) / TILE_SIZE));
+
+    for (let x = firstX; x <= lastX; x++) {
+      for (let y = firstY; y <= lastY; y++) {
+        const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+        tiles.push({
+          key: `${zoom}/${x}/${y}`,
+          url: tileUrl(wrappedX, y, zoom),
+          left: x * TILE_SIZE - origin.x,
+          top: y * TILE_SIZE - origin.y
+        });
+      }
+    }
+  }
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = {
+      startX: event.clientX,
+      startY: event.clientY,
+      startCenter: centerPixel,
+      moved: false
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+    if (Math.hypot(dx, dy) > TAP_TOLERANCE) drag.moved = true;
+    if (drag.moved) {
+      setView(unproject(drag.startCenter.x - dx, drag.startCenter.y - dy, zoom));
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !onSelect) return;
+
+    const rect = containerRef.current.getBoundingClientRect();
+    onSelect(unproject(origin.x + event.clientX - rect.left, origin.y + event.clientY - rect.top, zoom));
+  };
+
+  const changeZoom = (delta) => setZoom(current => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, current + delta)));
+
+  const recenter = () => {
+    if (currentLocation) {
+      setView({ latitude: currentLocation.latitude, longitude: currentLocation.longitude });
+      setZoom(current => Math.max(current, 16));
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative overflow-hidden rounded-lg bg-slate-800 select-none touch-none cursor-crosshair ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => { dragRef.current = null; }}
+    >
+      {tiles.map(tile => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          draggable={false}
+          className="absolute pointer-events-none"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+
+      {/* Agents */}
+      {markers.map(marker => (
+        <div
+          key={marker.id}
+          title={marker.name}
+          className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-purple-500 border-2 border-white shadow pointer-events-none"
+          style={toScreen(marker.latitude, marker.longitude)}
+        />
+      ))}
+
+      {/* Current position */}
+      {currentLocation && (
+        <div
+          className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-blue-500 border-2 border-white shadow-lg pointer-events-none"
+          style={toScreen(currentLocation.latitude, currentLocation.longitude)}
+        />
+      )}
+
+      {/* Picked spot */}
+      {selected && (
+        <div
+          className="absolute w-5 h-5 -ml-2.5 -mt-2.5 rounded-full bg-yellow-400 border-2 border-black/60 shadow-lg pointer-events-none animate-pulse"
+          style={toScreen(selected.latitude, selected.longitude)}
+        />
+      )}
+
+      <div
+        className="absolute top-2 right-2 flex flex-col space-y-1"
+        onPointerDown={(event) => event.stopPropagation()}
+        onPointerUp={(event) => event.stopPropagation()}
+      >
+        <Button size="sm" variant="secondary" className="h-8 w-8 p-0" onClick={() => changeZoom(1)}>
+          <Plus className="w-4 h-4" />
+        </Button>
+        <Button size="sm" variant="secondary" className="h-8 w-8 p-0" onClick={() => changeZoom(-1)}>
+          <Minus className="w-4 h-4" />
+        </Button>
+        {currentLocation && (
+          <Button size="sm" variant="secondary" className="h-8 w-8 p-0" onClick={recenter}>
+            <Crosshair className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+
+      <div className="absolute bottom-0 right-0 bg-white/80 text-[10px] text-slate-700 px-1">
+        © OpenStreetMap contributors
+      </div>
+    </div>
+  );
+};
+
+export default LocationPickerMap;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Shield } from 'lucide-react';
+import locationPrivacyService, { PRIVACY_MODE } from '../services/locationPrivacy';
+
+// Geohash precisions offered, with their approximate cell size
+const GEOHASH_PRECISIONS = [
+  { precision: 5, label: '~5km' },
+  { precision: 6, label: '~1km' },
+  { precision: 7, label: '~150m' }
+];
+
+const OFFSET_DISTANCES = [100, 200, 500, 1000];
+
+const MODES = [
+  {
+    mode: PRIVACY_MODE.EXACT,
+    label: 'Exact',
+    description: 'Your precise position is sent with searches and agent chats.'
+  },
+  {
+    mode: PRIVACY_MODE.GEOHASH,
+    label: 'Area',
+    description: 'Only the map cell you are in is sent. Everyone in the same cell looks identical.'
+  },
+  {
+    mode: PRIVACY_MODE.OFFSET,
+    label: 'Shifted',
+    description: 'Your position is moved by a random distance, fixed for this session, before it is sent.'
+  }
+];
+
+const LocationPrivacyPanel = ({ currentLocation }) => {
+  const [settings, setSettings] = useState(() => locationPrivacyService.getSettings());
+
+  useEffect(() => locationPrivacyService.subscribe('change', setSettings), []);
+
+  const outbound = currentLocation ? locationPrivacyService.protect(currentLocation) : null;
+  const activeMode = MODES.find(option => option.mode === settings.mode) || MODES[0];
+
+  return (
+    <div className="p-3 bg-slate-800/50 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Shield className="w-4 h-4 text-purple-300" />
+          <span className="text-white">Location Privacy</span>
+        </div>
+        <Badge variant="outline" className="text-xs text-purple-200 border-purple-500/50">
+          {activeMode.label}
+        </Badge>
+      </div>
+
+      <p className="text-xs text-slate-400">
+        AR placement always uses your precise position on this device. This setting controls
+        what leaves it: agent searches, chat context and usage data.
+      </p>
+
+      <div className="grid grid-cols-3 gap-1">
+        {MODES.map(option => (
+          <button
+            key={option.mode}
+            onClick={() => locationPrivacyService.updateSettings({ mode: option.mode })}
+            className={`px-3 py-2 rounded text-sm ${
+              settings.mode === option.mode ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-purple-200">{activeMode.description}</p>
+
+      {settings.mode === PRIVACY_MODE.GEOHASH && (
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-slate-300">Cell size</span>
+          <div className="flex space-x-1">
+            {GEOHASH_PRECISIONS.map(({ precision, label }) => (
+              <button
+                key={precision}
+                onClick={() => locationPrivacyService.updateSettings({ geohashPrecision: precision })}
+                className={`px-2 py-1 rounded text-xs ${
+                  settings.geohashPrecision === precision ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {settings.mode === PRIVACY_MODE.OFFSET && (
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-slate-300">Up to</span>
+          <div className="flex space-x-1">
+            {OFFSET_DISTANCES.map(distance => (
+              <button
+                key={distance}
+                onClick={() => locationPrivacyService.updateSettings({ offsetMeters: distance })}
+                className={`px-2 py-1 rounded text-xs ${
+                  settings.offsetMeters === distance ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+                }`}
+              >
+                {distance >= 1000 ? `${distance / 1000}km` : `${distance}m`}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {outbound && (
+        <p className="text-xs text-slate-400 font-mono">
+          Shared as {outbound.latitude.toFixed(5)}, {outbound.longitude.toFixed(5)}
+          {outbound.uncertainty > 0 && ` (±${Math.round(outbound.uncertainty)}m)`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LocationPrivacyPanel;
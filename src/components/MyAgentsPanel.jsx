@@ -0,0 +1,411 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from '@/components/ui/form';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger
+} from '@/components/ui/alert-dialog';
+import { UserCog, Pencil, MapPin, Trash2, RotateCcw, Wallet, X, Check } from 'lucide-react';
+import PlacementCapture from './PlacementCapture';
+import { AGENT_TYPES } from '../services/objectValidation';
+import { surfaceDistance } from '../services/geodesy';
+import {
+  agentDetailsSchema,
+  agentDetailsValues,
+  agentDetailsChanges,
+  placementColumns
+} from '../services/agentDeployment';
+
+// Replace the object with `id` (null removes it). A missing object is put back at `index`.
+const replaceObject = (objects, id, object, index = 0) => {
+  const position = objects.findIndex(obj => obj.id === id);
+  if (position === -1) {
+    if (!object) return objects;
+    const next = [...objects];
+    next.splice(Math.min(index, next.length), 0, object);
+    return next;
+  }
+  return object
+    ? objects.map(obj => (obj.id === id ? object : obj))
+    : objects.filter(obj => obj.id !== id);
+};
+
+const formatDistance = (meters) => (meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`);
+
+const AgentDetailsForm = ({ object, onSave, onCancel }) => {
+  const form = useForm({
+    resolver: zodResolver(agentDetailsSchema),
+    defaultValues: agentDetailsValues(object)
+  });
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(values => onSave(agentDetailsChanges(values)))} className="space-y-3">
+        <FormField
+          control={form.control}
+          name="name"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel className="text-white">Name</FormLabel>
+              <FormControl>
+                <Input className="text-white" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="description"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel className="text-white">Description</FormLabel>
+              <FormControl>
+                <Textarea className="text-white" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="agent_type"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel className="text-white">Agent type</FormLabel>
+              <Select onValueChange={field.onChange} value={field.value}>
+                <FormControl>
+                  <SelectTrigger className="w-full text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                </FormControl>
+                <SelectContent>
+                  {AGENT_TYPES.map(type => (
+                    <SelectItem key={type} value={type}>{type}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <div className="grid grid-cols-2 gap-3">
+          <FormField
+            control={form.control}
+            name="visibility_radius"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-white">Visible (m)</FormLabel>
+                <FormControl>
+                  <Input type="number" step="5" min="5" max="500" className="text-white" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+
+          <FormField
+            control={form.control}
+            name="interaction_fee"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-white">Fee ({object.fee_token})</FormLabel>
+                <FormControl>
+                  <Input type="number" step="0.01" min="0" placeholder="Free" className="text-white" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+
+        <div className="flex space-x-2">
+          <Button type="submit" size="sm">
+            <Check className="w-4 h-4 mr-2" />
+            Save
+          </Button>
+          <Button type="button" onClick={onCancel} variant="outline" size="sm">
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+// Agents owned by the connected wallet. Changes are shown at once and rolled back
+// if the data source rejects them.
+const MyAgentsPanel = ({
+  walletAddress,
+  currentLocation,
+  canWrite = true,
+  signInRequired = false,
+  listObjectsByOwner,
+  updateObject,
+  deleteObject,
+  onObjectChange
+}) => {
+  const [objects, setObjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [relocating, setRelocating] = useState(null);
+  const [pendingIds, setPendingIds] = useState([]);
+
+  // Latest list for rollbacks started from stale closures
+  const objectsRef = useRef(objects);
+  useEffect(() => {
+    objectsRef.current = objects;
+  }, [objects]);
+
+  const load = useCallback(async () => {
+    if (!walletAddress) {
+      setObjects([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      setObjects(await listObjectsByOwner(walletAddress));
+    } catch (error) {
+      console.error('❌ Could not load owned agents:', error);
+      setLoadError(error.message || 'Could not load your agents');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [walletAddress, listObjectsByOwner]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Optimistic write: show `next` (null = removed) now, confirm with the stored
+  // object when `write` resolves, restore the previous object when it throws
+  const mutate = async (id, next, write, failure) => {
+    const index = objectsRef.current.findIndex(obj => obj.id === id);
+    const previous = objectsRef.current[index];
+    if (!previous) return;
+
+    setObjects(list => replaceObject(list, id, next));
+    onObjectChange?.(next ? { type: 'UPDATE', id, object: next } : { type: 'DELETE', id, object: null });
+    setPendingIds(ids => [...ids, id]);
+
+    try {
+      const stored = await write();
+      if (stored) {
+        setObjects(list => replaceObject(list, id, stored));
+        onObjectChange?.({ type: 'UPDATE', id, object: stored });
+      }
+      return true;
+    } catch (error) {
+      console.error(`❌ ${failure}:`, error);
+      setObjects(list => replaceObject(list, id, previous, index));
+      onObjectChange?.({ type: 'UPDATE', id, object: previous });
+      toast.error(`${failure}: ${error.message || 'unknown error'}`);
+      return false;
+    } finally {
+      setPendingIds(ids => ids.filter(pendingId => pendingId !== id));
+    }
+  };
+
+  const saveDetails = (object, changes) => {
+    setEditingId(null);
+    return mutate(object.id, { ...object, ...changes }, () => updateObject(object.id, changes), `Could not save ${object.name}`);
+  };
+
+  const setActive = (object, isActive) =>
+    mutate(object.id, { ...object, is_active: isActive }, () => updateObject(object.id, { is_active: isActive }),
+      `Could not ${isActive ? 'activate' : 'deactivate'} ${object.name}`);
+
+  const relocate = (object) => {
+    const changes = placementColumns(relocating.placement);
+    setRelocating(null);
+    return mutate(object.id, { ...object, ...changes }, () => updateObject(object.id, changes), `Could not move ${object.name}`);
+  };
+
+  const remove = async (object) => {
+    if (await mutate(object.id, null, () => deleteObject(object.id), `Could not delete ${object.name}`)) {
+      toast.success(`${object.name} deleted`);
+    }
+  };
+
+  if (!walletAddress) {
+    return (
+      <Card className="bg-black/50 border-purple-500/30 backdrop-blur-sm">
+        <CardContent className="p-8 text-center">
+          <Wallet className="w-12 h-12 text-slate-500 mx-auto mb-4" />
+          <p className="text-slate-400">Connect a wallet in the Wallet tab to see the agents it owns.</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="bg-black/50 border-purple-500/30 backdrop-blur-sm">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-white flex items-center space-x-2">
+            <UserCog className="w-5 h-5" />
+            <span>My Agents</span>
+          </CardTitle>
+          <Button onClick={load} variant="outline" size="sm" disabled={isLoading}>
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+        <CardDescription className="text-purple-200">
+          Agents deployed by {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
+        </CardDescription>
+        {!canWrite ? (
+          <p className="text-xs text-yellow-300">The configured data source is read-only; changes are disabled.</p>
+        ) : signInRequired && (
+          <p className="text-xs text-yellow-300">Sign in with your wallet in the Wallet tab to change these agents.</p>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {loadError && <p className="text-sm text-red-400">{loadError}</p>}
+
+        {!loadError && !isLoading && objects.length === 0 && (
+          <p className="text-center py-8 text-slate-400">This wallet has not deployed any agents yet.</p>
+        )}
+
+        {objects.map(object => {
+          const isPending = pendingIds.includes(object.id);
+          const disabled = !canWrite || signInRequired || isPending;
+          const distance = currentLocation ? surfaceDistance(currentLocation, object) : null;
+
+          return (
+            <div
+              key={object.id}
+              className={`p-4 bg-slate-800/50 rounded-lg border border-purple-500/20 space-y-3 ${isPending ? 'opacity-60' : ''}`}
+            >
+              <div className="flex items-start justify-between">
+                <div>
+                  <h4 className="font-semibold text-white">{object.name}</h4>
+                  <p className="text-sm text-purple-200">{object.description}</p>
+                  <p className="text-xs text-slate-400 mt-1">
+                    {object.agent_type || object.object_type} • visible within {Math.round(object.visibility_radius)}m •{' '}
+                    {object.interaction_fee ? `${object.interaction_fee} ${object.fee_token}` : 'Free'}
+                    {distance !== null && ` • ${formatDistance(distance)} away`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Badge variant="outline" className={object.is_active ? 'text-green-300 border-green-500/50' : 'text-slate-400'}>
+                    {object.is_active ? 'Active' : 'Inactive'}
+                  </Badge>
+                  <Switch
+                    checked={object.is_active}
+                    onCheckedChange={(checked) => setActive(object, checked)}
+                    disabled={disabled}
+                    aria-label={object.is_active ? 'Deactivate' : 'Activate'}
+                  />
+                </div>
+              </div>
+
+              {editingId === object.id && (
+                <AgentDetailsForm
+                  object={object}
+                  onSave={(changes) => saveDetails(object, changes)}
+                  onCancel={() => setEditingId(null)}
+                />
+              )}
+
+              {relocating?.id === object.id && (
+                <div className="space-y-2">
+                  <PlacementCapture
+                    currentLocation={currentLocation}
+                    placement={relocating.placement}
+                    onChange={(placement) => setRelocating({ id: object.id, placement })}
+                  />
+                  <div className="flex space-x-2">
+                    <Button onClick={() => relocate(object)} size="sm" disabled={!relocating.placement}>
+                      <MapPin className="w-4 h-4 mr-2" />
+                      Move here
+                    </Button>
+                    <Button onClick={() => setRelocating(null)} variant="outline" size="sm">
+                      <X className="w-4 h-4 mr-2" />
+                      Cancel
+                    </Button>
+                  </div>
+                </div>
+              )}
+
+              {editingId !== object.id && relocating?.id !== object.id && (
+                <div className="flex flex-wrap gap-2">
+                  <Button onClick={() => setEditingId(object.id)} variant="outline" size="sm" disabled={disabled}>
+                    <Pencil className="w-4 h-4 mr-2" />
+                    Edit
+                  </Button>
+                  <Button
+                    onClick={() => setRelocating({ id: object.id, placement: null })}
+                    variant="outline"
+                    size="sm"
+                    disabled={disabled || !currentLocation}
+                  >
+                    <MapPin className="w-4 h-4 mr-2" />
+                    Relocate
+                  </Button>
+                  <AlertDialog>
+                    <AlertDialogTrigger asChild>
+                      <Button variant="outline" size="sm" className="text-red-300" disabled={disabled}>
+                        <Trash2 className="w-4 h-4 mr-2" />
+                        Delete
+                      </Button>
+                    </AlertDialogTrigger>
+                    <AlertDialogContent>
+                      <AlertDialogHeader>
+                        <AlertDialogTitle>Delete {object.name}?</AlertDialogTitle>
+                        <AlertDialogDescription>
+                          The agent is removed for everyone. This cannot be undone; deactivate it instead to hide it for now.
+                        </AlertDialogDescription>
+                      </AlertDialogHeader>
+                      <AlertDialogFooter>
+                        <AlertDialogCancel>Cancel</AlertDialogCancel>
+                        <AlertDialogAction onClick={() => remove(object)}>Delete</AlertDialogAction>
+                      </AlertDialogFooter>
+                    </AlertDialogContent>
+                  </AlertDialog>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MyAgentsPanel;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Crosshair, Timer, X } from 'lucide-react';
+import rtkLocationService from '../services/rtkLocation';
+import { FIX_QUALITY_LABELS } from '../services/fixQuality';
+import { capturePlacement, isPrecisePlacement } from '../services/agentDeployment';
+
+// Survey lengths offered: by time or by number of fixes
+const SURVEY_PRESETS = [
+  { label: '10s', durationMs: 10000 },
+  { label: '30s', durationMs: 30000 },
+  { label: '60s', durationMs: 60000 },
+  { label: '50 fixes', samples: 50 }
+];
+
+const formatAccuracy = (accuracy) => {
+  if (accuracy === null || accuracy === undefined) return 'unknown accuracy';
+  return accuracy < 1 ? `±${Math.round(accuracy * 100)}cm` : `±${accuracy.toFixed(1)}m`;
+};
+
+const formatStdDev = (value) => (value < 1 ? `${(value * 100).toFixed(1)}cm` : `${value.toFixed(2)}m`);
+
+// Where an agent goes: a single fix, or a survey that averages fixes at the spot
+const PlacementCapture = ({ currentLocation, placement, onChange, disabled = false }) => {
+  const [progress, setProgress] = useState(null);
+  const [surveyError, setSurveyError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Leaving the panel cancels a running survey
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const captureFix = () => {
+    if (!currentLocation) return;
+    setSurveyError(null);
+    const captured = capturePlacement(currentLocation);
+    console.log(`📌 Placement captured ${captured.latitude.toFixed(7)}, ${captured.longitude.toFixed(7)} (${formatAccuracy(captured.accuracy)})`);
+    onChange(captured);
+  };
+
+  const startSurvey = async (preset) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setSurveyError(null);
+    setProgress({ collected: 0, skipped: 0, elapsedMs: 0, durationMs: preset.durationMs ?? null, samples: preset.samples ?? null, estimate: null });
+
+    try {
+      const result = await rtkLocationService.survey({
+        durationMs: preset.durationMs,
+        samples: preset.samples,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      onChange(capturePlacement(result));
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.warn('⚠️ Survey failed:', error.message);
+        setSurveyError(error.message);
+      }
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const cancelSurvey = () => abortRef.current?.abort();
+
+  const precise = placement && isPrecisePlacement(placement);
+  const percent = progress
+    ? Math.min(100, progress.samples
+      ? (progress.collected / progress.samples) * 100
+      : (progress.elapsedMs / progress.durationMs) * 100)
+    : 0;
+
+  return (
+    <div className="p-3 bg-slate-800/50 rounded-lg space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-white text-sm font-medium">Placement</span>
+        {placement && (
+          <Badge
+            variant="outline"
+            className={precise ? 'bg-green-500/20 border-green-500 text-green-300' : 'text-slate-300'}
+          >
+            {FIX_QUALITY_LABELS[placement.fixQuality]}
+          </Badge>
+        )}
+      </div>
+
+      {progress ? (
+        <div className="space-y-2">
+          <Progress value={percent} />
+          <div className="flex items-center justify-between text-xs text-purple-200">
+            <span>
+              Surveying… {progress.collected} fix{progress.collected !== 1 ? 'es' : ''}
+              {progress.estimate && ` • σ ${formatStdDev(progress.estimate.horizontalStdDev)}`}
+              {progress.skipped > 0 && ` • ${progress.skipped} skipped`}
+            </span>
+            <Button type="button" onClick={cancelSurvey} variant="ghost" size="sm">
+              <X className="w-4 h-4 mr-1" />
+              Cancel
+            </Button>
+          </div>
+          <p className="text-xs text-slate-400">Hold the device still over the spot.</p>
+        </div>
+      ) : placement ? (
+        <div className="text-xs text-purple-200 space-y-1">
+          <p className="font-mono">
+            {placement.latitude.toFixed(7)}, {placement.longitude.toFixed(7)} {formatAccuracy(placement.accuracy)}
+          </p>
+          {placement.survey && (
+            <p>
+              Averaged {placement.survey.samples} fixes over {Math.round(placement.survey.durationMs / 1000)}s
+              {placement.survey.rejected > 0 && ` (${placement.survey.rejected} outliers dropped)`}
+              {' • '}σ {formatStdDev(placement.survey.horizontalStdDev)} horizontal
+              {placement.survey.verticalStdDev !== null && `, ${formatStdDev(placement.survey.verticalStdDev)} vertical`}
+            </p>
+          )}
+          <p className="text-slate-400">
+            Captured {new Date(placement.capturedAt).toLocaleTimeString()} • {placement.source}
+          </p>
+          {!precise && (
+            <p className="text-yellow-300">
+              {placement.survey ? 'Some fixes were not RTK' : 'Not an RTK fix'}; the agent may appear a few meters off for other viewers.
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-slate-400">
+          Stand where the agent should appear. A survey averages fixes over time for a steadier anchor.
+        </p>
+      )}
+
+      {surveyError && <p className="text-xs text-red-400">{surveyError}</p>}
+
+      {!progress && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button type="button" onClick={captureFix} variant="outline" size="sm" disabled={!currentLocation || disabled}>
+            <Crosshair className="w-4 h-4 mr-2" />
+            {placement ? 'Recapture' : 'Use current fix'}
+          </Button>
+          <span className="flex items-center text-xs text-slate-400">
+            <Timer className="w-3 h-3 mr-1" />
+            Survey
+          </span>
+          {SURVEY_PRESETS.map(preset => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => startSurvey(preset)}
+              disabled={!currentLocation || disabled}
+              className="px-2 py-1 rounded text-xs text-purple-200 hover:bg-purple-500/10 disabled:opacity-50"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlacementCapture;
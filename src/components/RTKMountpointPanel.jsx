@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Satellite, RotateCcw } from 'lucide-react';
+import rtkLocationService from '../services/rtkLocation';
+
+// Number of nearest mountpoints listed
+const MAX_CANDIDATES = 8;
+
+const RTKMountpointPanel = ({ currentLocation }) => {
+  const [candidates, setCandidates] = useState(() => rtkLocationService.getMountpointCandidates(currentLocation));
+  const [override, setOverride] = useState(rtkLocationService.mountpointOverride);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { isRTKAvailable, config } = rtkLocationService.getRTKStatus();
+
+  const loadCandidates = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      await rtkLocationService.refreshSourcetable();
+      setCandidates(rtkLocationService.getMountpointCandidates(currentLocation));
+    } catch (err) {
+      console.error('❌ Sourcetable error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const selectMountpoint = (mountpoint) => {
+    rtkLocationService.setMountpointOverride(mountpoint);
+    setOverride(mountpoint);
+    setCandidates(rtkLocationService.getMountpointCandidates(currentLocation));
+  };
+
+  return (
+    <div className="p-3 bg-slate-800/50 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Satellite className="w-4 h-4 text-purple-300" />
+          <span className="text-white">RTK Mountpoint</span>
+          <Badge variant="outline" className="text-xs text-purple-200 border-purple-500/50">
+            {override || config.mountpoint}
+          </Badge>
+        </div>
+        <Button
+          onClick={loadCandidates}
+          variant="outline"
+          size="sm"
+          disabled={isLoading || !isRTKAvailable}
+        >
+          <RotateCcw className="w-4 h-4 mr-2" />
+          {isLoading ? 'Loading...' : 'Load'}
+        </Button>
+      </div>
+
+      {!isRTKAvailable && (
+        <p className="text-xs text-slate-400">Set RTK credentials to list caster mountpoints.</p>
+      )}
+
+      {candidates.length > 0 && (
+        <div className="space-y-1">
+          <button
+            onClick={() => selectMountpoint(null)}
+            className={`w-full flex items-center justify-between px-3 py-2 rounded text-left text-sm ${
+              !override ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+            }`}
+          >
+            <span>Automatic (nearest)</span>
+          </button>
+          {candidates.slice(0, MAX_CANDIDATES).map(candidate => (
+            <button
+              key={candidate.mountpoint}
+              onClick={() => selectMountpoint(candidate.mountpoint)}
+              className={`w-full flex items-center justify-between px-3 py-2 rounded text-left text-sm ${
+                candidate.isOverride ? 'bg-purple-500/30 text-white' : 'text-purple-200 hover:bg-purple-500/10'
+              }`}
+            >
+              <span>
+                {candidate.mountpoint}
+                <span className="text-xs text-slate-400 ml-2">
+                  {candidate.identifier} • {candidate.navSystems.join('+')}
+                </span>
+              </span>
+              <span className="flex items-center space-x-2 text-xs">
+                {candidate.isActive && <Badge className="bg-green-500 text-white text-xs">Active</Badge>}
+                <span>{candidate.distanceKm !== null ? `${candidate.distanceKm.toFixed(1)}km` : '—'}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-300 text-xs">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default RTKMountpointPanel;
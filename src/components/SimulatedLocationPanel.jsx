@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
+import {
+  Navigation,
+  Play,
+  Pause,
+  Upload,
+  MapPin
+} from 'lucide-react';
+import rtkLocationService from '../services/rtkLocation';
+
+const SPEED_PRESETS = [
+  { label: 'Walk', value: 1.4 },
+  { label: 'Run', value: 3.5 },
+  { label: 'Bike', value: 6 },
+  { label: 'Drive', value: 14 }
+];
+
+const SimulatedLocationPanel = ({ currentLocation }) => {
+  const [isSimulated, setIsSimulated] = useState(rtkLocationService.isSimulated());
+  const [playback, setPlayback] = useState(rtkLocationService.simulatedProvider?.getState() || null);
+  const [teleportLat, setTeleportLat] = useState('');
+  const [teleportLon, setTeleportLon] = useState('');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Follow playback state while simulation is active
+  useEffect(() => {
+    if (!isSimulated || !rtkLocationService.simulatedProvider) return;
+
+    const provider = rtkLocationService.simulatedProvider;
+    setPlayback(provider.getState());
+    return provider.onStateChange(setPlayback);
+  }, [isSimulated]);
+
+  const toggleSimulation = (enabled) => {
+    setError(null);
+    if (enabled) {
+      const provider = rtkLocationService.useSimulatedLocation();
+      if (!provider.getCurrentPoint() && currentLocation) {
+        // Start where the user currently is
+        provider.teleport(
+          currentLocation.latitude,
+          currentLocation.longitude,
+          currentLocation.altitude ?? null,
+          currentLocation.altitudeDatum
+        );
+      }
+    } else {
+      rtkLocationService.useDeviceLocation();
+    }
+    setIsSimulated(enabled);
+  };
+
+  const handleTeleport = () => {
+    const latitude = parseFloat(teleportLat);
+    const longitude = parseFloat(teleportLon);
+
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      setError('Enter a latitude between -90 and 90 and a longitude between -180 and 180');
+      return;
+    }
+
+    setError(null);
+    rtkLocationService.useSimulatedLocation().teleport(latitude, longitude);
+    setIsSimulated(true);
+  };
+
+  const handleTrackFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      setError(null);
+      const provider = rtkLocationService.useSimulatedLocation();
+      provider.loadTrack(await file.text());
+      provider.play();
+      setIsSimulated(true);
+    } catch (err) {
+      console.error('❌ Track load error:', err);
+      setError(err.message);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const provider = rtkLocationService.simulatedProvider;
+  const hasTrack = playback?.mode === 'track';
+
+  return (
+    <div className="p-3 bg-slate-800/50 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Navigation className="w-4 h-4 text-purple-300" />
+          <span className="text-white">Simulated Location</span>
+          {isSimulated && (
+            <Badge variant="outline" className="text-xs bg-yellow-500/20 border-yellow-500 text-yellow-300">
+              Dev
+            </Badge>
+          )}
+        </div>
+        <Switch checked={isSimulated} onCheckedChange={toggleSimulation} />
+      </div>
+
+      <p className="text-xs text-slate-400">
+        Replace device GPS with a fixed position or a GPX/GeoJSON route.
+        Also available via <code>?sim=lat,lon</code> or <code>?simTrack=url&amp;simSpeed=m/s</code>.
+      </p>
+
+      {isSimulated && (
+        <div className="space-y-3">
+          {/* Teleport */}
+          <div className="flex space-x-2">
+            <Input
+              value={teleportLat}
+              onChange={(e) => setTeleportLat(e.target.value)}
+              placeholder="Latitude"
+              inputMode="decimal"
+              className="bg-slate-900 border-slate-600 text-white"
+            />
+            <Input
+              value={teleportLon}
+              onChange={(e) => setTeleportLon(e.target.value)}
+              placeholder="Longitude"
+              inputMode="decimal"
+              className="bg-slate-900 border-slate-600 text-white"
+            />
+            <Button onClick={handleTeleport} variant="outline" size="sm" className="h-9">
+              <MapPin className="w-4 h-4 mr-1" />
+              Go
+            </Button>
+          </div>
+
+          {/* Route playback */}
+          <div className="flex items-center space-x-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+              onChange={handleTrackFile}
+              className="hidden"
+            />
+            <Button onClick={() => fileInputRef.current?.click()} variant="outline" size="sm">
+              <Upload className="w-4 h-4 mr-2" />
+              Load Route
+            </Button>
+            {hasTrack && (
+              <>
+                <Button
+                  onClick={() => (playback.isPlaying ? provider.pause() : provider.play())}
+                  variant="outline"
+                  size="sm"
+                >
+                  {playback.isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                </Button>
+                <span className="text-xs text-purple-200">
+                  {playback.pointCount} pts • {(playback.totalDistance / 1000).toFixed(2)}km
+                </span>
+              </>
+            )}
+          </div>
+
+          {hasTrack && (
+            <>
+              <Slider
+                value={[playback.progress * 100]}
+                max={100}
+                step={0.1}
+                onValueChange={([value]) => provider.seek(value / 100)}
+              />
+
+              <div className="flex items-center justify-between">
+                <div className="flex space-x-1">
+                  {SPEED_PRESETS.map(preset => (
+                    <Button
+                      key={preset.label}
+                      onClick={() => provider.setSpeed(preset.value)}
+                      variant={playback.speed === preset.value ? 'default' : 'outline'}
+                      size="sm"
+                      className="text-xs"
+                    >
+                      {preset.label}
+                    </Button>
+                  ))}
+                </div>
+                <label className="flex items-center space-x-2 text-xs text-purple-200">
+                  <span>Loop</span>
+                  <Switch checked={playback.loop} onCheckedChange={(loop) => provider.setLoop(loop)} />
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-300 text-xs">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default SimulatedLocationPanel;
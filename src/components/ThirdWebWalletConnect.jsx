@@ -19,14 +19,18 @@ import {
   AlertCircle,
   Smartphone,
   Mail,
-  MessageCircle
+  MessageCircle,
+  KeyRound,
+  ShieldCheck
 } from 'lucide-react';
+import { useWalletAuth } from '../hooks/useWalletAuth';
 
 const ThirdWebWalletConnect = ({ onConnectionChange }) => {
   const address = useAddress();
   const connectionStatus = useConnectionStatus();
   const disconnect = useDisconnect();
   const { user, isLoggedIn } = useUser();
+  const walletAuth = useWalletAuth();
 
   // Notify parent component of connection changes
   React.useEffect(() => {
@@ -43,6 +47,7 @@ const ThirdWebWalletConnect = ({ onConnectionChange }) => {
 
   const handleDisconnect = async () => {
     try {
+      walletAuth.signOut();
       await disconnect();
       console.log('🔌 Wallet disconnected');
     } catch (error) {
@@ -128,6 +133,31 @@ const ThirdWebWalletConnect = ({ onConnectionChange }) => {
             </div>
           </div>
 
+          {/* Sign-In With Ethereum: proves ownership to the database */}
+          <div className="flex items-center space-x-3 p-3 bg-slate-800/50 rounded-lg">
+            {walletAuth.isSignedIn
+              ? <ShieldCheck className="w-6 h-6 text-green-400" />
+              : <KeyRound className="w-6 h-6 text-purple-300" />}
+            <div className="flex-1">
+              <p className="text-purple-200 text-sm">Database access</p>
+              <p className="text-white text-sm">
+                {walletAuth.isSignedIn
+                  ? `Signed in until ${new Date(walletAuth.session.expiresAt).toLocaleTimeString([], { timeStyle: 'short' })}`
+                  : 'Sign a message to deploy and manage your agents'}
+              </p>
+              {walletAuth.error && <p className="text-red-400 text-xs">{walletAuth.error}</p>}
+            </div>
+            {walletAuth.isSignedIn ? (
+              <Button onClick={walletAuth.signOut} variant="outline" size="sm">
+                Sign out
+              </Button>
+            ) : (
+              <Button onClick={walletAuth.signIn} size="sm" disabled={walletAuth.isSigningIn}>
+                {walletAuth.isSigningIn ? 'Signing…' : 'Sign in'}
+              </Button>
+            )}
+          </div>
+
           {/* Actions */}
           <div className="flex space-x-2">
             <Button
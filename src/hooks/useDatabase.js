@@ -1,149 +1,88 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { 
-  supabase, 
-  getNearbyObjectsFromSupabase, 
-  getConnectionStatus, 
-  isSupabaseConfigured,
-  debugSupabaseConfig 
-} from '../lib/supabase.js';
-
-// Mock data generator for fallback
-const generateMockObjects = (location) => {
-  const { latitude, longitude, radius_meters = 100, limit = 10 } = location;
-  console.log('Generating mock objects at', latitude, longitude);
-
-  const mockObjects = [
-    {
-      id: 'mock-1',
-      user_id: 'demo-user',
-      object_type: 'agent',
-      agent_type: 'Intelligent Assistant',
-      name: 'AI Helper',
-      description: 'An intelligent AI assistant to help with analysis, research, and problem-solving',
-      latitude: latitude + 0.0001,
-      longitude: longitude + 0.0001,
-      altitude: 10,
-      model_url: 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf',
-      model_type: 'gltf',
-      scale_x: 1.0,
-      scale_y: 1.0,
-      scale_z: 1.0,
-      rotation_x: 0.0,
-      rotation_y: 0.0,
-      rotation_z: 0.0,
-      is_active: true,
-      visibility_radius: 50,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      distance_meters: 15.2,
-    },
-    {
-      id: 'mock-2',
-      user_id: 'demo-user',
-      object_type: 'agent',
-      agent_type: 'Content Creator',
-      name: 'Creative Assistant',
-      description: 'I help create engaging content, stories, and visual materials for your projects',
-      latitude: latitude - 0.0001,
-      longitude: longitude + 0.0002,
-      altitude: 15,
-      model_url: 'https://threejs.org/examples/models/gltf/Suzanne/glTF/Suzanne.gltf',
-      model_type: 'gltf',
-      scale_x: 0.5,
-      scale_y: 0.5,
-      scale_z: 0.5,
-      rotation_x: 0.0,
-      rotation_y: 45.0,
-      rotation_z: 0.0,
-      is_active: true,
-      visibility_radius: 75,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      distance_meters: 28.7,
-    },
-    {
-      id: 'mock-3',
-      user_id: 'demo-user',
-      object_type: 'agent',
-      agent_type: 'Local Services',
-      name: 'Service Connector',
-      description: 'I connect you with trusted local service providers in your area',
-      latitude: latitude + 0.0002,
-      longitude: longitude - 0.0001,
-      altitude: 5,
-      model_url: 'https://threejs.org/examples/models/gltf/Duck/glTF/Duck.gltf',
-      model_type: 'gltf',
-      scale_x: 2.0,
-      scale_y: 2.0,
-      scale_z: 2.0,
-      rotation_x: 0.0,
-      rotation_y: 0.0,
-      rotation_z: 0.0,
-      is_active: true,
-      visibility_radius: 100,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      distance_meters: 42.1,
-    },
-    {
-      id: 'mock-4',
-      user_id: 'demo-user',
-      object_type: 'agent',
-      agent_type: 'Tutor/Teacher',
-      name: 'Learning Guide',
-      description: 'I provide personalized tutoring and educational support on various subjects',
-      latitude: latitude + 0.0003,
-      longitude: longitude - 0.0002,
-      altitude: 8,
-      model_url: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Duck/glTF/Duck.gltf',
-      model_type: 'gltf',
-      scale_x: 1.5,
-      scale_y: 1.5,
-      scale_z: 1.5,
-      rotation_x: 0.0,
-      rotation_y: 45.0,
-      rotation_z: 0.0,
-      is_active: true,
-      visibility_radius: 80,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      distance_meters: 35.8,
-    },
-    {
-      id: 'mock-5',
-      user_id: 'demo-user',
-      object_type: 'agent',
-      agent_type: 'Game Agent',
-      name: 'Game Buddy',
-      description: 'Interactive gaming companion for fun challenges and entertainment',
-      latitude: latitude - 0.0002,
-      longitude: longitude - 0.0001,
-      altitude: 12,
-      model_url: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
-      model_type: 'gltf',
-      scale_x: 1.2,
-      scale_y: 1.2,
-      scale_z: 1.2,
-      rotation_x: 0.0,
-      rotation_y: 30.0,
-      rotation_z: 0.0,
-      is_active: true,
-      visibility_radius: 60,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      distance_meters: 22.3,
-    },
-  ];
-
-  console.log(`Generated ${mockObjects.length} mock agent objects`);
-  return mockObjects
-    .filter(obj => (obj.distance_meters || 0) <= radius_meters)
-    .slice(0, limit);
+import dataSource from '../services/dataSources';
+import objectValidationService from '../services/objectValidation';
+import { surfaceDistance } from '../services/geodesy';
+import locationPrivacyService from '../services/locationPrivacy';
+import objectCache from '../services/objectCache';
+
+// Validate a deployed_objects row from `source` and add its distance from the precise
+// local position. Invalid rows are quarantined and come back as null.
+const normalizeObject = (obj, location, source) => {
+  const object = objectValidationService.validate(obj, source);
+  if (!object) return null;
+
+  return {
+    ...object,
+    distance_meters: location ? surfaceDistance(location, object) : null
+  };
+};
+
+const normalizeObjects = (rows, location, source) =>
+  (rows || []).map(obj => normalizeObject(obj, location, source)).filter(Boolean);
+
+// Merge a realtime change into a nearby-objects list. Objects that become inactive or
+// lie outside `radius` of `location` are removed; the rest are inserted or replaced.
+export const applyObjectChange = (objects, change, location, radius = 100) => {
+  const others = objects.filter(obj => obj.id !== change.id);
+  if (change.type === 'DELETE' || !change.object || !location) {
+    return others.length === objects.length ? objects : others;
+  }
+
+  const object = normalizeObject(change.object, location, 'realtime');
+  if (!object || !object.is_active || object.distance_meters > radius) {
+    return others.length === objects.length ? objects : others;
+  }
+
+  return [...others, object].sort((a, b) => a.distance_meters - b.distance_meters);
 };
 
-const findMockObjectById = (id) => {
-  return generateMockObjects({ latitude: 37.7749, longitude: -122.4194, radius_meters: 1000 })
-    .find(obj => obj.id === id) || null;
+// Cached rows are validated like any other source; the schema may have changed since they were stored
+const readCachedArea = async (location, radius) => {
+  const cached = await objectCache.getArea(location, radius);
+  return cached && { ...cached, objects: normalizeObjects(cached.objects, location, 'cache') };
+};
+
+const readCachedObject = async (id, location) => {
+  const cached = await objectCache.getObject(id, location);
+  const object = cached && normalizeObject(cached.object, location, 'cache');
+  return object ? { ...cached, object } : null;
+};
+
+// Rows requested per nearby query
+const DEFAULT_QUERY_LIMIT = 50;
+
+// Nearby objects from the data source within `radius` of the precise location, or null
+// when it could not be reached. First pages from remote sources go to the offline cache.
+const fetchNearbyObjects = async (location, radius, limit, offset) => {
+  // The query only sees the privacy-protected position, with the radius widened
+  // so nothing within `radius` of the true position is missed
+  const outbound = locationPrivacyService.protect(location);
+  console.log(`🔍 Fetching nearby objects within ${radius}m (location ${locationPrivacyService.describe()})`);
+
+  let rows;
+  try {
+    rows = await dataSource.nearby(
+      outbound.latitude,
+      outbound.longitude,
+      locationPrivacyService.expandRadius(radius, outbound),
+      { limit, offset }
+    );
+  } catch (error) {
+    console.error(`❌ ${dataSource.name} nearby query failed:`, error.message);
+    return null;
+  }
+
+  const objects = normalizeObjects(rows, location, dataSource.name)
+    // Distances are from the precise local position; drop the widened-radius extras
+    .filter(obj => obj.distance_meters <= radius)
+    .sort((a, b) => a.distance_meters - b.distance_meters);
+
+  if (!offset && dataSource.cacheable) {
+    // A full page may have cut off further objects, so it does not prove the area is empty
+    objectCache.putArea(location, radius, objects, { complete: rows.length < limit });
+  }
+
+  return objects;
 };
 
 export const useDatabase = () => {
@@ -152,79 +91,87 @@ export const useDatabase = () => {
     error: null,
     lastSync: null,
     connectionStatus: 'unknown',
+    realtimeStatus: 'closed',
+    // Where the last nearby list came from: 'network', 'cache' or 'mock'
+    dataSource: null,
+    cachedAt: null,
   });
 
   const isMountedRef = useRef(true);
 
-  // Get nearby objects with fallback to mock data
-  const getNearbyObjects = useCallback(async (location) => {
+  // Nearby objects, stale-while-revalidate over the offline cache.
+  // A complete cached area is returned at once; if it is older than the freshness
+  // window it is refetched in the background and `onRevalidate` gets the new list.
+  // Without network the cached area is returned, whatever its age. Local sources
+  // (memory, mock, static file) are queried directly and never cached.
+  const getNearbyObjects = useCallback(async (location, { forceRefresh = false, onRevalidate } = {}) => {
+    const radius = location.radius_meters || 100;
+    const limit = location.limit || DEFAULT_QUERY_LIMIT;
+    const offset = location.offset || 0;
+
+    const settle = (changes) => {
+      if (isMountedRef.current) {
+        setState(prev => ({ ...prev, isLoading: false, ...changes }));
+      }
+    };
+
+    const fromNetwork = () => settle({
+      dataSource: 'network',
+      cachedAt: null,
+      lastSync: Date.now(),
+      connectionStatus: 'connected'
+    });
+
     try {
       if (isMountedRef.current) {
         setState(prev => ({ ...prev, isLoading: true, error: null }));
       }
 
-      console.log('🔍 Fetching nearby objects for location:', location);
-
-      // Try to get data from Supabase first
-      const supabaseData = await getNearbyObjectsFromSupabase(
-        location.latitude,
-        location.longitude,
-        location.radius_meters || 100
-      );
-
-      let objects;
-
-      if (supabaseData && supabaseData.length > 0) {
-        // Process Supabase data
-        objects = supabaseData.map(obj => ({
-          id: obj.id,
-          user_id: obj.user_id || 'unknown',
-          object_type: obj.object_type || 'agent',
-          agent_type: obj.agent_type || obj.object_type || 'Intelligent Assistant',
-          name: obj.name || 'Unnamed Agent',
-          description: obj.description || 'No description available',
-          latitude: parseFloat(obj.latitude || 0),
-          longitude: parseFloat(obj.longitude || 0),
-          altitude: parseFloat(obj.altitude || 0),
-          model_url: obj.model_url || 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf',
-          model_type: obj.model_type || 'gltf',
-          scale_x: parseFloat(obj.scale_x || 1),
-          scale_y: parseFloat(obj.scale_y || 1),
-          scale_z: parseFloat(obj.scale_z || 1),
-          rotation_x: parseFloat(obj.rotation_x || 0),
-          rotation_y: parseFloat(obj.rotation_y || 0),
-          rotation_z: parseFloat(obj.rotation_z || 0),
-          is_active: obj.is_active !== false,
-          visibility_radius: parseInt(obj.visibility_radius || 100),
-          created_at: obj.created_at || new Date().toISOString(),
-          updated_at: obj.created_at || new Date().toISOString(),
-          distance_meters: typeof obj.distance_meters === 'number' ? obj.distance_meters : 
-                          typeof obj.distance_meters === 'string' ? parseFloat(obj.distance_meters) : 0,
-          preciselatitude: obj.preciselatitude ? parseFloat(obj.preciselatitude) : undefined,
-          preciselongitude: obj.preciselongitude ? parseFloat(obj.preciselongitude) : undefined,
-          precisealtitude: obj.precisealtitude ? parseFloat(obj.precisealtitude) : undefined,
-          accuracy: obj.accuracy ? parseFloat(obj.accuracy) : undefined,
-          correctionapplied: obj.correctionapplied || false,
-        }));
+      if (!dataSource.cacheable) {
+        const objects = await fetchNearbyObjects(location, radius, limit, offset);
+        if (objects === null) {
+          throw new Error(`Could not load objects from the ${dataSource.name} data source`);
+        }
+        console.log(`✅ Loaded ${objects.length} objects from the ${dataSource.name} data source`);
+        settle({ dataSource: dataSource.name === 'mock' ? 'mock' : 'network', cachedAt: null, lastSync: Date.now() });
+        return objects;
+      }
+
+      const cached = offset ? null : await readCachedArea(location, radius);
+
+      if (cached?.complete && !forceRefresh) {
+        console.log(`📦 ${cached.objects.length} objects from cache (${Math.round((Date.now() - cached.cachedAt) / 1000)}s old)`);
+        settle({ dataSource: 'cache', cachedAt: cached.cachedAt });
 
-        console.log(`✅ Loaded ${objects.length} objects from Supabase:`, objects);
-      } else if (supabaseData === null && isSupabaseConfigured) {
-        console.warn('⚠️ Supabase returned null data but is configured - check your connection');
-        objects = generateMockObjects(location);
-        console.log(`🔄 Using ${objects.length} mock objects due to Supabase data issue`);
-        if (objects.length > 0) {
-          console.log('Sample object:', objects[0]);
+        if (!cached.isFresh) {
+          fetchNearbyObjects(location, radius, limit, offset)
+            .then(objects => {
+              if (!objects) return;
+              fromNetwork();
+              onRevalidate?.(objects);
+            })
+            .catch(error => console.warn('⚠️ Background refresh failed:', error.message));
         }
-      } else {
-        objects = generateMockObjects(location);
-        console.log(`⚠️ Using ${objects.length} mock objects (Supabase not available or not configured)`);
+
+        return cached.objects.slice(0, limit);
       }
 
-      if (isMountedRef.current) {
-        setState(prev => ({ ...prev, isLoading: false, lastSync: Date.now() }));
+      const objects = await fetchNearbyObjects(location, radius, limit, offset);
+      if (objects) {
+        console.log(`✅ Loaded ${objects.length} objects from ${dataSource.name}`);
+        fromNetwork();
+        return objects;
       }
 
-      return objects;
+      if (cached) {
+        console.warn(`⚠️ ${dataSource.name} unreachable, showing ${cached.objects.length} cached objects from ${new Date(cached.cachedAt).toLocaleString()}`);
+        settle({ dataSource: 'cache', cachedAt: cached.cachedAt, connectionStatus: 'disconnected' });
+        return cached.objects.slice(0, limit);
+      }
+
+      console.warn(`⚠️ ${dataSource.name} unreachable and nothing cached for this area`);
+      settle({ dataSource: null, cachedAt: null, connectionStatus: 'disconnected' });
+      return [];
     } catch (error) {
       const errorInfo = {
         code: 'QUERY_ERROR',
@@ -234,30 +181,40 @@ export const useDatabase = () => {
 
       console.error('Database query error:', errorInfo);
 
-      if (isMountedRef.current) {
-        setState(prev => ({ ...prev, isLoading: false, error: errorInfo }));
-      }
+      const cached = await readCachedArea(location, radius);
+      settle({
+        error: errorInfo,
+        dataSource: cached ? 'cache' : null,
+        cachedAt: cached?.cachedAt || null
+      });
 
-      const fallbackObjects = generateMockObjects(location);
-      console.log(`🔄 Returning ${fallbackObjects.length} fallback mock objects due to error`);
-      return fallbackObjects;
+      return cached ? cached.objects.slice(0, limit) : [];
     }
   }, []);
 
-  // Get object by ID
-  const getObjectById = useCallback(async (id) => {
+  // Get a single object by id, wherever it is. `location` adds distance_meters.
+  // Falls back to the offline cache when the data source cannot be reached; resolves to
+  // null when no such object exists.
+  const getObjectById = useCallback(async (id, { location = null } = {}) => {
     try {
       if (isMountedRef.current) {
         setState(prev => ({ ...prev, isLoading: true, error: null }));
       }
 
-      const objects = await getNearbyObjects(id);
+      const row = await dataSource.getById(id);
+      const object = row ? normalizeObject(row, location, dataSource.name) : null;
+      if (object && dataSource.cacheable) {
+        objectCache.applyChange({ type: 'UPDATE', id, object });
+      }
 
       if (isMountedRef.current) {
         setState(prev => ({ ...prev, isLoading: false, lastSync: Date.now() }));
       }
 
-      return objects;
+      if (!object) {
+        console.warn(`⚠️ Object ${id} not found`);
+      }
+      return object;
     } catch (error) {
       const errorInfo = {
         code: 'QUERY_ERROR',
@@ -265,13 +222,93 @@ export const useDatabase = () => {
         details: error,
       };
 
+      console.error('Database query error:', errorInfo);
+
+      const cached = await readCachedObject(id, location);
       if (isMountedRef.current) {
-        setState(prev => ({ ...prev, isLoading: false, error: errorInfo }));
+        setState(prev => ({
+          ...prev,
+          isLoading: false,
+          error: cached ? null : errorInfo,
+          connectionStatus: 'disconnected'
+        }));
       }
 
-      return null;
+      if (cached) {
+        console.log(`📦 Object ${id} from cache (${new Date(cached.cachedAt).toLocaleString()})`);
+      }
+      return cached?.object || null;
     }
-  }, [getNearbyObjects]);
+  }, []);
+
+  // Live object changes from the data source; returns an unsubscribe function
+  const subscribeToObjectChanges = useCallback((onChange) => {
+    return dataSource.subscribe(
+      (change) => {
+        console.log(`🔄 deployed_objects ${change.type}: ${change.id}`);
+        if (dataSource.cacheable) {
+          objectCache.applyChange({
+            ...change,
+            object: change.object ? normalizeObject(change.object, null, 'realtime') : null
+          });
+        }
+        if (isMountedRef.current) {
+          setState(prev => ({ ...prev, lastSync: Date.now() }));
+        }
+        onChange(change);
+      },
+      (status) => {
+        if (isMountedRef.current) {
+          setState(prev => ({ ...prev, realtimeStatus: status === 'SUBSCRIBED' ? 'live' : 'closed' }));
+        }
+      }
+    );
+  }, []);
+
+  // Insert a deployed_objects row through the data source. Resolves to the stored
+  // object, validated; throws when the source is read-only or the write fails.
+  const createObject = useCallback(async (row) => {
+    const stored = await dataSource.insert(row);
+    const object = normalizeObject(stored, null, dataSource.name);
+    if (!object) {
+      throw new Error('The saved object did not pass validation');
+    }
+
+    console.log(`✅ Created object ${object.id} (${object.name})`);
+    if (dataSource.cacheable) {
+      objectCache.applyChange({ type: 'INSERT', id: object.id, object });
+    }
+    return object;
+  }, []);
+
+  // Update columns of a deployed object; resolves to the stored object, throws on failure
+  const updateObject = useCallback(async (id, changes) => {
+    const stored = await dataSource.update(id, changes);
+    const object = normalizeObject(stored, null, dataSource.name);
+    if (!object) {
+      throw new Error('The saved object did not pass validation');
+    }
+
+    console.log(`✅ Updated object ${id}:`, Object.keys(changes).join(', '));
+    if (dataSource.cacheable) {
+      objectCache.applyChange({ type: 'UPDATE', id: object.id, object });
+    }
+    return object;
+  }, []);
+
+  const deleteObject = useCallback(async (id) => {
+    await dataSource.remove(id);
+    console.log(`🗑️ Deleted object ${id}`);
+    if (dataSource.cacheable) {
+      objectCache.applyChange({ type: 'DELETE', id, object: null });
+    }
+  }, []);
+
+  // Every object owned by `owner` (wallet address, any case), validated; `location` adds distance_meters
+  const listObjectsByOwner = useCallback(async (owner, { location = null } = {}) => {
+    const rows = await dataSource.listByOwner(owner.toLowerCase());
+    return normalizeObjects(rows, location, dataSource.name);
+  }, []);
 
   // Refresh connection
   const refreshConnection = useCallback(async () => {
@@ -280,10 +317,9 @@ export const useDatabase = () => {
         setState(prev => ({ ...prev, error: null }));
       }
 
-      console.log('🔄 Refreshing database connection...');
-      debugSupabaseConfig();
+      console.log(`🔄 Refreshing ${dataSource.name} connection...`);
 
-      const status = await getConnectionStatus();
+      const status = await dataSource.status();
       
       if (isMountedRef.current) {
         setState(prev => ({ 
@@ -336,6 +372,13 @@ export const useDatabase = () => {
     ...state,
     getNearbyObjects,
     getObjectById,
+    subscribeToObjectChanges,
+    createObject,
+    updateObject,
+    deleteObject,
+    listObjectsByOwner,
+    canWrite: dataSource.writable,
+    writeNeedsSignIn: dataSource.signInToWrite,
     refreshConnection,
     clearError,
   };
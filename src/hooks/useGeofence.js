@@ -0,0 +1,65 @@
+import { useState, useEffect, useMemo } from 'react';
+import { toast } from 'sonner';
+import geofenceService from '../services/geofence';
+
+// Track nearby objects' visibility radii; returns the objects the user is inside
+export const useGeofence = (objects, currentLocation, { enabled = true, notify = true } = {}) => {
+  const [insideIds, setInsideIds] = useState(() => geofenceService.getInsideIds());
+
+  // Follow the position stream and geofence events while enabled
+  useEffect(() => {
+    if (!enabled) return;
+
+    geofenceService.start();
+    const unsubscribers = [
+      geofenceService.subscribe('change', setInsideIds)
+    ];
+
+    if (notify) {
+      unsubscribers.push(
+        geofenceService.subscribe('enter', ({ object, distance }) => {
+          toast.success(`${object.name || 'Agent'} is nearby`, {
+            description: `${Math.round(distance)}m away • ${object.agent_type || object.object_type || 'agent'}`
+          });
+        }),
+        geofenceService.subscribe('dwell', ({ object }) => {
+          toast(`Still near ${object.name || 'an agent'}`, {
+            description: 'Tap the agent to start a conversation'
+          });
+        }),
+        geofenceService.subscribe('exit', ({ object, reason }) => {
+          if (reason === 'left') {
+            toast(`Left ${object.name || 'agent'}'s range`);
+          }
+        })
+      );
+    }
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      geofenceService.stop();
+    };
+  }, [enabled, notify]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    geofenceService.setFences(objects || []);
+  }, [objects, enabled]);
+
+  // Fixes that did not come through the position stream (first fix, fallback)
+  useEffect(() => {
+    if (!enabled || !currentLocation || currentLocation === geofenceService.lastPosition) return;
+    geofenceService.updatePosition(currentLocation);
+  }, [currentLocation, enabled]);
+
+  const visibleObjects = useMemo(() => {
+    const inside = new Set(insideIds);
+    return (objects || []).filter(object => inside.has(object.id));
+  }, [objects, insideIds]);
+
+  return {
+    insideIds,
+    visibleObjects,
+    getFenceState: (id) => geofenceService.getFenceState(id)
+  };
+};
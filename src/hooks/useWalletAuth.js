@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAddress, useSigner, useChainId, useConnectionStatus } from '@thirdweb-dev/react';
+import walletAuthService from '../services/walletAuth';
+
+// Sign-In With Ethereum session for the connected thirdweb wallet
+export const useWalletAuth = () => {
+  const address = useAddress();
+  const signer = useSigner();
+  const chainId = useChainId();
+  const connectionStatus = useConnectionStatus();
+  const [session, setSession] = useState(() => walletAuthService.getSession());
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => walletAuthService.subscribe('change', setSession), []);
+
+  // A session belongs to one wallet: disconnecting or switching accounts ends it.
+  // While thirdweb is still reconnecting after a reload the stored session is kept.
+  useEffect(() => {
+    const current = walletAuthService.getSession();
+    if (!current) return;
+
+    if (connectionStatus === 'disconnected' ||
+        (connectionStatus === 'connected' && address && current.address !== address.toLowerCase())) {
+      walletAuthService.signOut();
+    }
+  }, [address, connectionStatus]);
+
+  const signIn = useCallback(async () => {
+    if (!address || !signer) {
+      setError('Connect a wallet first');
+      return null;
+    }
+
+    setIsSigningIn(true);
+    setError(null);
+    try {
+      return await walletAuthService.signIn({
+        address,
+        chainId,
+        signMessage: (message) => signer.signMessage(message)
+      });
+    } catch (err) {
+      console.error('❌ Wallet sign-in failed:', err);
+      setError(err.message || 'Sign-in failed');
+      return null;
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, [address, signer, chainId]);
+
+  const signOut = useCallback(() => {
+    setError(null);
+    walletAuthService.signOut();
+  }, []);
+
+  const activeSession = session && address && session.address === address.toLowerCase() ? session : null;
+
+  return {
+    session: activeSession,
+    isSignedIn: !!activeSession,
+    isSigningIn,
+    error,
+    signIn,
+    signOut
+  };
+};
@@ -1,4 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
+import { surfaceDistance, boundingBox } from '../services/geodesy';
+import walletAuthService from '../services/walletAuth';
+import locationPrivacyService from '../services/locationPrivacy';
 
 // Supabase configuration - using environment variables for web
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || 'https://ncjbwzibnqrbrvicdmec.supabase.co';
@@ -11,13 +14,10 @@ const hasValidCredentials = SUPABASE_URL &&
   SUPABASE_ANON_KEY !== 'your_supabase_anon_key_here' &&
   SUPABASE_URL.startsWith('https://');
 
-// Create Supabase client
+// Create Supabase client. Requests carry the wallet session token when signed in
+// (see walletAuth), the anon key otherwise; Supabase Auth itself is not used.
 export const supabase = hasValidCredentials ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false,
-    detectSessionInUrl: false,
-  },
+  accessToken: async () => walletAuthService.getAccessToken(),
   realtime: {
     params: {
       eventsPerSecond: 10,
@@ -25,6 +25,11 @@ export const supabase = hasValidCredentials ? createClient(SUPABASE_URL, SUPABAS
   },
 }) : null;
 
+// Realtime keeps the token it joined with; hand it the new one on sign-in and sign-out
+walletAuthService.subscribe('change', (session) => {
+  supabase?.realtime.setAuth(session?.token || SUPABASE_ANON_KEY);
+});
+
 // Test connection function
 export const testConnection = async () => {
   try {
@@ -59,63 +64,141 @@ export const testConnection = async () => {
   }
 };
 
-// Get nearby objects from Supabase
-export const getNearbyObjectsFromSupabase = async (latitude, longitude, radius = 100) => {
-  try {
-    if (!hasValidCredentials || !supabase) {
-      console.warn('⚠️ No valid Supabase credentials, returning null');
-      return null;
+// Spatial query paging and fallback limits
+const DEFAULT_PAGE_SIZE = 50;
+// Rows read by the bounding-box fallback before distances are computed locally
+const BOUNDING_BOX_ROW_LIMIT = 1000;
+
+// PostgREST / Postgres codes for a function that does not exist
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// Flips to false once the nearby_objects RPC is found missing, so later queries skip it
+let nearbyRpcAvailable = true;
+
+// Columns the viewer reads: identity, placement, RTK precision and presentation
+const DEPLOYED_OBJECT_COLUMNS = [
+  'id', 'user_id', 'object_type', 'agent_type', 'name', 'description',
+  'latitude', 'longitude', 'altitude', 'altitude_datum',
+  'preciselatitude', 'preciselongitude', 'precisealtitude', 'accuracy', 'correctionapplied',
+  'model_url', 'model_type', 'scale_x', 'scale_y', 'scale_z', 'rotation_x', 'rotation_y', 'rotation_z',
+  'is_active', 'visibility_radius', 'interaction_fee', 'fee_token', 'created_at', 'updated_at'
+];
+
+// Without these a row is unusable; every other column falls back to a default
+const REQUIRED_COLUMNS = ['id', 'name', 'latitude', 'longitude', 'is_active'];
+
+// Shrinks when a query reports a column the table does not have (older schemas)
+let selectableColumns = [...DEPLOYED_OBJECT_COLUMNS];
+
+const missingColumn = (error) => {
+  if (error?.code !== '42703') return null;
+  return error.message?.match(/column (?:\w+\.)?"?(\w+)"? does not exist/)?.[1] || null;
+};
+
+// Select from deployed_objects, retrying without optional columns the table lacks.
+// `buildQuery` adds filters to the select and returns the query to run.
+const selectDeployedObjects = async (buildQuery) => {
+  for (;;) {
+    const result = await buildQuery(supabase.from('deployed_objects').select(selectableColumns.join(',')));
+    const column = missingColumn(result.error);
+
+    if (!column || REQUIRED_COLUMNS.includes(column) || !selectableColumns.includes(column)) {
+      return result;
     }
 
-    console.log(`🔍 Querying Supabase for objects near ${latitude.toFixed(6)}, ${longitude.toFixed(6)} within ${radius}m`);
+    console.warn(`⚠️ deployed_objects has no ${column} column, continuing without it`);
+    selectableColumns = selectableColumns.filter(name => name !== column);
+  }
+};
 
-    const { data, error } = await supabase
-      .from('deployed_objects')
-      .select(`
-        id,
-        name,
-        description,
-        latitude,
-        longitude,
-        altitude,
-        object_type,
-        user_id,
-        created_at,
-        is_active
-      `)
+// PostGIS path: distance-filtered, sorted and paginated in the database
+const queryNearbyRpc = async (latitude, longitude, radius, limit, offset) => {
+  const { data, error } = await supabase.rpc('nearby_objects', {
+    lat: latitude,
+    lon: longitude,
+    radius,
+    result_limit: limit,
+    result_offset: offset
+  });
+
+  if (error) {
+    if (MISSING_FUNCTION_CODES.includes(error.code)) {
+      console.warn('⚠️ nearby_objects RPC not installed, falling back to bounding-box queries');
+      nearbyRpcAvailable = false;
+      return undefined;
+    }
+    throw error;
+  }
+
+  return data || [];
+};
+
+// Fallback: prefilter by bounding box, then exact distance, sort and page locally
+const queryNearbyBoundingBox = async (latitude, longitude, radius, limit, offset) => {
+  const box = boundingBox(latitude, longitude, radius);
+
+  const { data, error } = await selectDeployedObjects(select => {
+    let query = select
       .eq('is_active', true)
-      .limit(100);
+      .gte('latitude', box.south)
+      .lte('latitude', box.north);
 
-    if (error) {
-      console.error('❌ Error fetching objects from Supabase:', error);
+    if (box.west < -180 || box.east > 180) {
+      // Box crosses the antimeridian: two longitude ranges
+      const west = box.west < -180 ? box.west + 360 : box.west;
+      const east = box.east > 180 ? box.east - 360 : box.east;
+      query = query.or(`longitude.gte.${west},longitude.lte.${east}`);
+    } else {
+      query = query.gte('longitude', box.west).lte('longitude', box.east);
+    }
+
+    return query.limit(BOUNDING_BOX_ROW_LIMIT);
+  });
+  if (error) throw error;
+
+  if (data?.length === BOUNDING_BOX_ROW_LIMIT) {
+    console.warn(`⚠️ Bounding box returned ${BOUNDING_BOX_ROW_LIMIT}+ rows; install the nearby_objects RPC for complete results`);
+  }
+
+  return (data || [])
+    .map(obj => ({
+      ...obj,
+      distance_meters: surfaceDistance(
+        { latitude, longitude },
+        // Same position the viewer places the object at: RTK-surveyed when available
+        {
+          latitude: Number(obj.preciselatitude ?? obj.latitude),
+          longitude: Number(obj.preciselongitude ?? obj.longitude)
+        }
+      )
+    }))
+    .filter(obj => obj.distance_meters <= radius)
+    .sort((a, b) => a.distance_meters - b.distance_meters)
+    .slice(offset, offset + limit);
+};
+
+// Get nearby objects from Supabase, nearest first.
+// Pass `offset` to page through results `limit` at a time.
+export const getNearbyObjectsFromSupabase = async (latitude, longitude, radius = 100, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) => {
+  try {
+    if (!hasValidCredentials || !supabase) {
+      console.warn('⚠️ No valid Supabase credentials, returning null');
       return null;
     }
 
-    // Calculate distances manually and filter by radius
-    const objectsWithDistance = data?.map(obj => {
-      const distance = calculateDistance(
-        latitude, longitude,
-        obj.latitude, obj.longitude
-      );
-      return {
-        ...obj,
-        model_url: 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf',
-        model_type: obj.object_type || 'sphere',
-        scale_x: 1.0,
-        scale_y: 1.0,
-        scale_z: 1.0,
-        rotation_x: 0.0,
-        rotation_y: 0.0,
-        rotation_z: 0.0,
-        visibility_radius: 50.0,
-        updated_at: obj.created_at,
-        distance_meters: distance * 1000 // Convert km to meters
-      };
-    }).filter(obj => (obj.distance_meters || 0) <= radius)
-      .sort((a, b) => (a.distance_meters || 0) - (b.distance_meters || 0)) || [];
+    console.log(`🔍 Querying Supabase for objects within ${radius}m (location ${locationPrivacyService.describe()})`);
+
+    if (nearbyRpcAvailable) {
+      const objects = await queryNearbyRpc(latitude, longitude, radius, limit, offset);
+      if (objects) {
+        console.log(`✅ Found ${objects.length} objects using nearby_objects RPC`);
+        return objects;
+      }
+    }
 
-    console.log(`✅ Found ${objectsWithDistance.length} objects using direct query`);
-    return objectsWithDistance;
+    const objects = await queryNearbyBoundingBox(latitude, longitude, radius, limit, offset);
+    console.log(`✅ Found ${objects.length} objects using bounding-box query`);
+    return objects;
 
   } catch (error) {
     console.error('❌ Error in getNearbyObjectsFromSupabase:', error);
@@ -123,18 +206,128 @@ export const getNearbyObjectsFromSupabase = async (latitude, longitude, radius =
   }
 };
 
-// Calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
+// Single deployed object by id, active or not. Resolves to null when no row has the id
+// and throws when Supabase cannot be queried, so callers can fall back to a cache.
+export const getObjectByIdFromSupabase = async (id) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  console.log(`🔍 Querying Supabase for object ${id}`);
+
+  const { data, error } = await selectDeployedObjects(select => select.eq('id', id).maybeSingle());
+
+  if (error) {
+    // Ids that are not valid uuids cannot match any row
+    if (error.code === '22P02') return null;
+    throw error;
+  }
+
+  return data || null;
+};
+
+// Every deployed object owned by `userId` (a lowercase wallet address), active or not, newest first
+export const getObjectsByOwnerFromSupabase = async (userId) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  console.log(`🔍 Querying Supabase for objects owned by ${userId}`);
+
+  const { data, error } = await selectDeployedObjects(select =>
+    select.eq('user_id', userId).order('created_at', { ascending: false })
+  );
+  if (error) throw error;
+  return data || [];
+};
+
+// Writes to deployed_objects. Each resolves to the stored row and throws on failure.
+export const insertDeployedObject = async (row) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { data, error } = await supabase.from('deployed_objects').insert(row).select().single();
+  if (error) throw error;
+  return data;
+};
+
+// Row-level security filters out rows the signed-in wallet does not own, so a rejected
+// update or delete looks like one that matched nothing
+const NOT_OWNED_MESSAGE = 'The object does not exist or is owned by another wallet (are you signed in?)';
+
+export const updateDeployedObject = async (id, changes) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('deployed_objects')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new Error(NOT_OWNED_MESSAGE);
+  return data;
+};
+
+export const deleteDeployedObject = async (id) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { data, error } = await supabase.from('deployed_objects').delete().eq('id', id).select('id');
+  if (error) throw error;
+  if (!data?.length) throw new Error(NOT_OWNED_MESSAGE);
+};
+
+// Batch of agent_interactions rows. Ids are generated on the device, so a batch that is
+// retried after a lost response is not stored twice.
+export const insertAgentInteractions = async (events) => {
+  if (!hasValidCredentials || !supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { error } = await supabase
+    .from('agent_interactions')
+    .upsert(events, { onConflict: 'id', ignoreDuplicates: true });
+  if (error) throw error;
+};
+
+// Realtime INSERT/UPDATE/DELETE on deployed_objects. postgres_changes accepts a
+// single column filter, so the area check happens in the caller.
+// `onChange` receives { type, id, object } (object is null for deletes).
+export const subscribeToDeployedObjects = (onChange, onStatus) => {
+  if (!hasValidCredentials || !supabase) {
+    return () => {};
+  }
+
+  const channel = supabase
+    .channel('deployed-objects-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'deployed_objects' }, (payload) => {
+      const isDelete = payload.eventType === 'DELETE';
+      const record = isDelete ? payload.old : payload.new;
+
+      onChange({
+        type: payload.eventType,
+        id: record?.id,
+        object: isDelete ? null : record
+      });
+    })
+    .subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        console.log('📡 Listening for deployed_objects changes');
+      } else if (error) {
+        console.warn(`⚠️ Realtime channel ${status}:`, error.message);
+      }
+      onStatus?.(status);
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
 
 // Health check function
 export const getConnectionStatus = async () => {
@@ -0,0 +1,141 @@
+// Agent Deployment
+// Form schemas for new and edited agents and the mapping from a location fix to the
+// placement columns of deployed_objects. RTK fixes are stored in the precise* columns so the
+// viewer places the agent at the surveyed position.
+
+import { z } from 'zod';
+import { AGENT_TYPES, DEFAULT_VISIBILITY_RADIUS } from './objectValidation';
+import { ALTITUDE_DATUM, altitudeIn } from './geoid';
+import { FIX_QUALITY, meetsFixQuality } from './fixQuality';
+
+export const MODEL_PRESETS = [
+  { label: 'Helmet', url: 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf' },
+  { label: 'Suzanne', url: 'https://threejs.org/examples/models/gltf/Suzanne/glTF/Suzanne.gltf' },
+  { label: 'Duck', url: 'https://threejs.org/examples/models/gltf/Duck/glTF/Duck.gltf' },
+  { label: 'Box', url: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf' }
+];
+
+// Number inputs hand back strings; blank ones are left for the required check
+const numberField = (min, max, label) =>
+  z.preprocess(
+    value => (value === '' || value === null || value === undefined ? undefined : Number(value)),
+    z.number({ required_error: `${label} is required`, invalid_type_error: `${label} must be a number` })
+      .finite()
+      .min(min, `${label} must be at least ${min}`)
+      .max(max, `${label} must be at most ${max}`)
+  );
+
+// Blank means free (null)
+const optionalFee = z.preprocess(
+  value => (value === '' || value === null || value === undefined ? null : Number(value)),
+  z.number({ invalid_type_error: 'Fee must be a number' }).finite().min(0, 'Fee cannot be negative').nullable()
+);
+
+// Fields an owner can edit after deployment
+export const agentDetailsSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(80, 'Name must be 80 characters or fewer'),
+  description: z.string().trim().max(500, 'Description must be 500 characters or fewer'),
+  agent_type: z.enum(AGENT_TYPES, { errorMap: () => ({ message: 'Choose an agent type' }) }),
+  visibility_radius: numberField(5, 500, 'Visibility radius'),
+  interaction_fee: optionalFee
+});
+
+export const deployAgentSchema = agentDetailsSchema.extend({
+  model_url: z.string().trim().url('Model must be a URL'),
+  scale: numberField(0.1, 10, 'Scale'),
+  rotation_y: numberField(0, 360, 'Heading')
+});
+
+export const DEFAULT_DEPLOY_VALUES = {
+  name: '',
+  description: '',
+  agent_type: AGENT_TYPES[0],
+  model_url: MODEL_PRESETS[0].url,
+  scale: 1,
+  rotation_y: 0,
+  visibility_radius: DEFAULT_VISIBILITY_RADIUS,
+  interaction_fee: ''
+};
+
+// Edit form values for an existing agent
+export const agentDetailsValues = (object) => ({
+  name: object.name,
+  description: object.description === 'No description available' ? '' : object.description || '',
+  agent_type: object.agent_type || AGENT_TYPES[0],
+  visibility_radius: object.visibility_radius,
+  interaction_fee: object.interaction_fee ?? ''
+});
+
+// Column changes for parsed edit form values
+export const agentDetailsChanges = (values) => ({
+  name: values.name,
+  description: values.description || null,
+  agent_type: values.agent_type,
+  visibility_radius: values.visibility_radius,
+  interaction_fee: values.interaction_fee
+});
+
+// RTK float or fixed: good enough to store as the precise placement
+export const isPrecisePlacement = (fix) => meetsFixQuality(fix, FIX_QUALITY.RTK_FLOAT);
+
+// Snapshot of a location fix, or of a survey result (rtkLocationService.survey),
+// to place an agent at. A survey's accuracy is its measured scatter.
+export const capturePlacement = (fix) => ({
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  altitude: fix.altitude ?? null,
+  altitudeDatum: fix.altitudeDatum || null,
+  accuracy: fix.accuracy ?? null,
+  fixQuality: fix.fixQuality || FIX_QUALITY.NO_FIX,
+  source: fix.source || 'Standard GPS',
+  capturedAt: Date.now(),
+  survey: fix.samples !== undefined
+    ? {
+        samples: fix.samples,
+        rejected: fix.rejected,
+        skipped: fix.skipped ?? 0,
+        horizontalStdDev: fix.horizontalStdDev,
+        verticalStdDev: fix.verticalStdDev,
+        durationMs: fix.durationMs
+      }
+    : null
+});
+
+// deployed_objects placement columns for a captured placement.
+// Altitude is stored above mean sea level when the geoid can convert it.
+export const placementColumns = (placement) => {
+  const orthometric = altitudeIn(placement, ALTITUDE_DATUM.EGM96);
+  const altitude = orthometric ?? placement.altitude;
+  const altitudeDatum = orthometric !== null ? ALTITUDE_DATUM.EGM96 : placement.altitudeDatum;
+  const precise = isPrecisePlacement(placement);
+
+  return {
+    latitude: placement.latitude,
+    longitude: placement.longitude,
+    altitude: altitude ?? null,
+    altitude_datum: altitude !== null && altitude !== undefined && altitudeDatum ? altitudeDatum : null,
+    accuracy: placement.accuracy,
+    correctionapplied: precise,
+    preciselatitude: precise ? placement.latitude : null,
+    preciselongitude: precise ? placement.longitude : null,
+    precisealtitude: precise ? altitude ?? null : null
+  };
+};
+
+// New deployed_objects row from parsed form values, owned by `owner` (wallet address).
+// user_id is stored lowercase, the form row-level security and owner queries compare.
+export const buildDeployedObject = (values, placement, owner) => ({
+  user_id: owner.toLowerCase(),
+  object_type: 'agent',
+  ...agentDetailsChanges(values),
+  model_url: values.model_url,
+  model_type: 'gltf',
+  scale_x: values.scale,
+  scale_y: values.scale,
+  scale_z: values.scale,
+  rotation_x: 0,
+  rotation_y: values.rotation_y % 360,
+  rotation_z: 0,
+  is_active: true,
+  ...placementColumns(placement)
+});
@@ -0,0 +1,80 @@
+// Data Source interface
+// Every backend the viewer can read agents from implements:
+//   nearby(latitude, longitude, radius, { limit, offset }) → rows, nearest first
+//   getById(id) → row, or null when no object has the id
+//   listByOwner(userId) → every row owned by userId, active or not; userId is a
+//     lowercase wallet address and matches user_id regardless of case
+//   subscribe(onChange, onStatus) → unsubscribe; onChange({ type, id, object })
+//   insert(row) / update(id, changes) / remove(id)
+//   recordInteractions(events) → stores agent_interactions rows (writable sources)
+//   status() → { connected, latency?, error? }
+// Rows are raw deployed_objects records (useDatabase validates them). Methods
+// throw when the backend cannot be reached so callers can fall back to the cache.
+
+import { surfaceDistance } from '../geodesy';
+
+export class DataSource {
+  constructor({ name, cacheable = false, writable = false, signInToWrite = false }) {
+    this.name = name;
+    // Results are worth keeping in the offline cache (remote backends)
+    this.cacheable = cacheable;
+    this.writable = writable;
+    // Writes are checked against a wallet session (walletAuth), not accepted anonymously
+    this.signInToWrite = signInToWrite;
+  }
+
+  async nearby() {
+    throw new Error(`The ${this.name} data source does not support nearby queries`);
+  }
+
+  async getById() {
+    throw new Error(`The ${this.name} data source does not support lookups by id`);
+  }
+
+  async listByOwner() {
+    throw new Error(`The ${this.name} data source does not support listing by owner`);
+  }
+
+  // Sources without change notifications never call back
+  subscribe() {
+    return () => {};
+  }
+
+  async insert() {
+    throw new Error(`The ${this.name} data source is read-only`);
+  }
+
+  async update() {
+    throw new Error(`The ${this.name} data source is read-only`);
+  }
+
+  async remove() {
+    throw new Error(`The ${this.name} data source is read-only`);
+  }
+
+  async recordInteractions() {
+    throw new Error(`The ${this.name} data source does not record interactions`);
+  }
+
+  async status() {
+    return { connected: true };
+  }
+}
+
+// Wallet addresses are stored and compared lowercase, as row-level security does
+export const ownsRow = (row, userId) => String(row.user_id ?? '').toLowerCase() === userId;
+
+// Position a row is placed at: RTK-surveyed when available
+const rowPosition = (row) => ({
+  latitude: Number(row.preciselatitude ?? row.latitude),
+  longitude: Number(row.preciselongitude ?? row.longitude)
+});
+
+// Nearby query over rows held locally: active rows within `radius`, nearest first, paged
+export const nearbyFromRows = (rows, latitude, longitude, radius, { limit = 50, offset = 0 } = {}) =>
+  rows
+    .filter(row => row.is_active !== false)
+    .map(row => ({ ...row, distance_meters: surfaceDistance({ latitude, longitude }, rowPosition(row)) }))
+    .filter(row => row.distance_meters <= radius)
+    .sort((a, b) => a.distance_meters - b.distance_meters)
+    .slice(offset, offset + limit);
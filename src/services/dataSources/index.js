@@ -0,0 +1,66 @@
+// Data source selection
+// VITE_DATA_SOURCE picks where agents come from:
+//   supabase – the Supabase project (default when credentials are set)
+//   rest     – a custom backend at VITE_DATA_SOURCE_URL (see restSource.js)
+//   static   – a JSON / GeoJSON file at VITE_DATA_SOURCE_URL
+//   memory   – an empty in-memory store, filled through writes
+//   mock     – seeded demo agents generated around the user (default without
+//              Supabase; shaped by VITE_SCENARIO_*, see scenario.js)
+
+import { isSupabaseConfigured } from '../../lib/supabase.js';
+import { SupabaseDataSource } from './supabaseSource';
+import { RestDataSource } from './restSource';
+import { StaticFileDataSource } from './staticFileSource';
+import { MemoryDataSource } from './memorySource';
+import { DEFAULT_SCENARIO, generateScenario, scenarioOptionsFromEnv } from './scenario';
+
+export const DATA_SOURCE_TYPES = ['supabase', 'rest', 'static', 'memory', 'mock'];
+
+export const createDataSource = ({ type, url, token } = {}) => {
+  switch (type) {
+    case 'supabase':
+      return new SupabaseDataSource();
+    case 'rest':
+      if (!url) throw new Error('The rest data source needs VITE_DATA_SOURCE_URL');
+      return new RestDataSource({ url, token });
+    case 'static':
+      if (!url) throw new Error('The static data source needs VITE_DATA_SOURCE_URL');
+      return new StaticFileDataSource({ url });
+    case 'memory':
+      return new MemoryDataSource();
+    case 'mock': {
+      // Regenerated around the user once they leave the scenario's radius
+      const scenario = scenarioOptionsFromEnv();
+      return new MemoryDataSource({
+        name: 'mock',
+        seed: (location) => generateScenario(location, scenario),
+        seedRadius: scenario.radius ?? DEFAULT_SCENARIO.radius
+      });
+    }
+    default:
+      throw new Error(`Unknown data source "${type}" (expected one of ${DATA_SOURCE_TYPES.join(', ')})`);
+  }
+};
+
+const configuredDataSource = () => {
+  const type = import.meta.env.VITE_DATA_SOURCE || (isSupabaseConfigured ? 'supabase' : 'mock');
+
+  try {
+    const source = createDataSource({
+      type,
+      url: import.meta.env.VITE_DATA_SOURCE_URL,
+      token: import.meta.env.VITE_DATA_SOURCE_TOKEN
+    });
+    console.log(`🗄️ Data source: ${source.name}`);
+    return source;
+  } catch (error) {
+    console.error(`❌ ${error.message}; using demo data`);
+    return createDataSource({ type: 'mock' });
+  }
+};
+
+const dataSource = configuredDataSource();
+
+export default dataSource;
+export { DataSource } from './base';
+export { SupabaseDataSource, RestDataSource, StaticFileDataSource, MemoryDataSource };
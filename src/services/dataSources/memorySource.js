@@ -0,0 +1,96 @@
+// In-memory data source: rows live in a Map for the session. Used for demos and
+// fixtures; `seed(location)` can generate rows around the first nearby query, and
+// again around any later query more than `seedRadius` meters from that location.
+
+import { DataSource, nearbyFromRows, ownsRow } from './base';
+import { surfaceDistance } from '../geodesy';
+
+const MAX_INTERACTIONS = 1000;
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `memory-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+export class MemoryDataSource extends DataSource {
+  constructor({ name = 'memory', objects = [], seed = null, seedRadius = Infinity } = {}) {
+    super({ name, writable: true });
+    this.rows = new Map(objects.map(row => [String(row.id), row]));
+    this.seed = seed;
+    this.seedRadius = seedRadius;
+    this.seededAt = null;
+    this.seededIds = new Set();
+    this.listeners = new Set();
+    this.interactions = [];
+  }
+
+  async nearby(latitude, longitude, radius, options) {
+    const location = { latitude, longitude };
+    if (this.seed && (!this.seededAt || surfaceDistance(this.seededAt, location) > this.seedRadius)) {
+      this.seedAround(location);
+    }
+    return nearbyFromRows(Array.from(this.rows.values()), latitude, longitude, radius, options);
+  }
+
+  // Replace the generated rows with rows generated around `location`; rows added
+  // through insert() are kept
+  seedAround(location) {
+    this.seededIds.forEach(id => this.rows.delete(id));
+    const rows = this.seed(location);
+    rows.forEach(row => this.rows.set(String(row.id), row));
+    this.seededIds = new Set(rows.map(row => String(row.id)));
+    this.seededAt = location;
+  }
+
+  async getById(id) {
+    return this.rows.get(String(id)) || null;
+  }
+
+  async listByOwner(userId) {
+    return Array.from(this.rows.values()).filter(row => ownsRow(row, userId));
+  }
+
+  subscribe(onChange, onStatus) {
+    this.listeners.add(onChange);
+    onStatus?.('SUBSCRIBED');
+    return () => this.listeners.delete(onChange);
+  }
+
+  notify(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('❌ Memory data source listener error:', error);
+      }
+    });
+  }
+
+  async insert(row) {
+    const now = new Date().toISOString();
+    const stored = { created_at: now, updated_at: now, is_active: true, ...row, id: row.id ?? newId() };
+    this.rows.set(String(stored.id), stored);
+    this.notify({ type: 'INSERT', id: stored.id, object: stored });
+    return stored;
+  }
+
+  async update(id, changes) {
+    const existing = this.rows.get(String(id));
+    if (!existing) {
+      throw new Error(`No object with id ${id}`);
+    }
+
+    const stored = { ...existing, ...changes, id: existing.id, updated_at: new Date().toISOString() };
+    this.rows.set(String(id), stored);
+    this.notify({ type: 'UPDATE', id: stored.id, object: stored });
+    return stored;
+  }
+
+  async remove(id) {
+    if (this.rows.delete(String(id))) {
+      this.notify({ type: 'DELETE', id, object: null });
+    }
+  }
+
+  // Kept for the session only; the newest MAX_INTERACTIONS
+  async recordInteractions(events) {
+    this.interactions = [...this.interactions, ...events].slice(-MAX_INTERACTIONS);
+  }
+}
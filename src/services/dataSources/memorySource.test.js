@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MemoryDataSource } from './memorySource';
+import { generateScenario } from './scenario';
+
+const ORIGIN = { latitude: 37.7749, longitude: -122.4194 };
+const METERS_PER_DEGREE_LATITUDE = 111195;
+
+const north = (meters) => ({
+  latitude: ORIGIN.latitude + meters / METERS_PER_DEGREE_LATITUDE,
+  longitude: ORIGIN.longitude
+});
+
+const nearby = (source, { latitude, longitude }, radius = 100) =>
+  source.nearby(latitude, longitude, radius, { limit: 100 });
+
+describe('MemoryDataSource seeding', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const scenarioSource = () => {
+    const seed = vi.fn(location => generateScenario(location, { count: 5, radius: 80 }));
+    return { seed, source: new MemoryDataSource({ name: 'mock', seed, seedRadius: 80 }) };
+  };
+
+  it('seeds around the first query', async () => {
+    const { seed, source } = scenarioSource();
+
+    expect(await nearby(source, ORIGIN)).toHaveLength(5);
+    expect(seed).toHaveBeenCalledWith(ORIGIN);
+  });
+
+  it('keeps the seed while queries stay inside the seeded area', async () => {
+    const { seed, source } = scenarioSource();
+
+    await nearby(source, ORIGIN);
+    await nearby(source, north(60));
+
+    expect(seed).toHaveBeenCalledTimes(1);
+  });
+
+  it('regenerates the seed around a query outside the seeded area', async () => {
+    const { seed, source } = scenarioSource();
+    const away = north(2000);
+
+    await nearby(source, ORIGIN);
+    const rows = await nearby(source, away);
+
+    expect(seed).toHaveBeenLastCalledWith(away);
+    expect(rows).toHaveLength(5);
+    expect(rows.every(row => row.distance_meters <= 80)).toBe(true);
+    // The earlier agents are replaced, not left behind at the old location
+    expect(source.rows.size).toBe(5);
+    expect(await nearby(source, ORIGIN)).toHaveLength(5);
+    expect(seed).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps inserted rows when reseeding', async () => {
+    const { source } = scenarioSource();
+
+    await nearby(source, ORIGIN);
+    const placed = await source.insert({ name: 'Placed', ...ORIGIN, user_id: '0xabc' });
+    await nearby(source, north(2000));
+
+    expect(await source.getById(placed.id)).toMatchObject({ name: 'Placed' });
+    expect(await source.listByOwner('0xabc')).toHaveLength(1);
+  });
+
+  it('seeds only once without a seed radius', async () => {
+    const seed = vi.fn(() => [{ id: 'fixture', ...ORIGIN }]);
+    const source = new MemoryDataSource({ seed });
+
+    await nearby(source, ORIGIN);
+    expect(await nearby(source, north(100000))).toEqual([]);
+    expect(seed).toHaveBeenCalledTimes(1);
+  });
+});
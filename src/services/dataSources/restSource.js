@@ -0,0 +1,115 @@
+// REST data source for custom backends. Expected endpoints under the base URL:
+//   GET    /objects/nearby?lat=&lon=&radius=&limit=&offset=  → rows (array or { objects })
+//   GET    /objects/:id                                      → row, 404 when missing
+//   GET    /objects?user_id=                                 → rows owned by user_id (lowercase)
+//   POST   /objects          PATCH /objects/:id          DELETE /objects/:id
+//   POST   /interactions     array of agent_interactions rows
+//   GET    /objects/events   (optional) Server-Sent Events, each data: { type, id, object }
+//   GET    /health           (optional) any 2xx
+// A bearer token is sent when configured.
+
+import { DataSource } from './base';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class RestDataSource extends DataSource {
+  constructor({ url, token = null }) {
+    super({ name: 'rest', cacheable: true, writable: true });
+    this.baseUrl = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  async request(path, { method = 'GET', body, allowNotFound = false } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        signal: controller.signal,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(this.token && { Authorization: `Bearer ${this.token}` })
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+
+      if (allowNotFound && response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`${method} ${path} returned ${response.status}`);
+      }
+      return response.status === 204 ? null : response.json();
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async nearby(latitude, longitude, radius, { limit = 50, offset = 0 } = {}) {
+    const params = new URLSearchParams({ lat: latitude, lon: longitude, radius, limit, offset });
+    const data = await this.request(`/objects/nearby?${params}`);
+    return Array.isArray(data) ? data : data?.objects || [];
+  }
+
+  getById(id) {
+    return this.request(`/objects/${encodeURIComponent(id)}`, { allowNotFound: true });
+  }
+
+  async listByOwner(userId) {
+    const data = await this.request(`/objects?${new URLSearchParams({ user_id: userId })}`);
+    return Array.isArray(data) ? data : data?.objects || [];
+  }
+
+  insert(row) {
+    return this.request('/objects', { method: 'POST', body: row });
+  }
+
+  update(id, changes) {
+    return this.request(`/objects/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+  }
+
+  async remove(id) {
+    await this.request(`/objects/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  async recordInteractions(events) {
+    await this.request('/interactions', { method: 'POST', body: events });
+  }
+
+  subscribe(onChange, onStatus) {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    const events = new EventSource(`${this.baseUrl}/objects/events`);
+    events.onopen = () => {
+      console.log('📡 Listening for REST object events');
+      onStatus?.('SUBSCRIBED');
+    };
+    events.onmessage = (message) => {
+      try {
+        const change = JSON.parse(message.data);
+        onChange({ type: change.type, id: change.id ?? change.object?.id, object: change.object ?? null });
+      } catch (error) {
+        console.warn('⚠️ Ignoring malformed object event:', error.message);
+      }
+    };
+    events.onerror = () => {
+      // EventSource retries by itself unless the endpoint is missing or refused
+      if (events.readyState === EventSource.CLOSED) {
+        console.warn('⚠️ REST object events unavailable');
+        onStatus?.('CLOSED');
+      }
+    };
+
+    return () => events.close();
+  }
+
+  async status() {
+    const startTime = Date.now();
+    try {
+      await this.request('/health');
+      return { connected: true, latency: Date.now() - startTime };
+    } catch (error) {
+      return { connected: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,236 @@
+// Seeded scenario generator for demo and dev builds
+// Places `count` agents around an origin so the same seed and options always give
+// the same agents at the same offsets. Coordinates come from real geodesy, so
+// distances computed from them (and distance_meters here) are consistent.
+
+import { ALTITUDE_DATUM } from '../geoid';
+import { AGENT_TYPES } from '../objectValidation';
+import { metersPerDegree, surfaceDistance } from '../geodesy';
+
+export const DENSITY_PATTERNS = ['uniform', 'clustered', 'street-grid'];
+
+export const DEFAULT_SCENARIO = {
+  seed: 'near',
+  count: 5,
+  radius: 80,
+  altitudeRange: [5, 15],
+  pattern: 'uniform',
+  // Relative weights by agent type; types left out are never generated
+  typeMix: Object.fromEntries(AGENT_TYPES.map(type => [type, 1])),
+  // street-grid: distance between parallel streets (meters)
+  blockSize: 60
+};
+
+// Names, pitches and models per agent type
+const AGENT_PROFILES = {
+  'Intelligent Assistant': {
+    names: ['AI Helper', 'Research Aide', 'Insight Bot', 'Query Companion'],
+    description: 'An intelligent AI assistant to help with analysis, research, and problem-solving',
+    modelUrl: 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf'
+  },
+  'Content Creator': {
+    names: ['Creative Assistant', 'Story Weaver', 'Design Muse', 'Copy Crafter'],
+    description: 'I help create engaging content, stories, and visual materials for your projects',
+    modelUrl: 'https://threejs.org/examples/models/gltf/Suzanne/glTF/Suzanne.gltf'
+  },
+  'Local Services': {
+    names: ['Service Connector', 'Neighborhood Guide', 'Errand Runner', 'Repair Finder'],
+    description: 'I connect you with trusted local service providers in your area',
+    modelUrl: 'https://threejs.org/examples/models/gltf/Duck/glTF/Duck.gltf'
+  },
+  'Tutor/Teacher': {
+    names: ['Learning Guide', 'Math Mentor', 'Language Coach', 'Study Partner'],
+    description: 'I provide personalized tutoring and educational support on various subjects',
+    modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Duck/glTF/Duck.gltf'
+  },
+  'Game Agent': {
+    names: ['Game Buddy', 'Quest Master', 'Puzzle Sprite', 'Arcade Ace'],
+    description: 'Interactive gaming companion for fun challenges and entertainment',
+    modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf'
+  }
+};
+
+// 32-bit hash of the seed (strings and numbers alike)
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box–Muller)
+const gaussian = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const pickWeighted = (random, entries, total) => {
+  let target = random() * total;
+  for (const [value, weight] of entries) {
+    target -= weight;
+    if (target < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+};
+
+// Uniform over the disc (sqrt keeps the density even toward the edge)
+const uniformOffset = (random, radius) => ({
+  bearing: random() * 360,
+  distance: radius * Math.sqrt(random())
+});
+
+// Offsets in meters (east, north) → { bearing, distance }
+const polar = (east, north) => ({
+  bearing: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360,
+  distance: Math.hypot(east, north)
+});
+
+// A few hotspots with agents scattered normally around each
+const clusteredOffsets = (random, count, radius) => {
+  const clusterCount = Math.max(1, Math.round(Math.sqrt(count) / 2));
+  const spread = radius / (2 + clusterCount);
+  const centers = Array.from({ length: clusterCount }, () => {
+    const { bearing, distance } = uniformOffset(random, radius * 0.8);
+    const theta = bearing * Math.PI / 180;
+    return { east: distance * Math.sin(theta), north: distance * Math.cos(theta) };
+  });
+
+  return Array.from({ length: count }, () => {
+    const center = pick(random, centers);
+    const offset = polar(center.east + gaussian(random) * spread, center.north + gaussian(random) * spread);
+    return { ...offset, distance: Math.min(offset.distance, radius) };
+  });
+};
+
+// Agents along north–south and east–west streets `blockSize` apart, a couple of
+// meters off the centerline as if on the sidewalk
+const streetGridOffsets = (random, count, radius, blockSize) => {
+  const streets = Math.floor(radius / blockSize);
+
+  return Array.from({ length: count }, () => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const street = (Math.floor(random() * (2 * streets + 1)) - streets) * blockSize + (random() < 0.5 ? -3 : 3);
+      const along = (random() * 2 - 1) * radius;
+      const offset = random() < 0.5 ? polar(street, along) : polar(along, street);
+      if (offset.distance <= radius) return offset;
+    }
+    return uniformOffset(random, radius);
+  });
+};
+
+const offsetsFor = (random, { pattern, count, radius, blockSize }) => {
+  switch (pattern) {
+    case 'clustered':
+      return clusteredOffsets(random, count, radius);
+    case 'street-grid':
+      return streetGridOffsets(random, count, radius, blockSize);
+    default:
+      return Array.from({ length: count }, () => uniformOffset(random, radius));
+  }
+};
+
+// Deterministic deployed_objects rows around `origin`
+export const generateScenario = (origin, options = {}) => {
+  const config = { ...DEFAULT_SCENARIO, ...options };
+  const { seed, count, radius, pattern } = config;
+  const [minAltitude, maxAltitude] = config.altitudeRange;
+
+  if (!DENSITY_PATTERNS.includes(pattern)) {
+    throw new Error(`Unknown density pattern "${pattern}" (expected one of ${DENSITY_PATTERNS.join(', ')})`);
+  }
+
+  const typeEntries = Object.entries(config.typeMix).filter(([type, weight]) => AGENT_PROFILES[type] && weight > 0);
+  if (typeEntries.length === 0) {
+    throw new Error('The agent type mix needs at least one known type with a positive weight');
+  }
+  const totalWeight = typeEntries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  const random = createRandom(seed);
+  const offsets = offsetsFor(random, config);
+  // Timestamps are fixed too, so reloading a scenario does not look like an update
+  const createdAt = new Date(Date.UTC(2026, 0, 1)).toISOString();
+  // Local ellipsoidal projection: keeps grid streets straight and agents inside `radius`
+  // as measured by surfaceDistance (scenarios span meters to a few kilometers)
+  const perDegree = metersPerDegree(origin.latitude);
+
+  const objects = offsets.map(({ bearing, distance }, index) => {
+    const agentType = pickWeighted(random, typeEntries, totalWeight);
+    const profile = AGENT_PROFILES[agentType];
+    const scale = Math.round((0.5 + random() * 1.5) * 10) / 10;
+    const theta = bearing * Math.PI / 180;
+    const position = {
+      latitude: origin.latitude + distance * Math.cos(theta) / perDegree.latitude,
+      longitude: origin.longitude + distance * Math.sin(theta) / perDegree.longitude
+    };
+
+    return {
+      id: `mock-${index + 1}`,
+      user_id: 'demo-user',
+      object_type: 'agent',
+      agent_type: agentType,
+      // Numbered once there are more agents than types, so names stay unique
+      name: count > typeEntries.length ? `${pick(random, profile.names)} ${index + 1}` : pick(random, profile.names),
+      description: profile.description,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      altitude: Math.round((minAltitude + random() * (maxAltitude - minAltitude)) * 10) / 10,
+      altitude_datum: ALTITUDE_DATUM.EGM96,
+      model_url: profile.modelUrl,
+      model_type: 'gltf',
+      scale_x: scale,
+      scale_y: scale,
+      scale_z: scale,
+      rotation_x: 0.0,
+      rotation_y: Math.round(random() * 8) * 45,
+      rotation_z: 0.0,
+      is_active: true,
+      visibility_radius: 50 + Math.round(random() * 50),
+      created_at: createdAt,
+      updated_at: createdAt,
+      distance_meters: surfaceDistance(origin, position)
+    };
+  });
+
+  console.log(`🎲 Generated ${objects.length} ${pattern} agents within ${radius}m (seed "${seed}")`);
+  return objects;
+};
+
+// "Game Agent:3,Tutor/Teacher:1" → { 'Game Agent': 3, 'Tutor/Teacher': 1 }
+const parseTypeMix = (value) =>
+  Object.fromEntries(value.split(',').map(entry => {
+    const separator = entry.lastIndexOf(':');
+    return separator === -1
+      ? [entry.trim(), 1]
+      : [entry.slice(0, separator).trim(), Number(entry.slice(separator + 1))];
+  }));
+
+// Scenario options from VITE_SCENARIO_* variables; unset ones keep the defaults
+export const scenarioOptionsFromEnv = (env = import.meta.env) => {
+  const options = {};
+  if (env.VITE_SCENARIO_SEED) options.seed = env.VITE_SCENARIO_SEED;
+  const count = parseInt(env.VITE_SCENARIO_COUNT, 10);
+  if (count >= 0) options.count = count;
+  if (Number(env.VITE_SCENARIO_RADIUS) > 0) options.radius = Number(env.VITE_SCENARIO_RADIUS);
+  if (env.VITE_SCENARIO_PATTERN) options.pattern = env.VITE_SCENARIO_PATTERN;
+  if (env.VITE_SCENARIO_TYPES) options.typeMix = parseTypeMix(env.VITE_SCENARIO_TYPES);
+  if (env.VITE_SCENARIO_ALTITUDE) {
+    const [min, max = min] = env.VITE_SCENARIO_ALTITUDE.split(',').map(Number);
+    if (Number.isFinite(min) && Number.isFinite(max)) options.altitudeRange = [Math.min(min, max), Math.max(min, max)];
+  }
+  return options;
+};
@@ -0,0 +1,80 @@
+// Static file data source: a JSON array of deployed_objects rows ({ objects: [...] }
+// also works) or a GeoJSON FeatureCollection of Points, fetched once and queried locally.
+
+import { DataSource, nearbyFromRows, ownsRow } from './base';
+
+// GeoJSON Point feature → deployed_objects row; properties carry the other columns
+const featureToRow = (feature) => {
+  const [longitude, latitude, altitude] = feature.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+  return {
+    ...feature.properties,
+    id: feature.id ?? feature.properties?.id,
+    latitude,
+    longitude,
+    altitude: altitude ?? feature.properties?.altitude
+  };
+};
+
+export const parseObjectFile = (data) => {
+  if (data?.type === 'FeatureCollection') {
+    return (data.features || []).map(featureToRow);
+  }
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.objects)) return data.objects;
+  throw new Error('Expected a GeoJSON FeatureCollection or an array of objects');
+};
+
+export class StaticFileDataSource extends DataSource {
+  constructor({ url }) {
+    super({ name: 'static' });
+    this.url = url;
+    this.rowsPromise = null;
+  }
+
+  load() {
+    if (!this.rowsPromise) {
+      this.rowsPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`${this.url} returned ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          const rows = parseObjectFile(data);
+          console.log(`📂 Loaded ${rows.length} objects from ${this.url}`);
+          return rows;
+        });
+
+      // Let a failed load be retried on the next query
+      this.rowsPromise.catch(() => {
+        this.rowsPromise = null;
+      });
+    }
+    return this.rowsPromise;
+  }
+
+  async nearby(latitude, longitude, radius, options) {
+    return nearbyFromRows(await this.load(), latitude, longitude, radius, options);
+  }
+
+  async getById(id) {
+    const rows = await this.load();
+    return rows.find(row => String(row.id) === String(id)) || null;
+  }
+
+  async listByOwner(userId) {
+    const rows = await this.load();
+    return rows.filter(row => ownsRow(row, userId));
+  }
+
+  async status() {
+    try {
+      const startTime = Date.now();
+      await this.load();
+      return { connected: true, latency: Date.now() - startTime };
+    } catch (error) {
+      return { connected: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// Supabase data source: deployed_objects through PostgREST, nearby_objects RPC and Realtime.
+// Row-level security only lets a signed-in wallet change the objects it owns.
+
+import { DataSource } from './base';
+import {
+  getNearbyObjectsFromSupabase,
+  getObjectByIdFromSupabase,
+  getObjectsByOwnerFromSupabase,
+  subscribeToDeployedObjects,
+  insertDeployedObject,
+  updateDeployedObject,
+  deleteDeployedObject,
+  insertAgentInteractions,
+  getConnectionStatus,
+  debugSupabaseConfig
+} from '../../lib/supabase.js';
+
+export class SupabaseDataSource extends DataSource {
+  constructor() {
+    super({ name: 'supabase', cacheable: true, writable: true, signInToWrite: true });
+  }
+
+  async nearby(latitude, longitude, radius, options) {
+    const rows = await getNearbyObjectsFromSupabase(latitude, longitude, radius, options);
+    if (rows === null) {
+      throw new Error('Supabase query failed');
+    }
+    return rows;
+  }
+
+  getById(id) {
+    return getObjectByIdFromSupabase(id);
+  }
+
+  listByOwner(userId) {
+    return getObjectsByOwnerFromSupabase(userId);
+  }
+
+  subscribe(onChange, onStatus) {
+    return subscribeToDeployedObjects(onChange, onStatus);
+  }
+
+  insert(row) {
+    return insertDeployedObject(row);
+  }
+
+  update(id, changes) {
+    return updateDeployedObject(id, changes);
+  }
+
+  remove(id) {
+    return deleteDeployedObject(id);
+  }
+
+  recordInteractions(events) {
+    return insertAgentInteractions(events);
+  }
+
+  status() {
+    debugSupabaseConfig();
+    return getConnectionStatus();
+  }
+}
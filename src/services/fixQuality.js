@@ -0,0 +1,92 @@
+// GNSS Fix Quality Model
+// Classifies each position as no fix / single / DGPS / RTK float / RTK fixed and
+// attaches correction age, satellite, DOP and base-station baseline details.
+
+import { ALTITUDE_DATUM, altitudeIn } from './geoid';
+import { geodeticToECEF } from './geodesy';
+
+export const FIX_QUALITY = {
+  NO_FIX: 'no_fix',
+  SINGLE: 'single',
+  DGPS: 'dgps',
+  RTK_FLOAT: 'rtk_float',
+  RTK_FIXED: 'rtk_fixed'
+};
+
+// Ordering used for minimum-quality checks
+export const FIX_QUALITY_RANK = {
+  [FIX_QUALITY.NO_FIX]: 0,
+  [FIX_QUALITY.SINGLE]: 1,
+  [FIX_QUALITY.DGPS]: 2,
+  [FIX_QUALITY.RTK_FLOAT]: 3,
+  [FIX_QUALITY.RTK_FIXED]: 4
+};
+
+export const FIX_QUALITY_LABELS = {
+  [FIX_QUALITY.NO_FIX]: 'No Fix',
+  [FIX_QUALITY.SINGLE]: 'Single',
+  [FIX_QUALITY.DGPS]: 'DGPS',
+  [FIX_QUALITY.RTK_FLOAT]: 'RTK Float',
+  [FIX_QUALITY.RTK_FIXED]: 'RTK Fixed'
+};
+
+// NMEA GGA quality indicator → fix quality
+const GGA_QUALITY = {
+  0: FIX_QUALITY.NO_FIX,
+  1: FIX_QUALITY.SINGLE,
+  2: FIX_QUALITY.DGPS,
+  4: FIX_QUALITY.RTK_FIXED,
+  5: FIX_QUALITY.RTK_FLOAT
+};
+
+// Straight-line distance (meters) from the rover to the base station ARP
+export const baselineDistance = (position, baseStationEcef) => {
+  if (!position || !baseStationEcef) return null;
+
+  const rover = geodeticToECEF(position.latitude, position.longitude, altitudeIn(position, ALTITUDE_DATUM.ELLIPSOID) ?? 0);
+  return Math.hypot(
+    rover.x - baseStationEcef.x,
+    rover.y - baseStationEcef.y,
+    rover.z - baseStationEcef.z
+  );
+};
+
+export const fromGGAQuality = (indicator) => GGA_QUALITY[indicator] || FIX_QUALITY.SINGLE;
+
+// Determine fix quality for a position. Only a source that reports its own solution
+// (e.g. an external receiver's GGA) can be DGPS or RTK: a live correction stream does
+// not change a browser fix, however small its reported accuracy.
+export const classifyFix = (position) => {
+  if (!position || !Number.isFinite(position.latitude) || !Number.isFinite(position.longitude)) {
+    return FIX_QUALITY.NO_FIX;
+  }
+
+  if (position.ggaQuality !== undefined && position.ggaQuality !== null) {
+    return fromGGAQuality(position.ggaQuality);
+  }
+  return FIX_QUALITY.SINGLE;
+};
+
+// Fix-quality fields attached to every emitted position. `correction` is the live
+// correction stream (or null); it is reported, not assumed to be applied.
+export const describeFix = (position, correction) => {
+  const fixQuality = classifyFix(position);
+
+  return {
+    fixQuality,
+    fixQualityLabel: FIX_QUALITY_LABELS[fixQuality],
+    correctionsAvailable: !!correction,
+    correctionAge: correction ? correction.correctionAge : null,
+    satellitesUsed: position?.satellitesUsed ?? null,
+    hdop: position?.hdop ?? null,
+    vdop: position?.vdop ?? null,
+    baselineDistance: correction?.baseStation ? baselineDistance(position, correction.baseStation.ecef) : null
+  };
+};
+
+// True when a position's fix quality is at least `minimum`
+export const meetsFixQuality = (position, minimum) => {
+  if (!minimum) return true;
+  const quality = position?.fixQuality || FIX_QUALITY.NO_FIX;
+  return FIX_QUALITY_RANK[quality] >= FIX_QUALITY_RANK[minimum];
+};
@@ -0,0 +1,353 @@
+// Geodesy Utilities
+// WGS84 conversions between geodetic, ECEF and local ENU coordinates, plus
+// distances, bearings, elevation angles and UTM projection.
+// Points are { latitude, longitude, altitude } in degrees and meters; altitude
+// is the ellipsoidal height (see geoid.js to convert from mean sea level).
+
+export const WGS84 = {
+  A: 6378137.0,
+  F: 1 / 298.257223563,
+  B: 6356752.314245179,
+  E2: 6.69437999014e-3
+};
+
+export const MEAN_EARTH_RADIUS = 6371008.8;
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+export const toRadians = (degrees) => degrees * DEG_TO_RAD;
+export const toDegrees = (radians) => radians * RAD_TO_DEG;
+
+const heightOf = (point) => point.altitude ?? 0;
+
+// Geodetic → Earth-centred, Earth-fixed (meters)
+export const geodeticToECEF = (latitude, longitude, altitude = 0) => {
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const n = WGS84.A / Math.sqrt(1 - WGS84.E2 * sinLat * sinLat);
+
+  return {
+    x: (n + altitude) * Math.cos(lat) * Math.cos(lon),
+    y: (n + altitude) * Math.cos(lat) * Math.sin(lon),
+    z: (n * (1 - WGS84.E2) + altitude) * sinLat
+  };
+};
+
+// ECEF → geodetic (Bowring's method, sub-millimetre for terrestrial points)
+export const ecefToGeodetic = ({ x, y, z }) => {
+  const ep2 = (WGS84.A * WGS84.A - WGS84.B * WGS84.B) / (WGS84.B * WGS84.B);
+  const p = Math.hypot(x, y);
+  const theta = Math.atan2(z * WGS84.A, p * WGS84.B);
+  const sinTheta = Math.sin(theta);
+  const cosTheta = Math.cos(theta);
+
+  const lat = Math.atan2(
+    z + ep2 * WGS84.B * sinTheta ** 3,
+    p - WGS84.E2 * WGS84.A * cosTheta ** 3
+  );
+  const lon = Math.atan2(y, x);
+  const sinLat = Math.sin(lat);
+  const n = WGS84.A / Math.sqrt(1 - WGS84.E2 * sinLat * sinLat);
+
+  // Near the poles p/cos(lat) is ill-conditioned; use the z form instead
+  const altitude = Math.abs(lat) < Math.PI / 4
+    ? p / Math.cos(lat) - n
+    : z / sinLat - n * (1 - WGS84.E2);
+
+  return { latitude: lat * RAD_TO_DEG, longitude: lon * RAD_TO_DEG, altitude };
+};
+
+// ECEF → east/north/up relative to a geodetic origin
+export const ecefToENU = (ecef, origin) => {
+  const reference = geodeticToECEF(origin.latitude, origin.longitude, heightOf(origin));
+  const dx = ecef.x - reference.x;
+  const dy = ecef.y - reference.y;
+  const dz = ecef.z - reference.z;
+
+  const lat = origin.latitude * DEG_TO_RAD;
+  const lon = origin.longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  return {
+    east: -sinLon * dx + cosLon * dy,
+    north: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+    up: cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz
+  };
+};
+
+// East/north/up relative to a geodetic origin → ECEF
+export const enuToECEF = ({ east, north, up = 0 }, origin) => {
+  const reference = geodeticToECEF(origin.latitude, origin.longitude, heightOf(origin));
+
+  const lat = origin.latitude * DEG_TO_RAD;
+  const lon = origin.longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  return {
+    x: reference.x - sinLon * east - sinLat * cosLon * north + cosLat * cosLon * up,
+    y: reference.y + cosLon * east - sinLat * sinLon * north + cosLat * sinLon * up,
+    z: reference.z + cosLat * north + sinLat * up
+  };
+};
+
+export const geodeticToENU = (point, origin) =>
+  ecefToENU(geodeticToECEF(point.latitude, point.longitude, heightOf(point)), origin);
+
+export const enuToGeodetic = (enu, origin) => ecefToGeodetic(enuToECEF(enu, origin));
+
+// Meters per degree of latitude and longitude at a latitude
+export const metersPerDegree = (latitude) => {
+  const sinLat = Math.sin(latitude * DEG_TO_RAD);
+  const denominator = 1 - WGS84.E2 * sinLat * sinLat;
+  const meridional = WGS84.A * (1 - WGS84.E2) / Math.pow(denominator, 1.5);
+  const prime = WGS84.A / Math.sqrt(denominator);
+  return {
+    latitude: meridional * DEG_TO_RAD,
+    longitude: prime * Math.cos(latitude * DEG_TO_RAD) * DEG_TO_RAD
+  };
+};
+
+// Latitude/longitude box around a point that contains the radius circle.
+// west/east can pass ±180 when the box crosses the antimeridian.
+export const boundingBox = (latitude, longitude, radius) => {
+  const perDegree = metersPerDegree(latitude);
+  const latDelta = radius / perDegree.latitude;
+  const lonDelta = perDegree.longitude > 0 ? radius / perDegree.longitude : 180;
+
+  return {
+    south: Math.max(-90, latitude - latDelta),
+    north: Math.min(90, latitude + latDelta),
+    west: longitude - lonDelta,
+    east: longitude + lonDelta
+  };
+};
+
+// Great-circle distance on the mean-radius sphere (meters)
+export const haversineDistance = (a, b) => {
+  const dLat = (b.latitude - a.latitude) * DEG_TO_RAD;
+  const dLon = (b.longitude - a.longitude) * DEG_TO_RAD;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.latitude * DEG_TO_RAD) * Math.cos(b.latitude * DEG_TO_RAD) * Math.sin(dLon / 2) ** 2;
+  return 2 * MEAN_EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Ellipsoidal surface distance (Vincenty inverse, meters); falls back to the
+// haversine for nearly antipodal points where the iteration does not converge
+export const surfaceDistance = (a, b) => {
+  const L = (b.longitude - a.longitude) * DEG_TO_RAD;
+  const U1 = Math.atan((1 - WGS84.F) * Math.tan(a.latitude * DEG_TO_RAD));
+  const U2 = Math.atan((1 - WGS84.F) * Math.tan(b.latitude * DEG_TO_RAD));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    const sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return 0;
+
+    const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    const sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    const cos2Alpha = 1 - sinAlpha * sinAlpha;
+    const cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+    const C = WGS84.F / 16 * cos2Alpha * (4 + WGS84.F * (4 - 3 * cos2Alpha));
+
+    const previous = lambda;
+    lambda = L + (1 - C) * WGS84.F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const u2 = cos2Alpha * (WGS84.A * WGS84.A - WGS84.B * WGS84.B) / (WGS84.B * WGS84.B);
+      const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+      const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+        cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+      ));
+      return WGS84.B * A * (sigma - deltaSigma);
+    }
+  }
+
+  return haversineDistance(a, b);
+};
+
+// Initial bearing from a to b, degrees clockwise from true north
+export const initialBearing = (a, b) => {
+  const lat1 = a.latitude * DEG_TO_RAD;
+  const lat2 = b.latitude * DEG_TO_RAD;
+  const dLon = (b.longitude - a.longitude) * DEG_TO_RAD;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * RAD_TO_DEG + 360) % 360;
+};
+
+// Point reached travelling `distance` meters from origin on `bearing` (spherical)
+export const destinationPoint = (origin, bearing, distance) => {
+  const delta = distance / MEAN_EARTH_RADIUS;
+  const theta = bearing * DEG_TO_RAD;
+  const lat1 = origin.latitude * DEG_TO_RAD;
+  const lon1 = origin.longitude * DEG_TO_RAD;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+    Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: lat2 * RAD_TO_DEG,
+    longitude: ((lon2 * RAD_TO_DEG + 540) % 360) - 180
+  };
+};
+
+// Straight-line 3D distance between two points (meters)
+export const slantRange = (a, b) => {
+  const p = geodeticToECEF(a.latitude, a.longitude, heightOf(a));
+  const q = geodeticToECEF(b.latitude, b.longitude, heightOf(b));
+  return Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z);
+};
+
+// Angle of b above a's local horizon, degrees (negative when below)
+export const elevationAngle = (from, to) => {
+  const { east, north, up } = geodeticToENU(to, from);
+  return Math.atan2(up, Math.hypot(east, north)) * RAD_TO_DEG;
+};
+
+// Azimuth, elevation and ranges from an observer to a target in one pass
+export const lookAngles = (from, to) => {
+  const enu = geodeticToENU(to, from);
+  const horizontal = Math.hypot(enu.east, enu.north);
+  return {
+    ...enu,
+    azimuth: (Math.atan2(enu.east, enu.north) * RAD_TO_DEG + 360) % 360,
+    elevation: Math.atan2(enu.up, horizontal) * RAD_TO_DEG,
+    horizontalDistance: horizontal,
+    slantRange: Math.hypot(horizontal, enu.up)
+  };
+};
+
+// UTM (Krüger series, accurate to well under a millimetre inside a zone)
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+const UTM_LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+const utmSeries = (() => {
+  const n = WGS84.F / (2 - WGS84.F);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  return {
+    n,
+    A: WGS84.A / (1 + n) * (1 + n2 / 4 + n4 / 64),
+    alpha: [
+      n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180,
+      13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440,
+      61 * n3 / 240 - 103 * n4 / 140,
+      49561 * n4 / 161280
+    ],
+    beta: [
+      n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360,
+      n2 / 48 + n3 / 15 - 437 * n4 / 1440,
+      17 * n3 / 480 - 37 * n4 / 840,
+      4397 * n4 / 161280
+    ]
+  };
+})();
+
+// UTM zone number, including the Norway and Svalbard exceptions
+export const utmZone = (latitude, longitude) => {
+  const lon = ((longitude + 180) % 360 + 360) % 360 - 180;
+  let zone = Math.floor((lon + 180) / 6) + 1;
+
+  if (latitude >= 56 && latitude < 64 && lon >= 3 && lon < 12) zone = 32;
+  if (latitude >= 72 && latitude < 84) {
+    if (lon >= 0 && lon < 9) zone = 31;
+    else if (lon >= 9 && lon < 21) zone = 33;
+    else if (lon >= 21 && lon < 33) zone = 35;
+    else if (lon >= 33 && lon < 42) zone = 37;
+  }
+  return Math.min(zone, 60);
+};
+
+// Geodetic → UTM; `zone` can be forced to project into a neighbouring zone
+export const toUTM = (latitude, longitude, zone = utmZone(latitude, longitude)) => {
+  if (latitude < -80 || latitude > 84) {
+    throw new Error('UTM is only defined between 80°S and 84°N');
+  }
+
+  const { n, A, alpha } = utmSeries;
+  const lat = latitude * DEG_TO_RAD;
+  const centralMeridian = ((zone - 1) * 6 - 180 + 3) * DEG_TO_RAD;
+  const lon = ((longitude * DEG_TO_RAD - centralMeridian + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+
+  const twoRootN = 2 * Math.sqrt(n) / (1 + n);
+  const t = Math.sinh(Math.atanh(Math.sin(lat)) - twoRootN * Math.atanh(twoRootN * Math.sin(lat)));
+  const xi = Math.atan2(t, Math.cos(lon));
+  const eta = Math.atanh(Math.sin(lon) / Math.sqrt(1 + t * t));
+
+  let x = eta;
+  let y = xi;
+  alpha.forEach((coefficient, index) => {
+    const j = 2 * (index + 1);
+    x += coefficient * Math.cos(j * xi) * Math.sinh(j * eta);
+    y += coefficient * Math.sin(j * xi) * Math.cosh(j * eta);
+  });
+
+  const hemisphere = latitude >= 0 ? 'N' : 'S';
+  return {
+    zone,
+    hemisphere,
+    band: UTM_LATITUDE_BANDS[Math.min(19, Math.floor((latitude + 80) / 8))],
+    easting: UTM_FALSE_EASTING + UTM_SCALE * A * x,
+    northing: (hemisphere === 'S' ? UTM_FALSE_NORTHING_SOUTH : 0) + UTM_SCALE * A * y
+  };
+};
+
+// UTM → geodetic
+export const fromUTM = ({ zone, hemisphere, easting, northing }) => {
+  const { n, A, beta } = utmSeries;
+  const xi = (northing - (hemisphere === 'S' ? UTM_FALSE_NORTHING_SOUTH : 0)) / (UTM_SCALE * A);
+  const eta = (easting - UTM_FALSE_EASTING) / (UTM_SCALE * A);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  beta.forEach((coefficient, index) => {
+    const j = 2 * (index + 1);
+    xiPrime -= coefficient * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaPrime -= coefficient * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+
+  // Conformal latitude → geodetic latitude by fixed-point iteration
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  const twoRootN = 2 * Math.sqrt(n) / (1 + n);
+  let lat = chi;
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const next = Math.asin(Math.tanh(Math.atanh(Math.sin(chi)) + twoRootN * Math.atanh(twoRootN * Math.sin(lat))));
+    if (Math.abs(next - lat) < 1e-14) {
+      lat = next;
+      break;
+    }
+    lat = next;
+  }
+
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+  return {
+    latitude: lat * RAD_TO_DEG,
+    longitude: centralMeridian + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) * RAD_TO_DEG
+  };
+};
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WGS84,
+  geodeticToECEF,
+  ecefToGeodetic,
+  geodeticToENU,
+  enuToGeodetic,
+  metersPerDegree,
+  surfaceDistance,
+  initialBearing,
+  destinationPoint,
+  slantRange,
+  elevationAngle,
+  lookAngles,
+  utmZone,
+  toUTM,
+  fromUTM
+} from './geodesy';
+
+const SAN_FRANCISCO = { latitude: 37.7749, longitude: -122.4194, altitude: 16 };
+const SYDNEY = { latitude: -33.8688, longitude: 151.2093 };
+
+// Land's End → John o' Groats, the usual Vincenty / bearing reference pair
+const LANDS_END = { latitude: 50 + 3 / 60 + 58.76 / 3600, longitude: -(5 + 42 / 60 + 53.10 / 3600) };
+const JOHN_O_GROATS = { latitude: 58 + 38 / 60 + 38.48 / 3600, longitude: -(3 + 4 / 60 + 12.34 / 3600) };
+
+describe('geodetic ↔ ECEF', () => {
+  it('places the equator / prime meridian on the x axis and the pole on z', () => {
+    const origin = geodeticToECEF(0, 0, 0);
+    expect(origin.x).toBeCloseTo(WGS84.A, 6);
+    expect(origin.y).toBeCloseTo(0, 6);
+    expect(origin.z).toBeCloseTo(0, 6);
+
+    const pole = geodeticToECEF(90, 0, 100);
+    expect(pole.x).toBeCloseTo(0, 6);
+    expect(pole.z).toBeCloseTo(WGS84.B + 100, 6);
+  });
+
+  it.each([
+    ['San Francisco', SAN_FRANCISCO],
+    ['Sydney, 2 km up', { ...SYDNEY, altitude: 2000 }],
+    ['near the north pole', { latitude: 89.9, longitude: 45, altitude: -30 }],
+    ['the antimeridian', { latitude: -12.5, longitude: 180, altitude: 0 }]
+  ])('round-trips %s to the millimetre', (name, point) => {
+    const ecef = geodeticToECEF(point.latitude, point.longitude, point.altitude);
+    const back = ecefToGeodetic(ecef);
+
+    expect(back.latitude).toBeCloseTo(point.latitude, 9);
+    expect(Math.abs(((back.longitude - point.longitude + 540) % 360) - 180)).toBeLessThan(1e-9);
+    expect(back.altitude).toBeCloseTo(point.altitude, 3);
+  });
+});
+
+describe('local ENU', () => {
+  it('resolves a known offset into east, north and up', () => {
+    const perDegree = metersPerDegree(SAN_FRANCISCO.latitude);
+    const target = {
+      latitude: SAN_FRANCISCO.latitude + 30 / perDegree.latitude,
+      longitude: SAN_FRANCISCO.longitude + 40 / perDegree.longitude,
+      altitude: SAN_FRANCISCO.altitude + 10
+    };
+
+    const { east, north, up } = geodeticToENU(target, SAN_FRANCISCO);
+    expect(east).toBeCloseTo(40, 2);
+    expect(north).toBeCloseTo(30, 2);
+    // The horizon drops away by ~d²/2R over 50 m
+    expect(up).toBeCloseTo(10, 2);
+  });
+
+  it('returns the origin as zero', () => {
+    const enu = geodeticToENU(SAN_FRANCISCO, SAN_FRANCISCO);
+    expect(Math.hypot(enu.east, enu.north, enu.up)).toBeLessThan(1e-6);
+  });
+
+  it('round-trips through ENU', () => {
+    const enu = { east: -1250.5, north: 830.25, up: 42 };
+    const point = enuToGeodetic(enu, SAN_FRANCISCO);
+    const back = geodeticToENU(point, SAN_FRANCISCO);
+
+    expect(back.east).toBeCloseTo(enu.east, 6);
+    expect(back.north).toBeCloseTo(enu.north, 6);
+    expect(back.up).toBeCloseTo(enu.up, 6);
+  });
+});
+
+describe('distances and angles', () => {
+  it('measures the ellipsoidal surface distance (Vincenty)', () => {
+    // Published 969 954.166 m from coordinates rounded to 0.01″ (≈0.3 m)
+    expect(surfaceDistance(LANDS_END, JOHN_O_GROATS)).toBeCloseTo(969954.166, 0);
+    expect(surfaceDistance(SYDNEY, SYDNEY)).toBe(0);
+  });
+
+  it('gives the initial bearing clockwise from true north', () => {
+    // 009°07′11″
+    expect(initialBearing(LANDS_END, JOHN_O_GROATS)).toBeCloseTo(9 + 7 / 60 + 11 / 3600, 3);
+    expect(initialBearing({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(90, 9);
+    expect(initialBearing({ latitude: 0, longitude: 0 }, { latitude: -1, longitude: 0 })).toBeCloseTo(180, 9);
+    expect(initialBearing({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: -1 })).toBeCloseTo(270, 9);
+  });
+
+  it('reaches a destination consistent with the bearing and distance', () => {
+    const destination = destinationPoint(SAN_FRANCISCO, 45, 1000);
+
+    expect(initialBearing(SAN_FRANCISCO, destination)).toBeCloseTo(45, 2);
+    // Spherical step measured on the ellipsoid: within a few meters per kilometre
+    expect(Math.abs(surfaceDistance(SAN_FRANCISCO, destination) - 1000)).toBeLessThan(5);
+  });
+
+  it('measures the elevation angle above the local horizon', () => {
+    const perDegree = metersPerDegree(SAN_FRANCISCO.latitude);
+    const east100 = { latitude: SAN_FRANCISCO.latitude, longitude: SAN_FRANCISCO.longitude + 100 / perDegree.longitude };
+
+    expect(elevationAngle(SAN_FRANCISCO, { ...east100, altitude: SAN_FRANCISCO.altitude + 100 })).toBeCloseTo(45, 2);
+    expect(elevationAngle(SAN_FRANCISCO, { ...SAN_FRANCISCO, altitude: 500 })).toBeCloseTo(90, 6);
+    expect(elevationAngle(SAN_FRANCISCO, { ...east100, altitude: SAN_FRANCISCO.altitude - 100 })).toBeCloseTo(-45, 2);
+  });
+
+  it('measures the 3D slant range', () => {
+    expect(slantRange({ latitude: 0, longitude: 0, altitude: 0 }, { latitude: 0, longitude: 0, altitude: 100 })).toBeCloseTo(100, 6);
+
+    const perDegree = metersPerDegree(SAN_FRANCISCO.latitude);
+    const target = {
+      latitude: SAN_FRANCISCO.latitude + 30 / perDegree.latitude,
+      longitude: SAN_FRANCISCO.longitude + 40 / perDegree.longitude,
+      altitude: SAN_FRANCISCO.altitude + 120
+    };
+    // 30-40-120 → 130 m
+    expect(slantRange(SAN_FRANCISCO, target)).toBeCloseTo(130, 1);
+  });
+
+  it('agrees with lookAngles', () => {
+    const target = { latitude: 37.78, longitude: -122.41, altitude: 60 };
+    const look = lookAngles(SAN_FRANCISCO, target);
+
+    // ENU azimuth is ellipsoidal, the bearing spherical: they agree to a fraction of a degree
+    expect(look.azimuth).toBeCloseTo(initialBearing(SAN_FRANCISCO, target), 0);
+    expect(look.elevation).toBeCloseTo(elevationAngle(SAN_FRANCISCO, target), 9);
+    expect(look.slantRange).toBeCloseTo(slantRange(SAN_FRANCISCO, target), 6);
+  });
+});
+
+describe('UTM', () => {
+  it('projects a known point (Sydney → 56H 334368.6 E 6250948.3 N)', () => {
+    const utm = toUTM(SYDNEY.latitude, SYDNEY.longitude);
+
+    expect(utm).toMatchObject({ zone: 56, hemisphere: 'S', band: 'H' });
+    expect(utm.easting).toBeCloseTo(334368.6, 1);
+    expect(utm.northing).toBeCloseTo(6250948.3, 1);
+  });
+
+  it('puts the central meridian at the false easting', () => {
+    const utm = toUTM(45, 9);
+    expect(utm.zone).toBe(32);
+    expect(utm.easting).toBeCloseTo(500000, 6);
+  });
+
+  it.each([
+    ['Sydney', SYDNEY],
+    ['San Francisco', SAN_FRANCISCO],
+    ['the equator', { latitude: 0, longitude: 2.5 }],
+    ['far north', { latitude: 83.5, longitude: -40.2 }]
+  ])('round-trips %s', (name, point) => {
+    const back = fromUTM(toUTM(point.latitude, point.longitude));
+
+    expect(back.latitude).toBeCloseTo(point.latitude, 9);
+    expect(back.longitude).toBeCloseTo(point.longitude, 9);
+  });
+
+  it('round-trips a point projected into a neighbouring zone', () => {
+    const utm = toUTM(SYDNEY.latitude, SYDNEY.longitude, 55);
+    const back = fromUTM(utm);
+
+    expect(utm.zone).toBe(55);
+    expect(back.latitude).toBeCloseTo(SYDNEY.latitude, 8);
+    expect(back.longitude).toBeCloseTo(SYDNEY.longitude, 8);
+  });
+
+  it('applies the Norway and Svalbard zone exceptions', () => {
+    expect(utmZone(60, 5)).toBe(32);
+    expect(utmZone(78, 10)).toBe(33);
+    expect(utmZone(78, 22)).toBe(35);
+    expect(utmZone(0, 180)).toBe(1);
+  });
+
+  it('rejects latitudes outside the UTM range', () => {
+    expect(() => toUTM(85, 0)).toThrow('UTM is only defined');
+    expect(() => toUTM(-81, 0)).toThrow('UTM is only defined');
+  });
+});
@@ -0,0 +1,262 @@
+// Geofence Service
+// Tracks the user against each deployed object's visibility_radius and emits
+// enter / dwell / exit events. Exits need the user to move a margin beyond the
+// radius (hysteresis) so GPS jitter at the boundary does not flap the state.
+
+import rtkLocationService from './rtkLocation';
+import { surfaceDistance } from './geodesy';
+import { DEFAULT_VISIBILITY_RADIUS } from './objectValidation';
+
+const DEFAULT_OPTIONS = {
+  // Meters beyond the radius before an exit counts
+  hysteresisMeters: 5,
+  // Share of the radius added to the exit margin for large fences
+  hysteresisFraction: 0.1,
+  // Reported accuracy widens the margin, up to this many meters
+  maxAccuracyMargin: 25,
+  // Time inside a fence before a dwell event
+  dwellTimeMs: 30000,
+  // Visits kept in the local log
+  maxVisits: 200
+};
+
+const VISITS_STORAGE_KEY = 'near-geofence-visits';
+
+const loadVisits = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VISITS_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+class GeofenceService {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.fences = new Map();
+    this.listeners = [];
+    this.lastPosition = null;
+    this.visits = null;
+    this.unsubscribePosition = null;
+  }
+
+  // Follow a location service's position stream (anything with subscribe('position'))
+  start(locationService = rtkLocationService) {
+    if (this.unsubscribePosition) return;
+    this.unsubscribePosition = locationService.subscribe('position', (position) => this.updatePosition(position));
+    console.log('🧭 Geofence tracking started');
+  }
+
+  stop() {
+    if (!this.unsubscribePosition) return;
+    this.unsubscribePosition();
+    this.unsubscribePosition = null;
+    this.fences.forEach(fence => clearTimeout(fence.dwellTimer));
+  }
+
+  // Replace the watched objects; state is kept for objects that are still present
+  setFences(objects) {
+    const ids = new Set();
+
+    objects.forEach(object => {
+      ids.add(object.id);
+      const existing = this.fences.get(object.id);
+      if (existing) {
+        existing.object = object;
+      } else {
+        this.fences.set(object.id, {
+          object,
+          inside: false,
+          enteredAt: null,
+          dwelled: false,
+          distance: null,
+          dwellTimer: null
+        });
+      }
+    });
+
+    this.fences.forEach((fence, id) => {
+      if (ids.has(id)) return;
+      if (fence.inside) {
+        this.exitFence(fence, Date.now(), 'removed');
+      }
+      clearTimeout(fence.dwellTimer);
+      this.fences.delete(id);
+    });
+
+    if (this.lastPosition) {
+      this.updatePosition(this.lastPosition, { notify: false });
+    }
+    this.emit('change', this.getInsideIds());
+  }
+
+  radiusOf(object) {
+    const radius = parseFloat(object.visibility_radius);
+    return Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_VISIBILITY_RADIUS;
+  }
+
+  // Extra distance beyond the radius required before an exit
+  exitMargin(radius, position) {
+    const { hysteresisMeters, hysteresisFraction, maxAccuracyMargin } = this.options;
+    const accuracyMargin = Math.min(position.accuracy || 0, maxAccuracyMargin);
+    return Math.max(hysteresisMeters, radius * hysteresisFraction, accuracyMargin);
+  }
+
+  // Evaluate every fence against a new position
+  updatePosition(position, { notify = true } = {}) {
+    if (!position || !Number.isFinite(position.latitude) || !Number.isFinite(position.longitude)) return;
+
+    this.lastPosition = position;
+    const timestamp = position.timestamp || Date.now();
+    let changed = false;
+
+    this.fences.forEach(fence => {
+      const { object } = fence;
+      if (!Number.isFinite(object.latitude) || !Number.isFinite(object.longitude)) return;
+
+      const radius = this.radiusOf(object);
+      fence.distance = surfaceDistance(position, object);
+
+      if (!fence.inside && fence.distance <= radius) {
+        this.enterFence(fence, timestamp);
+        changed = true;
+      } else if (fence.inside && fence.distance > radius + this.exitMargin(radius, position)) {
+        this.exitFence(fence, timestamp, 'left');
+        changed = true;
+      }
+    });
+
+    if (changed && notify) {
+      this.emit('change', this.getInsideIds());
+    }
+  }
+
+  enterFence(fence, timestamp) {
+    fence.inside = true;
+    fence.enteredAt = timestamp;
+    fence.dwelled = false;
+
+    console.log(`📍 Entered ${fence.object.name || fence.object.id} (${fence.distance.toFixed(1)}m)`);
+    this.emit('enter', this.describe(fence, timestamp));
+
+    clearTimeout(fence.dwellTimer);
+    fence.dwellTimer = setTimeout(() => {
+      if (!fence.inside) return;
+      fence.dwelled = true;
+      this.emit('dwell', this.describe(fence, Date.now()));
+    }, this.options.dwellTimeMs);
+  }
+
+  exitFence(fence, timestamp, reason) {
+    clearTimeout(fence.dwellTimer);
+    fence.dwellTimer = null;
+
+    const event = { ...this.describe(fence, timestamp), reason };
+    this.recordVisit(event);
+
+    fence.inside = false;
+    fence.enteredAt = null;
+    fence.dwelled = false;
+
+    console.log(`🚪 Exited ${fence.object.name || fence.object.id} after ${(event.durationMs / 1000).toFixed(0)}s`);
+    this.emit('exit', event);
+  }
+
+  describe(fence, timestamp) {
+    return {
+      object: fence.object,
+      distance: fence.distance,
+      radius: this.radiusOf(fence.object),
+      enteredAt: fence.enteredAt,
+      durationMs: fence.enteredAt !== null ? timestamp - fence.enteredAt : 0,
+      dwelled: fence.dwelled,
+      position: this.lastPosition,
+      timestamp
+    };
+  }
+
+  // Visit log, persisted locally
+  getVisits() {
+    if (this.visits === null) {
+      this.visits = loadVisits();
+    }
+    return this.visits;
+  }
+
+  recordVisit(event) {
+    const visit = {
+      objectId: event.object.id,
+      name: event.object.name || null,
+      enteredAt: event.enteredAt,
+      exitedAt: event.timestamp,
+      durationMs: event.durationMs,
+      dwelled: event.dwelled,
+      reason: event.reason
+    };
+
+    this.visits = [visit, ...this.getVisits()].slice(0, this.options.maxVisits);
+    try {
+      localStorage.setItem(VISITS_STORAGE_KEY, JSON.stringify(this.visits));
+    } catch (error) {
+      console.warn('⚠️ Could not persist geofence visits:', error.message);
+    }
+  }
+
+  clearVisits() {
+    this.visits = [];
+    localStorage.removeItem(VISITS_STORAGE_KEY);
+  }
+
+  isInside(id) {
+    return this.fences.get(id)?.inside || false;
+  }
+
+  getInsideIds() {
+    return Array.from(this.fences.entries())
+      .filter(([, fence]) => fence.inside)
+      .map(([id]) => id);
+  }
+
+  // Distance and state per fence, for UI
+  getFenceState(id) {
+    const fence = this.fences.get(id);
+    if (!fence) return null;
+    return {
+      inside: fence.inside,
+      distance: fence.distance,
+      radius: this.radiusOf(fence.object),
+      enteredAt: fence.enteredAt,
+      dwelled: fence.dwelled
+    };
+  }
+
+  // Events: enter, dwell, exit, change (ids currently inside)
+  subscribe(event, handler) {
+    this.listeners.push({ event, handler });
+    return () => this.unsubscribe(event, handler);
+  }
+
+  unsubscribe(event, handler) {
+    this.listeners = this.listeners.filter(listener =>
+      !(listener.event === event && listener.handler === handler)
+    );
+  }
+
+  emit(event, payload) {
+    this.listeners
+      .filter(listener => listener.event === event)
+      .forEach(({ handler }) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`❌ Geofence ${event} listener error:`, error);
+        }
+      });
+  }
+}
+
+// Create singleton instance
+const geofenceService = new GeofenceService();
+
+export default geofenceService;
+export { GeofenceService };
@@ -0,0 +1,275 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GeofenceService } from './geofence';
+
+// The default location stream opens GPS and NTRIP connections; tests feed positions directly
+vi.mock('./rtkLocation', () => ({ default: {} }));
+
+const ORIGIN = { latitude: 37.7749, longitude: -122.4194 };
+const METERS_PER_DEGREE_LATITUDE = 111195;
+
+// Position `meters` due north of ORIGIN
+const north = (meters, extra = {}) => ({
+  latitude: ORIGIN.latitude + meters / METERS_PER_DEGREE_LATITUDE,
+  longitude: ORIGIN.longitude,
+  accuracy: 3,
+  ...extra
+});
+
+const agent = (overrides = {}) => ({
+  id: 'agent-1',
+  name: 'Lobby Agent',
+  ...ORIGIN,
+  visibility_radius: 50,
+  ...overrides
+});
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+// Collects every event the service emits, in order
+const record = (service) => {
+  const events = [];
+  ['enter', 'dwell', 'exit', 'change'].forEach(type =>
+    service.subscribe(type, payload => events.push({ type, payload }))
+  );
+  return events;
+};
+
+describe('GeofenceService', () => {
+  let service;
+  let events;
+
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    service = new GeofenceService({ dwellTimeMs: 30000 });
+    events = record(service);
+  });
+
+  afterEach(() => {
+    service.stop();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const types = () => events.map(event => event.type);
+
+  describe('enter', () => {
+    it('enters once the position is within the visibility radius', () => {
+      service.setFences([agent()]);
+      events.length = 0;
+
+      service.updatePosition(north(80, { timestamp: 1000 }));
+      expect(types()).toEqual([]);
+      expect(service.isInside('agent-1')).toBe(false);
+
+      service.updatePosition(north(40, { timestamp: 2000 }));
+      expect(types()).toEqual(['enter', 'change']);
+      expect(events[0].payload).toMatchObject({ radius: 50, enteredAt: 2000, dwelled: false });
+      expect(events[0].payload.distance).toBeCloseTo(40, 0);
+      expect(events[1].payload).toEqual(['agent-1']);
+    });
+
+    it('does not enter again while already inside', () => {
+      service.setFences([agent()]);
+      service.updatePosition(north(40));
+      service.updatePosition(north(10));
+      service.updatePosition(north(45));
+
+      expect(types().filter(type => type === 'enter')).toHaveLength(1);
+    });
+
+    it('uses the default radius when visibility_radius is missing or invalid', () => {
+      service.setFences([agent({ visibility_radius: null }), agent({ id: 'agent-2', visibility_radius: 'wide' })]);
+      service.updatePosition(north(45));
+
+      expect(service.getInsideIds()).toEqual(['agent-1', 'agent-2']);
+      expect(service.getFenceState('agent-2').radius).toBe(50);
+    });
+
+    it('ignores objects without coordinates and invalid positions', () => {
+      service.setFences([agent({ latitude: null })]);
+      service.updatePosition(north(0));
+      service.updatePosition({ latitude: NaN, longitude: ORIGIN.longitude });
+
+      expect(types()).toEqual(['change']);
+      expect(service.getFenceState('agent-1').distance).toBeNull();
+    });
+
+    it('evaluates new fences against the last known position', () => {
+      service.updatePosition(north(20));
+      service.setFences([agent()]);
+
+      expect(types()).toEqual(['enter', 'change']);
+      expect(service.isInside('agent-1')).toBe(true);
+    });
+  });
+
+  describe('exit', () => {
+    beforeEach(() => {
+      service.setFences([agent()]);
+      service.updatePosition(north(40, { timestamp: 1000 }));
+      events.length = 0;
+    });
+
+    it('stays inside within the hysteresis margin beyond the radius', () => {
+      // Margin for a 50 m fence: max(5 m, 10% of 50 m, 3 m accuracy) = 5 m
+      service.updatePosition(north(54, { timestamp: 2000 }));
+
+      expect(types()).toEqual([]);
+      expect(service.isInside('agent-1')).toBe(true);
+    });
+
+    it('exits once past the radius plus margin', () => {
+      service.updatePosition(north(56, { timestamp: 61000 }));
+
+      expect(types()).toEqual(['exit', 'change']);
+      expect(events[0].payload).toMatchObject({
+        reason: 'left',
+        enteredAt: 1000,
+        durationMs: 60000,
+        dwelled: false
+      });
+      expect(events[1].payload).toEqual([]);
+      expect(service.getFenceState('agent-1')).toMatchObject({ inside: false, enteredAt: null });
+    });
+
+    it('widens the margin with the reported accuracy, up to maxAccuracyMargin', () => {
+      service.updatePosition(north(65, { accuracy: 20 }));
+      expect(service.isInside('agent-1')).toBe(true);
+
+      // A 500 m accuracy still only adds the 25 m cap
+      service.updatePosition(north(74, { accuracy: 500 }));
+      expect(service.isInside('agent-1')).toBe(true);
+      service.updatePosition(north(76, { accuracy: 500 }));
+      expect(service.isInside('agent-1')).toBe(false);
+    });
+
+    it('can enter again after exiting', () => {
+      service.updatePosition(north(80));
+      service.updatePosition(north(30));
+
+      expect(types()).toEqual(['exit', 'change', 'enter', 'change']);
+    });
+
+    it('exits with reason "removed" when the object is no longer watched', () => {
+      service.setFences([]);
+
+      expect(types()).toEqual(['exit', 'change']);
+      expect(events[0].payload.reason).toBe('removed');
+      expect(service.getFenceState('agent-1')).toBeNull();
+    });
+
+    it('keeps the fence state when the object is updated in place', () => {
+      service.setFences([agent({ name: 'Renamed' })]);
+
+      expect(types()).toEqual(['change']);
+      expect(service.isInside('agent-1')).toBe(true);
+      expect(service.getFenceState('agent-1').enteredAt).toBe(1000);
+    });
+
+    it('records the visit in the persisted log', () => {
+      service.updatePosition(north(80, { timestamp: 31000 }));
+
+      const [visit] = service.getVisits();
+      expect(visit).toEqual({
+        objectId: 'agent-1',
+        name: 'Lobby Agent',
+        enteredAt: 1000,
+        exitedAt: 31000,
+        durationMs: 30000,
+        dwelled: false,
+        reason: 'left'
+      });
+      expect(JSON.parse(localStorage.getItem('near-geofence-visits'))).toEqual([visit]);
+    });
+  });
+
+  describe('dwell', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      service.setFences([agent()]);
+      events.length = 0;
+    });
+
+    it('emits dwell after dwellTimeMs inside the fence', () => {
+      service.updatePosition(north(10));
+      vi.advanceTimersByTime(29999);
+      expect(types()).toEqual(['enter', 'change']);
+
+      vi.advanceTimersByTime(1);
+      expect(types()).toEqual(['enter', 'change', 'dwell']);
+      expect(events[2].payload.dwelled).toBe(true);
+      expect(service.getFenceState('agent-1').dwelled).toBe(true);
+    });
+
+    it('does not dwell when the user leaves first', () => {
+      service.updatePosition(north(10));
+      vi.advanceTimersByTime(20000);
+      service.updatePosition(north(100));
+      vi.advanceTimersByTime(60000);
+
+      expect(types()).toEqual(['enter', 'change', 'exit', 'change']);
+    });
+
+    it('restarts the dwell timer on re-entry', () => {
+      service.updatePosition(north(10));
+      vi.advanceTimersByTime(20000);
+      service.updatePosition(north(100));
+      service.updatePosition(north(10));
+      vi.advanceTimersByTime(20000);
+      expect(types()).not.toContain('dwell');
+
+      vi.advanceTimersByTime(10000);
+      expect(types().filter(type => type === 'dwell')).toHaveLength(1);
+    });
+
+    it('marks the exit and visit of a dwelled fence', () => {
+      service.updatePosition(north(10, { timestamp: 1000 }));
+      vi.advanceTimersByTime(30000);
+      service.updatePosition(north(100, { timestamp: 46000 }));
+
+      const exit = events.find(event => event.type === 'exit');
+      expect(exit.payload).toMatchObject({ dwelled: true, durationMs: 45000 });
+      expect(service.getVisits()[0].dwelled).toBe(true);
+    });
+
+    it('cancels pending dwell timers on stop', () => {
+      const location = { subscribe: vi.fn(() => vi.fn()) };
+      service.start(location);
+      service.updatePosition(north(10));
+      service.stop();
+      vi.advanceTimersByTime(60000);
+
+      expect(types()).not.toContain('dwell');
+    });
+  });
+
+  it('follows the position stream of the given location service', () => {
+    let publish;
+    const unsubscribe = vi.fn();
+    const location = {
+      subscribe: vi.fn((event, handler) => {
+        publish = handler;
+        return unsubscribe;
+      })
+    };
+
+    service.setFences([agent()]);
+    service.start(location);
+    expect(location.subscribe).toHaveBeenCalledWith('position', expect.any(Function));
+
+    publish(north(10));
+    expect(service.isInside('agent-1')).toBe(true);
+
+    service.stop();
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+// Geohash
+// Base-32 interleaved latitude/longitude cells. Each extra character narrows the
+// cell by 5 bits: precision 6 ≈ 1.2km × 0.6km, 7 ≈ 153m × 153m, 8 ≈ 38m × 19m.
+
+import { surfaceDistance } from './geodesy';
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const encodeGeohash = (latitude, longitude, precision = 7) => {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (longitude >= mid) {
+        value = value * 2 + 1;
+        lonMin = mid;
+      } else {
+        value *= 2;
+        lonMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) {
+        value = value * 2 + 1;
+        latMin = mid;
+      } else {
+        value *= 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Cell bounds and center of a geohash
+export const decodeGeohash = (hash) => {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let evenBit = true;
+
+  for (const char of hash.toLowerCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character "${char}"`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const set = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (lonMin + lonMax) / 2;
+        if (set) lonMin = mid; else lonMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (set) latMin = mid; else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (latMin + latMax) / 2,
+    longitude: (lonMin + lonMax) / 2,
+    bounds: { south: latMin, north: latMax, west: lonMin, east: lonMax }
+  };
+};
+
+// Distance from a cell's center to its corner (meters): the most a snapped point can be off by
+export const geohashCellRadius = (hash) => {
+  const { latitude, longitude, bounds } = decodeGeohash(hash);
+  return surfaceDistance({ latitude, longitude }, { latitude: bounds.north, longitude: bounds.east });
+};
+
+// Geohashes of every cell overlapping a { south, north, west, east } box
+export const geohashesInBox = (box, precision) => {
+  const { bounds } = decodeGeohash(encodeGeohash(box.south, box.west, precision));
+  const cellHeight = bounds.north - bounds.south;
+  const cellWidth = bounds.east - bounds.west;
+  const hashes = new Set();
+
+  // Step one cell at a time, always including the far edges
+  for (let latitude = box.south; ; latitude = Math.min(latitude + cellHeight, box.north)) {
+    for (let longitude = box.west; ; longitude = Math.min(longitude + cellWidth, box.east)) {
+      const wrapped = ((longitude + 540) % 360) - 180;
+      hashes.add(encodeGeohash(latitude, wrapped, precision));
+      if (longitude >= box.east) break;
+    }
+    if (latitude >= box.north) break;
+  }
+
+  return Array.from(hashes);
+};
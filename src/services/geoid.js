@@ -0,0 +1,125 @@
+// Geoid Model
+// Converts between WGS84 ellipsoidal heights (what the Geolocation API reports)
+// and EGM96 orthometric heights (mean sea level) using a 30' EGM96 grid with
+// bilinear interpolation.
+
+import EGM96_GRID_URL from '../assets/geoid/egm96-30m.bin?url';
+
+export const ALTITUDE_DATUM = {
+  ELLIPSOID: 'wgs84', // height above the WGS84 ellipsoid
+  EGM96: 'egm96' // orthometric height above the EGM96 geoid (≈ mean sea level)
+};
+
+export const ALTITUDE_DATUM_LABELS = {
+  [ALTITUDE_DATUM.ELLIPSOID]: 'WGS84',
+  [ALTITUDE_DATUM.EGM96]: 'MSL'
+};
+
+// Grid layout: int16 little-endian geoid undulations in centimeters, rows from
+// 90°N to 90°S and columns eastward from 0°E, every 0.5°
+const GRID_SPACING = 0.5;
+const GRID_ROWS = 361;
+const GRID_COLS = 720;
+
+class GeoidModel {
+  constructor(url = EGM96_GRID_URL) {
+    this.url = url;
+    this.grid = null;
+    this.loading = null;
+  }
+
+  // Fetch the grid once; concurrent callers share the same request
+  load() {
+    if (this.grid) return Promise.resolve(this);
+    if (this.loading) return this.loading;
+
+    this.loading = fetch(this.url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load geoid grid: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(buffer => {
+        this.setGrid(buffer);
+        console.log('🌐 EGM96 geoid grid loaded');
+        return this;
+      })
+      .catch(error => {
+        this.loading = null;
+        throw error;
+      });
+
+    return this.loading;
+  }
+
+  setGrid(buffer) {
+    if (buffer.byteLength !== GRID_ROWS * GRID_COLS * 2) {
+      throw new Error(`Unexpected geoid grid size: ${buffer.byteLength} bytes`);
+    }
+    this.grid = new DataView(buffer);
+  }
+
+  isLoaded() {
+    return this.grid !== null;
+  }
+
+  gridValue(row, col) {
+    return this.grid.getInt16((row * GRID_COLS + col) * 2, true) / 100;
+  }
+
+  // Geoid height above the ellipsoid (N, meters), or null until the grid is loaded
+  undulation(latitude, longitude) {
+    if (!this.grid || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    const rowPosition = (90 - Math.max(-90, Math.min(90, latitude))) / GRID_SPACING;
+    const row = Math.min(Math.floor(rowPosition), GRID_ROWS - 2);
+    const rowFraction = rowPosition - row;
+
+    const colPosition = (((longitude % 360) + 360) % 360) / GRID_SPACING;
+    const col = Math.floor(colPosition) % GRID_COLS;
+    const nextCol = (col + 1) % GRID_COLS;
+    const colFraction = colPosition - Math.floor(colPosition);
+
+    const top = this.gridValue(row, col) + (this.gridValue(row, nextCol) - this.gridValue(row, col)) * colFraction;
+    const bottom = this.gridValue(row + 1, col) + (this.gridValue(row + 1, nextCol) - this.gridValue(row + 1, col)) * colFraction;
+
+    return top + (bottom - top) * rowFraction;
+  }
+
+  // Convert an altitude between datums; null when it cannot be done (yet)
+  convert(altitude, fromDatum, toDatum, latitude, longitude) {
+    if (altitude === null || altitude === undefined || !Number.isFinite(altitude)) return null;
+    if (fromDatum === toDatum) return altitude;
+
+    const n = this.undulation(latitude, longitude);
+    if (n === null) return null;
+
+    // h (ellipsoidal) = H (orthometric) + N
+    if (fromDatum === ALTITUDE_DATUM.EGM96 && toDatum === ALTITUDE_DATUM.ELLIPSOID) return altitude + n;
+    if (fromDatum === ALTITUDE_DATUM.ELLIPSOID && toDatum === ALTITUDE_DATUM.EGM96) return altitude - n;
+    return null;
+  }
+}
+
+const geoid = new GeoidModel();
+
+// Altitude of a position or deployed object expressed in `datum`.
+// Positions use `altitudeDatum`, database rows use `altitude_datum`.
+export const altitudeIn = (entity, datum) => {
+  if (!entity) return null;
+  const sourceDatum = entity.altitudeDatum || entity.altitude_datum;
+  if (!sourceDatum) return null;
+  return geoid.convert(entity.altitude, sourceDatum, datum, entity.latitude, entity.longitude);
+};
+
+// Vertical offset (meters) of `target` above `origin`, compared on the ellipsoid
+export const heightDifference = (origin, target) => {
+  const originHeight = altitudeIn(origin, ALTITUDE_DATUM.ELLIPSOID);
+  const targetHeight = altitudeIn(target, ALTITUDE_DATUM.ELLIPSOID);
+  if (originHeight === null || targetHeight === null) return null;
+  return targetHeight - originHeight;
+};
+
+export default geoid;
+export { GeoidModel };
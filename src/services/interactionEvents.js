@@ -0,0 +1,213 @@
+// Interaction Events
+// Records what people do with agents (seen in the camera view, opened, messaged, paid,
+// called) as agent_interactions rows. Events are queued on the device and written in
+// batches through the data source; the queue survives reloads and is only emptied by a
+// successful write, so events recorded offline are sent once the connection returns.
+// Positions go through locationPrivacy and are then snapped to a coarse geohash cell.
+
+import dataSource from './dataSources';
+import walletAuthService from './walletAuth';
+import locationPrivacyService from './locationPrivacy';
+import { encodeGeohash, decodeGeohash, geohashCellRadius } from './geohash';
+
+export const INTERACTION_EVENT = {
+  VIEW: 'view',
+  OPEN: 'open',
+  MESSAGE_SENT: 'message_sent',
+  PAYMENT_STARTED: 'payment_started',
+  PAYMENT_CONFIRMED: 'payment_confirmed',
+  CALL_STARTED: 'call_started'
+};
+
+const EVENT_TYPES = Object.values(INTERACTION_EVENT);
+const STORAGE_KEY = 'near-interaction-queue';
+
+const DEFAULT_OPTIONS = {
+  // Events per write
+  batchSize: 50,
+  // Wait before writing a partial batch
+  flushIntervalMs: 10 * 1000,
+  // Longest wait between retries after failed writes
+  maxRetryDelayMs: 5 * 60 * 1000,
+  // Oldest events are dropped beyond this many queued
+  maxQueued: 1000,
+  // Queued events older than this are dropped unsent
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+  // Geohash characters kept for event locations (6 ≈ 1.2km × 0.6km)
+  geohashPrecision: 6,
+  // A view of the same agent is recorded at most this often
+  viewIntervalMs: 10 * 60 * 1000
+};
+
+// agent_interactions.id is a uuid; randomUUID needs a secure context
+const newId = () => crypto.randomUUID?.() ??
+  '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, c =>
+    (c ^ (crypto.getRandomValues(new Uint8Array(1))[0] & (15 >> (c / 4)))).toString(16)
+  );
+
+const loadQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+};
+
+class InteractionEventService {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.queue = loadQueue();
+    this.flushTimer = null;
+    this.retryDelay = 0;
+    this.isFlushing = false;
+    // agent id → time its last view was recorded
+    this.lastViews = new Map();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flushNow());
+      // Pages are often closed straight after an interaction; try to send it first
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      });
+    }
+
+    if (this.queue.length) {
+      this.scheduleFlush();
+    }
+  }
+
+  // Queue an event of `type` (INTERACTION_EVENT) for `agent`. `location` is the precise
+  // fix; only a coarsened copy is stored. `data` becomes the event's metadata.
+  track(type, agent, { wallet = null, location = null, data = {} } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      console.warn(`⚠️ Unknown interaction event "${type}"`);
+      return null;
+    }
+    if (!agent?.id || agent.is_preview || !this.source.writable) return null;
+
+    const now = Date.now();
+    if (type === INTERACTION_EVENT.VIEW) {
+      if (now - (this.lastViews.get(agent.id) ?? -Infinity) < this.options.viewIntervalMs) return null;
+      this.lastViews.set(agent.id, now);
+    }
+
+    const event = {
+      id: newId(),
+      event_type: type,
+      agent_id: String(agent.id),
+      wallet_address: wallet ? wallet.toLowerCase() : null,
+      ...this.coarseLocation(location),
+      occurred_at: new Date(now).toISOString(),
+      metadata: data || {}
+    };
+
+    this.queue = [...this.queue, event].slice(-this.options.maxQueued);
+    this.persist();
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flushNow();
+    } else {
+      this.scheduleFlush();
+    }
+    return event;
+  }
+
+  coarseLocation(location) {
+    const outbound = locationPrivacyService.protect(location);
+    if (!outbound) {
+      return { latitude: null, longitude: null, geohash: null, location_uncertainty: null };
+    }
+
+    const geohash = encodeGeohash(outbound.latitude, outbound.longitude, this.options.geohashPrecision);
+    const cell = decodeGeohash(geohash);
+    return {
+      latitude: cell.latitude,
+      longitude: cell.longitude,
+      geohash,
+      location_uncertainty: outbound.uncertainty + geohashCellRadius(geohash)
+    };
+  }
+
+  getPendingCount() {
+    return this.queue.length;
+  }
+
+  scheduleFlush(delay = this.options.flushIntervalMs) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  // Skip any retry wait, e.g. when the browser reports it is back online
+  flushNow() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.retryDelay = 0;
+    this.flush();
+  }
+
+  // Write the oldest batch; on failure the events stay queued and the retry waits longer
+  async flush() {
+    if (this.isFlushing || !this.queue.length) return;
+    // The 'online' listener flushes when the connection returns
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    const oldest = Date.now() - this.options.maxAgeMs;
+    this.queue = this.queue.filter(event => Date.parse(event.occurred_at) >= oldest);
+    const queued = this.queue.slice(0, this.options.batchSize);
+    if (!queued.length) {
+      this.persist();
+      return;
+    }
+
+    // Row-level security only accepts a wallet the request is signed in as; events of
+    // other wallets (or from before sign-in) are sent without one rather than rejected
+    const signedIn = this.source.signInToWrite ? walletAuthService.getSession()?.address ?? null : undefined;
+    const batch = signedIn === undefined
+      ? queued
+      : queued.map(event => (event.wallet_address && event.wallet_address !== signedIn
+        ? { ...event, wallet_address: null }
+        : event));
+
+    this.isFlushing = true;
+    try {
+      await this.source.recordInteractions(batch);
+      const sent = new Set(batch.map(event => event.id));
+      this.queue = this.queue.filter(event => !sent.has(event.id));
+      this.persist();
+      this.retryDelay = 0;
+      console.log(`📊 Sent ${batch.length} interaction event${batch.length === 1 ? '' : 's'}`);
+
+      if (this.queue.length) {
+        this.scheduleFlush(0);
+      }
+    } catch (error) {
+      this.retryDelay = Math.min(
+        this.retryDelay ? this.retryDelay * 2 : this.options.flushIntervalMs,
+        this.options.maxRetryDelayMs
+      );
+      console.warn(`⚠️ Could not send ${batch.length} interaction events, retrying in ${Math.round(this.retryDelay / 1000)}s:`, error.message);
+      this.scheduleFlush(this.retryDelay);
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.queue));
+    } catch (error) {
+      console.warn('⚠️ Could not persist interaction events:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const interactionEventService = new InteractionEventService(dataSource);
+
+export default interactionEventService;
+export { InteractionEventService };
@@ -0,0 +1,139 @@
+// Location Permission State Machine
+// Tracks geolocation permission through the Permissions API where available and
+// through geolocation errors otherwise:
+//   checking → prompt | granted | denied | unavailable
+
+export const PERMISSION_STATE = {
+  CHECKING: 'checking',
+  PROMPT: 'prompt',
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNAVAILABLE: 'unavailable'
+};
+
+// GeolocationPositionError codes
+const PERMISSION_DENIED = 1;
+
+const REQUEST_OPTIONS = {
+  enableHighAccuracy: true,
+  timeout: 15000,
+  maximumAge: 30000
+};
+
+class LocationPermissionService {
+  constructor() {
+    this.state = PERMISSION_STATE.CHECKING;
+    this.reason = null;
+    this.listeners = new Set();
+    this.permissionStatus = null;
+  }
+
+  setState(state, reason = null) {
+    if (state === this.state && reason === this.reason) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.reason = reason;
+    console.log(`📍 Location permission: ${previous} → ${state}${reason ? ` (${reason})` : ''}`);
+    this.listeners.forEach(handler => handler(this.getState()));
+  }
+
+  getState() {
+    return { state: this.state, reason: this.reason };
+  }
+
+  subscribe(handler) {
+    this.listeners.add(handler);
+    return () => this.listeners.delete(handler);
+  }
+
+  // Read the current permission without prompting the user
+  async check() {
+    if (!window.isSecureContext) {
+      this.setState(PERMISSION_STATE.UNAVAILABLE, 'Location needs a secure (https) connection');
+      return this.state;
+    }
+
+    if (!navigator.geolocation) {
+      this.setState(PERMISSION_STATE.UNAVAILABLE, 'This browser does not support geolocation');
+      return this.state;
+    }
+
+    if (!navigator.permissions?.query) {
+      // No Permissions API (older Safari): the answer only comes from a request
+      if (this.state === PERMISSION_STATE.CHECKING) {
+        this.setState(PERMISSION_STATE.PROMPT);
+      }
+      return this.state;
+    }
+
+    try {
+      if (!this.permissionStatus) {
+        this.permissionStatus = await navigator.permissions.query({ name: 'geolocation' });
+        this.permissionStatus.onchange = () => this.applyPermission(this.permissionStatus.state);
+      }
+      this.applyPermission(this.permissionStatus.state);
+    } catch (error) {
+      console.warn('⚠️ Permissions API query failed:', error.message);
+      this.setState(PERMISSION_STATE.PROMPT);
+    }
+
+    return this.state;
+  }
+
+  applyPermission(permission) {
+    switch (permission) {
+      case 'granted':
+        this.setState(PERMISSION_STATE.GRANTED);
+        break;
+      case 'denied':
+        this.setState(PERMISSION_STATE.DENIED, 'Location access is blocked for this site');
+        break;
+      default:
+        this.setState(PERMISSION_STATE.PROMPT);
+        break;
+    }
+  }
+
+  // Ask for a position (shows the browser prompt when needed); resolves to the new state
+  request() {
+    if (!navigator.geolocation) {
+      this.setState(PERMISSION_STATE.UNAVAILABLE, 'This browser does not support geolocation');
+      return Promise.resolve(this.state);
+    }
+
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        () => {
+          this.setState(PERMISSION_STATE.GRANTED);
+          resolve(this.state);
+        },
+        (error) => {
+          this.reportError(error);
+          resolve(this.state);
+        },
+        REQUEST_OPTIONS
+      );
+    });
+  }
+
+  // A position was obtained, so access is granted whatever the Permissions API said
+  reportSuccess() {
+    this.setState(PERMISSION_STATE.GRANTED);
+  }
+
+  // Move the state machine on a geolocation error
+  reportError(error) {
+    if (error?.code === PERMISSION_DENIED) {
+      this.setState(PERMISSION_STATE.DENIED, error.message || 'Location access was denied');
+    } else {
+      this.setState(PERMISSION_STATE.UNAVAILABLE, error?.message || 'Position could not be determined');
+    }
+  }
+}
+
+// Create singleton instance
+const locationPermissionService = new LocationPermissionService();
+
+export default locationPermissionService;
+export { LocationPermissionService };
@@ -0,0 +1,165 @@
+// Location Privacy Service
+// Coarsens the user's position before it leaves the device (database queries,
+// agent chat context, analytics). Local positioning and AR placement keep using
+// the precise fix; only outbound copies go through protect().
+
+import { encodeGeohash, decodeGeohash, geohashCellRadius } from './geohash';
+import { destinationPoint } from './geodesy';
+
+export const PRIVACY_MODE = {
+  EXACT: 'exact',
+  GEOHASH: 'geohash',
+  OFFSET: 'offset'
+};
+
+const STORAGE_KEY = 'near-location-privacy';
+
+const DEFAULT_SETTINGS = {
+  mode: Object.values(PRIVACY_MODE).includes(import.meta.env.VITE_LOCATION_PRIVACY)
+    ? import.meta.env.VITE_LOCATION_PRIVACY
+    : PRIVACY_MODE.GEOHASH,
+  // Geohash characters kept in geohash mode (7 ≈ 153m cells)
+  geohashPrecision: 7,
+  // Maximum shift in offset mode (meters)
+  offsetMeters: 200
+};
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+class LocationPrivacyService {
+  constructor() {
+    this.settings = loadSettings();
+    this.offset = null;
+    this.listeners = [];
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    // A new radius needs a new offset; the old one would also leak the previous shift
+    this.offset = null;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('⚠️ Could not persist location privacy settings:', error.message);
+    }
+
+    console.log(`🔒 Location privacy: ${this.describe()}`);
+    this.emit('change', this.getSettings());
+  }
+
+  // One random shift per session, uniform over the disc. Drawing a fresh offset per
+  // request would let a server average repeated queries back to the true position.
+  getOffset() {
+    if (!this.offset) {
+      this.offset = {
+        bearing: Math.random() * 360,
+        distance: this.settings.offsetMeters * Math.sqrt(Math.random())
+      };
+    }
+    return this.offset;
+  }
+
+  // Outbound copy of a position: { latitude, longitude, uncertainty, mode, geohash? }.
+  // `uncertainty` is how far (meters) the true position can be from the returned one,
+  // so callers can widen search radii to compensate.
+  protect(location) {
+    if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+      return null;
+    }
+
+    const { mode, geohashPrecision, offsetMeters } = this.settings;
+
+    switch (mode) {
+      case PRIVACY_MODE.GEOHASH: {
+        const geohash = encodeGeohash(location.latitude, location.longitude, geohashPrecision);
+        const cell = decodeGeohash(geohash);
+        return {
+          latitude: cell.latitude,
+          longitude: cell.longitude,
+          uncertainty: geohashCellRadius(geohash),
+          mode,
+          geohash
+        };
+      }
+      case PRIVACY_MODE.OFFSET: {
+        const { bearing, distance } = this.getOffset();
+        const shifted = destinationPoint(location, bearing, distance);
+        return {
+          latitude: shifted.latitude,
+          longitude: shifted.longitude,
+          uncertainty: offsetMeters,
+          mode
+        };
+      }
+      default:
+        return {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          uncertainty: 0,
+          mode: PRIVACY_MODE.EXACT
+        };
+    }
+  }
+
+  // Search radius that still covers `radius` around the true position
+  expandRadius(radius, protectedLocation) {
+    return radius + (protectedLocation?.uncertainty || 0);
+  }
+
+  describe() {
+    const { mode, geohashPrecision, offsetMeters } = this.settings;
+    switch (mode) {
+      case PRIVACY_MODE.GEOHASH:
+        return `snapped to geohash cell (precision ${geohashPrecision}, ±${Math.round(this.cellRadius())}m)`;
+      case PRIVACY_MODE.OFFSET:
+        return `random offset within ${offsetMeters}m`;
+      default:
+        return 'exact';
+    }
+  }
+
+  // Worst-case snapping error at the current precision (cell size varies little with latitude)
+  cellRadius() {
+    return geohashCellRadius(encodeGeohash(0, 0, this.settings.geohashPrecision));
+  }
+
+  subscribe(event, handler) {
+    this.listeners.push({ event, handler });
+    return () => this.unsubscribe(event, handler);
+  }
+
+  unsubscribe(event, handler) {
+    this.listeners = this.listeners.filter(listener =>
+      !(listener.event === event && listener.handler === handler)
+    );
+  }
+
+  emit(event, payload) {
+    this.listeners
+      .filter(listener => listener.event === event)
+      .forEach(({ handler }) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`❌ Location privacy ${event} listener error:`, error);
+        }
+      });
+  }
+}
+
+// Create singleton instance
+const locationPrivacyService = new LocationPrivacyService();
+
+export default locationPrivacyService;
+export { LocationPrivacyService };
@@ -0,0 +1,691 @@
+// NTRIP Client for RTK correction streams
+// Speaks NTRIP v1 and v2 to a caster over a pluggable byte transport.
+// Browsers cannot open raw TCP sockets, so the default transport tunnels
+// through a WebSocket-to-TCP bridge (websockify or similar).
+
+import { parseSourcetable, selectNearestMountpoint } from './ntripSourcetable';
+import geoid, { ALTITUDE_DATUM, altitudeIn } from './geoid';
+
+const USER_AGENT = 'NTRIP NeARViewer/1.0';
+const HEADER_TERMINATOR = '\r\n\r\n';
+const SOURCETABLE_TERMINATOR = 'ENDSOURCETABLE';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('latin1');
+
+// Connection states reported through the 'status' event
+export const NTRIP_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  STREAMING: 'streaming',
+  RECONNECTING: 'reconnecting',
+  ERROR: 'error',
+  CLOSED: 'closed'
+};
+
+export class NTRIPError extends Error {
+  constructor(message, { code = 'NTRIP_ERROR', status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'NTRIPError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// WebSocket-to-TCP bridge transport.
+// The caster host/port are passed as query parameters so a single bridge can
+// serve several casters; fixed-target bridges simply ignore them.
+export const createWebSocketTransport = (bridgeUrl) => ({ host, port }) => {
+  let socket = null;
+
+  const transport = {
+    onData: null,
+    onClose: null,
+    onError: null,
+
+    open() {
+      return new Promise((resolve, reject) => {
+        const url = new URL(bridgeUrl, window.location.href);
+        if (!url.searchParams.has('host')) url.searchParams.set('host', host);
+        if (!url.searchParams.has('port')) url.searchParams.set('port', String(port));
+
+        socket = new WebSocket(url.toString());
+        socket.binaryType = 'arraybuffer';
+
+        socket.onopen = () => resolve();
+        socket.onmessage = (event) => {
+          const bytes = typeof event.data === 'string'
+            ? textEncoder.encode(event.data)
+            : new Uint8Array(event.data);
+          transport.onData?.(bytes);
+        };
+        socket.onerror = () => {
+          const error = new NTRIPError(`WebSocket bridge error (${url.host})`, { code: 'TRANSPORT_ERROR' });
+          if (socket.readyState === WebSocket.CONNECTING) {
+            reject(error);
+          } else {
+            transport.onError?.(error);
+          }
+        };
+        socket.onclose = () => transport.onClose?.();
+      });
+    },
+
+    send(bytes) {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(bytes);
+      }
+    },
+
+    close() {
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    }
+  };
+
+  return transport;
+};
+
+// Base64 of UTF-8 credentials for HTTP basic auth
+const encodeBasicAuth = (username, password) => {
+  const bytes = textEncoder.encode(`${username}:${password}`);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const concatBytes = (a, b) => {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+};
+
+const indexOfSequence = (bytes, sequence, fromIndex = 0) => {
+  const pattern = textEncoder.encode(sequence);
+  outer: for (let i = fromIndex; i <= bytes.length - pattern.length; i++) {
+    for (let j = 0; j < pattern.length; j++) {
+      if (bytes[i + j] !== pattern[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+};
+
+// Build an NTRIP request for a mountpoint ('' requests the sourcetable)
+export const buildNTRIPRequest = ({ host, port, mountpoint = '', username, password, version = 2, gga = null }) => {
+  const lines = [];
+
+  if (version === 1) {
+    lines.push(`GET /${mountpoint} HTTP/1.0`);
+    lines.push(`User-Agent: ${USER_AGENT}`);
+  } else {
+    lines.push(`GET /${mountpoint} HTTP/1.1`);
+    lines.push(`Host: ${host}:${port}`);
+    lines.push('Ntrip-Version: Ntrip/2.0');
+    lines.push(`User-Agent: ${USER_AGENT}`);
+    lines.push('Connection: close');
+    if (gga) lines.push(`Ntrip-GGA: ${gga}`);
+  }
+
+  if (username) {
+    lines.push(`Authorization: Basic ${encodeBasicAuth(username, password || '')}`);
+  }
+
+  let request = lines.join('\r\n') + HEADER_TERMINATOR;
+
+  // NTRIP v1 casters expect the first GGA right after the request headers
+  if (version === 1 && gga) {
+    request += `${gga}\r\n`;
+  }
+
+  return textEncoder.encode(request);
+};
+
+// NMEA checksum: XOR of all characters between '$' and '*'
+const nmeaChecksum = (body) => {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return checksum.toString(16).toUpperCase().padStart(2, '0');
+};
+
+const formatNMEACoordinate = (value, degreeDigits) => {
+  const absolute = Math.abs(value);
+  const degrees = Math.floor(absolute);
+  const minutes = (absolute - degrees) * 60;
+  return `${String(degrees).padStart(degreeDigits, '0')}${minutes.toFixed(5).padStart(8, '0')}`;
+};
+
+// Build a GGA sentence from a position, used by VRS mountpoints to pick the virtual base
+export const buildGGASentence = (position, { fixQuality = 1, satellites = 12, hdop = 1.0 } = {}) => {
+  // GGA carries the orthometric height plus the geoid separation; without a
+  // geoid the ellipsoidal height goes out with a zero separation
+  const separation = geoid.undulation(position.latitude, position.longitude);
+  const ellipsoidalHeight = altitudeIn(position, ALTITUDE_DATUM.ELLIPSOID) ?? position.altitude ?? 0;
+  const height = separation !== null ? ellipsoidalHeight - separation : ellipsoidalHeight;
+
+  const time = new Date(position.timestamp || Date.now());
+  const hhmmss = [time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('') + '.00';
+
+  const body = [
+    'GPGGA',
+    hhmmss,
+    formatNMEACoordinate(position.latitude, 2),
+    position.latitude >= 0 ? 'N' : 'S',
+    formatNMEACoordinate(position.longitude, 3),
+    position.longitude >= 0 ? 'E' : 'W',
+    fixQuality,
+    String(satellites).padStart(2, '0'),
+    hdop.toFixed(1),
+    height.toFixed(3),
+    'M',
+    (separation ?? 0).toFixed(3),
+    'M',
+    '',
+    ''
+  ].join(',');
+
+  return `$${body}*${nmeaChecksum(body)}`;
+};
+
+// Decoder for HTTP chunked transfer encoding (NTRIP v2 data streams)
+class ChunkedDecoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.remaining = 0;
+    this.done = false;
+  }
+
+  push(bytes) {
+    this.buffer = concatBytes(this.buffer, bytes);
+    const output = [];
+
+    while (!this.done && this.buffer.length > 0) {
+      if (this.remaining === 0) {
+        const lineEnd = indexOfSequence(this.buffer, '\r\n');
+        if (lineEnd === -1) break;
+
+        const sizeLine = textDecoder.decode(this.buffer.subarray(0, lineEnd)).split(';')[0].trim();
+        if (sizeLine === '') {
+          // CRLF trailing the previous chunk
+          this.buffer = this.buffer.subarray(lineEnd + 2);
+          continue;
+        }
+
+        const size = parseInt(sizeLine, 16);
+        if (Number.isNaN(size)) {
+          throw new NTRIPError(`Invalid chunk size: ${sizeLine}`, { code: 'PROTOCOL_ERROR' });
+        }
+
+        this.buffer = this.buffer.subarray(lineEnd + 2);
+        if (size === 0) {
+          this.done = true;
+          break;
+        }
+        this.remaining = size;
+      }
+
+      const take = Math.min(this.remaining, this.buffer.length);
+      output.push(this.buffer.slice(0, take));
+      this.buffer = this.buffer.subarray(take);
+      this.remaining -= take;
+    }
+
+    return output.reduce(concatBytes, new Uint8Array(0));
+  }
+}
+
+// Parse the caster's response head; returns null until the head is complete
+const parseResponseHead = (bytes) => {
+  const firstLineEnd = indexOfSequence(bytes, '\r\n');
+  if (firstLineEnd === -1) return null;
+
+  const statusLine = textDecoder.decode(bytes.subarray(0, firstLineEnd));
+
+  // NTRIP v1 data response: payload follows the status line directly
+  if (statusLine.startsWith('ICY ')) {
+    return {
+      kind: 'stream',
+      statusCode: parseInt(statusLine.split(' ')[1]),
+      statusLine,
+      headers: {},
+      bodyStart: firstLineEnd + 2
+    };
+  }
+
+  // NTRIP v1 sourcetable response
+  if (statusLine.startsWith('SOURCETABLE ')) {
+    const headEnd = indexOfSequence(bytes, HEADER_TERMINATOR);
+    if (headEnd === -1) return null;
+    return {
+      kind: 'sourcetable',
+      statusCode: parseInt(statusLine.split(' ')[1]),
+      statusLine,
+      headers: {},
+      bodyStart: headEnd + 4
+    };
+  }
+
+  const headEnd = indexOfSequence(bytes, HEADER_TERMINATOR);
+  if (headEnd === -1) return null;
+
+  const [, ...headerLines] = textDecoder.decode(bytes.subarray(0, headEnd)).split('\r\n');
+  const headers = {};
+  headerLines.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  const statusCode = parseInt(statusLine.split(' ')[1]);
+  const isSourcetable = (headers['content-type'] || '').includes('gnss/sourcetable');
+
+  return {
+    kind: isSourcetable ? 'sourcetable' : 'stream',
+    statusCode,
+    statusLine,
+    headers,
+    bodyStart: headEnd + 4
+  };
+};
+
+const errorForStatus = (statusCode, statusLine, mountpoint) => {
+  if (statusCode === 401) {
+    return new NTRIPError('NTRIP caster rejected credentials', { code: 'UNAUTHORIZED', status: 401, retryable: false });
+  }
+  if (statusCode === 404) {
+    return new NTRIPError(`Mountpoint not found: ${mountpoint}`, { code: 'MOUNTPOINT_NOT_FOUND', status: 404, retryable: false });
+  }
+  return new NTRIPError(`Unexpected caster response: ${statusLine}`, { code: 'BAD_RESPONSE', status: statusCode });
+};
+
+class NTRIPClient {
+  constructor(config, { transportFactory = null } = {}) {
+    this.config = {
+      version: 2,
+      ggaInterval: 10000,
+      reconnectBaseDelay: 1000,
+      reconnectMaxDelay: 60000,
+      connectTimeout: 10000,
+      ...config
+    };
+    this.transportFactory = transportFactory ||
+      (this.config.bridgeUrl ? createWebSocketTransport(this.config.bridgeUrl) : null);
+
+    this.status = NTRIP_STATUS.IDLE;
+    this.transport = null;
+    this.mountpoint = null;
+    this.sourcetable = null;
+    this.lastPosition = null;
+    this.lastError = null;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.ggaTimer = null;
+    this.shouldRun = false;
+    // Bumped by every connect() and stop(); an attempt that finishes after its
+    // generation was superseded discards its transport instead of installing it
+    this.connectionGeneration = 0;
+    this.stats = {
+      bytesReceived: 0,
+      connectedAt: null,
+      lastDataAt: null,
+      reconnects: 0
+    };
+    this.listeners = new Map();
+  }
+
+  // Subscribe to 'status', 'data', 'sourcetable' or 'error'; returns an unsubscribe function
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ NTRIP ${event} listener error:`, error);
+      }
+    });
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', { status, mountpoint: this.mountpoint, error: this.lastError });
+  }
+
+  isStreaming() {
+    return this.status === NTRIP_STATUS.STREAMING;
+  }
+
+  // Open a transport, send a request and hand response bytes to onResponse
+  openSession(requestBytes, onResponse) {
+    if (!this.transportFactory) {
+      return Promise.reject(new NTRIPError('No NTRIP transport configured (set VITE_RTK_BRIDGE_URL)', {
+        code: 'NO_TRANSPORT',
+        retryable: false
+      }));
+    }
+
+    const transport = this.transportFactory({ host: this.config.host, port: this.config.port });
+    return transport.open().then(() => {
+      transport.onData = onResponse;
+      transport.send(requestBytes);
+      return transport;
+    });
+  }
+
+  // Download and parse the caster sourcetable
+  fetchSourcetable() {
+    const request = buildNTRIPRequest({ ...this.config, mountpoint: '' });
+
+    return new Promise((resolve, reject) => {
+      let buffer = new Uint8Array(0);
+      let head = null;
+      let transport = null;
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        transport?.close();
+
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        const body = head ? buffer.subarray(head.bodyStart) : buffer;
+        const text = textDecoder.decode(head?.headers['transfer-encoding'] === 'chunked'
+          ? new ChunkedDecoder().push(body)
+          : body);
+        this.sourcetable = parseSourcetable(text);
+        this.emit('sourcetable', this.sourcetable);
+        resolve(this.sourcetable);
+      };
+
+      const timeout = setTimeout(() => {
+        finish(new NTRIPError('Sourcetable request timed out', { code: 'TIMEOUT' }));
+      }, this.config.connectTimeout);
+
+      this.openSession(request, (bytes) => {
+        buffer = concatBytes(buffer, bytes);
+        if (!head) {
+          head = parseResponseHead(buffer);
+          if (head && head.statusCode !== 200) {
+            finish(errorForStatus(head.statusCode, head.statusLine, ''));
+            return;
+          }
+        }
+        if (head && indexOfSequence(buffer, SOURCETABLE_TERMINATOR, head.bodyStart) !== -1) {
+          finish();
+        }
+      }).then((openedTransport) => {
+        transport = openedTransport;
+        transport.onClose = () => finish(head ? null : new NTRIPError('Caster closed connection', { code: 'CLOSED' }));
+        transport.onError = finish;
+        if (settled) transport.close();
+      }).catch(finish);
+    });
+  }
+
+  // Resolve the configured mountpoint; AUTO picks the nearest compatible stream
+  async resolveMountpoint() {
+    if (this.config.mountpoint && this.config.mountpoint !== 'AUTO') {
+      return this.config.mountpoint;
+    }
+
+    const sourcetable = this.sourcetable || await this.fetchSourcetable();
+    const stream = selectNearestMountpoint(sourcetable, this.lastPosition);
+
+    if (!stream) {
+      throw new NTRIPError('Sourcetable has no compatible RTCM 3 streams', { code: 'NO_MOUNTPOINT', retryable: false });
+    }
+
+    const distance = stream.distanceKm !== null ? ` (${stream.distanceKm.toFixed(1)}km)` : '';
+    console.log(`📡 AUTO mountpoint resolved to ${stream.mountpoint}${distance}`);
+    return stream.mountpoint;
+  }
+
+  // Change mountpoint ('AUTO' re-resolves); reconnects immediately when running
+  switchMountpoint(mountpoint) {
+    this.config.mountpoint = mountpoint || 'AUTO';
+    if (!this.shouldRun) return;
+
+    console.log(`🔀 Switching NTRIP mountpoint to ${this.config.mountpoint}`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.closeTransport();
+    this.reconnectAttempt = 0;
+    this.connect();
+  }
+
+  streamEntry(mountpoint) {
+    return this.sourcetable?.streams.find(entry => entry.mountpoint === mountpoint) || null;
+  }
+
+  requiresGGA() {
+    const entry = this.streamEntry(this.mountpoint);
+    // Unknown mountpoints get GGA anyway; non-VRS casters ignore it
+    return entry ? entry.requiresNMEA : true;
+  }
+
+  // Update the rover position used for GGA reports
+  updatePosition(position) {
+    this.lastPosition = position;
+  }
+
+  sendGGA() {
+    if (!this.transport || !this.lastPosition || !this.requiresGGA()) return;
+    const sentence = buildGGASentence(this.lastPosition);
+    this.transport.send(textEncoder.encode(`${sentence}\r\n`));
+  }
+
+  // Start streaming corrections; reconnects with backoff until stop() is called
+  async start() {
+    if (this.shouldRun) return;
+    this.shouldRun = true;
+    this.reconnectAttempt = 0;
+    await this.connect();
+  }
+
+  async connect() {
+    if (!this.shouldRun) return;
+
+    const generation = ++this.connectionGeneration;
+    const isCurrent = () => this.shouldRun && generation === this.connectionGeneration;
+
+    this.setStatus(NTRIP_STATUS.CONNECTING);
+
+    try {
+      const mountpoint = await this.resolveMountpoint();
+      if (!isCurrent()) return;
+      this.mountpoint = mountpoint;
+
+      const gga = this.lastPosition ? buildGGASentence(this.lastPosition) : null;
+      const request = buildNTRIPRequest({ ...this.config, mountpoint: this.mountpoint, gga });
+
+      let buffer = new Uint8Array(0);
+      let head = null;
+      let chunked = null;
+
+      const handleBytes = (bytes) => {
+        if (!head) {
+          buffer = concatBytes(buffer, bytes);
+          head = parseResponseHead(buffer);
+          if (!head) return;
+
+          if (head.statusCode !== 200 || head.kind !== 'stream') {
+            this.handleFailure(head.kind === 'sourcetable'
+              ? errorForStatus(404, head.statusLine, this.mountpoint)
+              : errorForStatus(head.statusCode, head.statusLine, this.mountpoint));
+            return;
+          }
+
+          if (head.headers['transfer-encoding'] === 'chunked') {
+            chunked = new ChunkedDecoder();
+          }
+
+          this.reconnectAttempt = 0;
+          this.lastError = null;
+          this.stats.connectedAt = Date.now();
+          this.setStatus(NTRIP_STATUS.STREAMING);
+          console.log(`✅ NTRIP streaming from ${this.config.host}:${this.config.port}/${this.mountpoint}`);
+
+          this.startGGAReports({ sendNow: !gga });
+          bytes = buffer.subarray(head.bodyStart);
+          buffer = null;
+        }
+
+        const payload = chunked ? chunked.push(bytes) : bytes;
+        if (payload.length > 0) {
+          this.stats.bytesReceived += payload.length;
+          this.stats.lastDataAt = Date.now();
+          this.emit('data', payload);
+        }
+      };
+
+      const transport = await this.openSession(request, (bytes) => {
+        if (!isCurrent()) return;
+        try {
+          handleBytes(bytes);
+        } catch (error) {
+          this.handleFailure(error);
+        }
+      });
+
+      // Stopped, or another connect() started, while the session was opening
+      if (!isCurrent()) {
+        transport.onData = null;
+        transport.close();
+        return;
+      }
+
+      this.transport = transport;
+      this.transport.onClose = () => this.handleFailure(new NTRIPError('Caster closed connection', { code: 'CLOSED' }));
+      this.transport.onError = (error) => this.handleFailure(error);
+    } catch (error) {
+      // A superseded attempt must not tear down or reschedule the current one
+      if (isCurrent()) {
+        this.handleFailure(error);
+      }
+    }
+  }
+
+  startGGAReports({ sendNow = false } = {}) {
+    this.stopGGAReports();
+    if (!this.requiresGGA()) return;
+
+    if (sendNow) {
+      this.sendGGA();
+    }
+    this.ggaTimer = setInterval(() => this.sendGGA(), this.config.ggaInterval);
+  }
+
+  stopGGAReports() {
+    if (this.ggaTimer) {
+      clearInterval(this.ggaTimer);
+      this.ggaTimer = null;
+    }
+  }
+
+  closeTransport() {
+    this.stopGGAReports();
+    if (this.transport) {
+      this.transport.onData = null;
+      this.transport.onClose = null;
+      this.transport.onError = null;
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
+  handleFailure(error) {
+    this.closeTransport();
+    this.lastError = error;
+    console.warn('⚠️ NTRIP connection error:', error.message);
+    this.emit('error', error);
+
+    if (!this.shouldRun) return;
+
+    if (error.retryable === false) {
+      this.shouldRun = false;
+      this.setStatus(NTRIP_STATUS.ERROR);
+      return;
+    }
+
+    this.scheduleReconnect();
+  }
+
+  // Exponential backoff with jitter, capped at reconnectMaxDelay
+  scheduleReconnect() {
+    const { reconnectBaseDelay, reconnectMaxDelay } = this.config;
+    const delay = Math.min(reconnectMaxDelay, reconnectBaseDelay * 2 ** this.reconnectAttempt);
+    const jitteredDelay = delay / 2 + Math.random() * delay / 2;
+
+    this.reconnectAttempt += 1;
+    this.stats.reconnects += 1;
+    this.setStatus(NTRIP_STATUS.RECONNECTING);
+    console.log(`🔄 NTRIP reconnect ${this.reconnectAttempt} in ${Math.round(jitteredDelay)}ms`);
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, jitteredDelay);
+  }
+
+  // Wait until the stream delivers data, or reject after timeoutMs
+  waitForData(timeoutMs = 5000) {
+    if (this.stats.lastDataAt) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new NTRIPError('No correction data received', { code: 'TIMEOUT' }));
+      }, timeoutMs);
+      const unsubscribe = this.on('data', () => {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    this.shouldRun = false;
+    this.connectionGeneration += 1;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.closeTransport();
+    this.setStatus(NTRIP_STATUS.CLOSED);
+    console.log('⏹️ NTRIP client stopped');
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      status: this.status,
+      mountpoint: this.mountpoint,
+      correctionAge: this.stats.lastDataAt ? (Date.now() - this.stats.lastDataAt) / 1000 : null,
+      lastError: this.lastError?.message || null
+    };
+  }
+}
+
+export default NTRIPClient;
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NTRIPClient, { NTRIP_STATUS, NTRIPError } from './ntripClient';
+
+const encoder = new TextEncoder();
+
+// Transports whose open() settles only when the test says so
+const deferredTransports = () => {
+  const opened = [];
+  const factory = vi.fn(() => {
+    let settle;
+    const transport = {
+      onData: null,
+      onClose: null,
+      onError: null,
+      open: () => new Promise((resolve, reject) => { settle = { resolve, reject }; }),
+      send: vi.fn(),
+      close: vi.fn(),
+      resolveOpen: () => settle.resolve(),
+      rejectOpen: (error) => settle.reject(error),
+      receive: (text) => transport.onData?.(encoder.encode(text))
+    };
+    opened.push(transport);
+    return transport;
+  });
+  return { factory, opened };
+};
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('NTRIPClient connect', () => {
+  let transports;
+  let client;
+  let statuses;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    transports = deferredTransports();
+    client = new NTRIPClient(
+      { host: 'rtk.geodnet.com', port: 2101, mountpoint: 'SF01', version: 1 },
+      { transportFactory: transports.factory }
+    );
+    statuses = [];
+    client.on('status', ({ status }) => statuses.push(status));
+  });
+
+  afterEach(() => {
+    client.stop();
+    vi.restoreAllMocks();
+  });
+
+  it('streams once the caster accepts the request', async () => {
+    const data = vi.fn();
+    client.on('data', data);
+
+    client.start();
+    await settle();
+    transports.opened[0].resolveOpen();
+    await settle();
+    transports.opened[0].receive('ICY 200 OK\r\nRTCM');
+
+    expect(client.transport).toBe(transports.opened[0]);
+    expect(client.status).toBe(NTRIP_STATUS.STREAMING);
+    expect(data).toHaveBeenCalledWith(encoder.encode('RTCM'));
+  });
+
+  it('closes a session that opens after stop()', async () => {
+    client.start();
+    await settle();
+    client.stop();
+
+    transports.opened[0].resolveOpen();
+    await settle();
+
+    expect(transports.opened[0].close).toHaveBeenCalled();
+    expect(client.transport).toBeNull();
+    expect(client.status).toBe(NTRIP_STATUS.CLOSED);
+  });
+
+  it('ignores data from a session that opens after stop()', async () => {
+    const data = vi.fn();
+    client.on('data', data);
+
+    client.start();
+    await settle();
+    client.stop();
+    transports.opened[0].resolveOpen();
+    await settle();
+    transports.opened[0].receive('ICY 200 OK\r\nRTCM');
+
+    expect(data).not.toHaveBeenCalled();
+    expect(statuses).not.toContain(NTRIP_STATUS.STREAMING);
+  });
+
+  it('keeps only the newest session when the mountpoint changes while opening', async () => {
+    client.start();
+    await settle();
+    client.switchMountpoint('OAK1');
+    await settle();
+    const [first, second] = transports.opened;
+
+    second.resolveOpen();
+    await settle();
+    first.resolveOpen();
+    await settle();
+
+    expect(first.close).toHaveBeenCalled();
+    expect(second.close).not.toHaveBeenCalled();
+    expect(client.transport).toBe(second);
+    expect(client.mountpoint).toBe('OAK1');
+  });
+
+  it('does not let a superseded attempt fail the current session', async () => {
+    client.start();
+    await settle();
+    client.switchMountpoint('OAK1');
+    await settle();
+    const [first, second] = transports.opened;
+
+    second.resolveOpen();
+    await settle();
+    first.rejectOpen(new NTRIPError('WebSocket bridge error', { code: 'TRANSPORT_ERROR' }));
+    await settle();
+
+    expect(client.transport).toBe(second);
+    expect(second.close).not.toHaveBeenCalled();
+    expect(client.reconnectTimer).toBeNull();
+    expect(statuses).not.toContain(NTRIP_STATUS.RECONNECTING);
+  });
+
+  it('reconnects when the current attempt fails', async () => {
+    client.start();
+    await settle();
+    transports.opened[0].rejectOpen(new NTRIPError('WebSocket bridge error', { code: 'TRANSPORT_ERROR' }));
+    await settle();
+
+    expect(client.status).toBe(NTRIP_STATUS.RECONNECTING);
+    expect(client.reconnectTimer).not.toBeNull();
+  });
+});
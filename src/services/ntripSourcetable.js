@@ -0,0 +1,128 @@
+// NTRIP Sourcetable Parser
+// Parses STR / CAS / NET records from a caster sourcetable and ranks
+// mountpoints by distance from the rover.
+
+import { surfaceDistance } from './geodesy';
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toInteger = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Surface distance in km
+const distanceKm = (position, stream) => surfaceDistance(position, stream) / 1000;
+
+// STR;mountpoint;identifier;format;format-details;carrier;nav-system;network;country;
+//     latitude;longitude;nmea;solution;generator;compr-encryp;authentication;fee;bitrate;misc
+const parseStream = (fields) => ({
+  mountpoint: fields[1] || '',
+  identifier: fields[2] || '',
+  format: fields[3] || '',
+  formatDetails: fields[4] || '',
+  carrier: toInteger(fields[5]),
+  navSystems: (fields[6] || '').split('+').map(system => system.trim()).filter(Boolean),
+  network: fields[7] || '',
+  country: fields[8] || '',
+  latitude: toNumber(fields[9]),
+  longitude: toNumber(fields[10]),
+  requiresNMEA: fields[11] === '1',
+  isNetworkSolution: fields[12] === '1',
+  generator: fields[13] || '',
+  compression: fields[14] || '',
+  authentication: fields[15] || 'N',
+  fee: fields[16] === 'Y',
+  bitrate: toInteger(fields[17]),
+  misc: fields.slice(18).join(';')
+});
+
+// CAS;host;port;identifier;operator;nmea;country;latitude;longitude;fallback-host;fallback-port;misc
+const parseCaster = (fields) => ({
+  host: fields[1] || '',
+  port: toInteger(fields[2]),
+  identifier: fields[3] || '',
+  operator: fields[4] || '',
+  requiresNMEA: fields[5] === '1',
+  country: fields[6] || '',
+  latitude: toNumber(fields[7]),
+  longitude: toNumber(fields[8]),
+  fallbackHost: fields[9] || '',
+  fallbackPort: toInteger(fields[10]),
+  misc: fields.slice(11).join(';')
+});
+
+// NET;identifier;operator;authentication;fee;web-net;web-str;web-reg;misc
+const parseNetwork = (fields) => ({
+  identifier: fields[1] || '',
+  operator: fields[2] || '',
+  authentication: fields[3] || 'N',
+  fee: fields[4] === 'Y',
+  webNet: fields[5] || '',
+  webStr: fields[6] || '',
+  webReg: fields[7] || '',
+  misc: fields.slice(8).join(';')
+});
+
+// Parse sourcetable text (with or without HTTP headers) into records
+export const parseSourcetable = (text) => {
+  const sourcetable = { streams: [], casters: [], networks: [] };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const fields = line.split(';');
+    switch (fields[0]) {
+      case 'STR':
+        if (fields[1]) sourcetable.streams.push(parseStream(fields));
+        break;
+      case 'CAS':
+        sourcetable.casters.push(parseCaster(fields));
+        break;
+      case 'NET':
+        sourcetable.networks.push(parseNetwork(fields));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return sourcetable;
+};
+
+// RTCM 3.x stream carrying at least GPS
+export const isCompatibleStream = (stream, { navSystem = 'GPS' } = {}) =>
+  /^RTCM\s*3/i.test(stream.format) &&
+  (stream.navSystems.length === 0 || stream.navSystems.some(system => system.toUpperCase().startsWith(navSystem)));
+
+// Compatible mountpoints with a known location, nearest first
+export const rankMountpoints = (sourcetable, position, options = {}) => {
+  const streams = (sourcetable?.streams || []).filter(stream => isCompatibleStream(stream, options));
+
+  return streams
+    .map(stream => ({
+      ...stream,
+      distanceKm: position && stream.latitude !== null && stream.longitude !== null
+        ? distanceKm(position, stream)
+        : null
+    }))
+    .sort((a, b) => {
+      if (a.distanceKm === null) return b.distanceKm === null ? 0 : 1;
+      if (b.distanceKm === null) return -1;
+      return a.distanceKm - b.distanceKm;
+    });
+};
+
+// Nearest compatible mountpoint, or null when the table has none
+export const selectNearestMountpoint = (sourcetable, position, options = {}) =>
+  rankMountpoints(sourcetable, position, options)[0] || null;
+
+// Distance from a position to a mountpoint's advertised location (km)
+export const distanceToMountpoint = (stream, position) => {
+  if (!stream || !position || stream.latitude === null || stream.longitude === null) return null;
+  return distanceKm(position, stream);
+};
@@ -0,0 +1,281 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseSourcetable,
+  isCompatibleStream,
+  rankMountpoints,
+  selectNearestMountpoint,
+  distanceToMountpoint
+} from './ntripSourcetable';
+import NTRIPClient from './ntripClient';
+import SOURCETABLE from './__fixtures__/sourcetable.txt?raw';
+
+const SAN_FRANCISCO = { latitude: 37.7749, longitude: -122.4194 };
+const LOS_ANGELES = { latitude: 34.05, longitude: -118.25 };
+
+const mountpoints = (streams) => streams.map(stream => stream.mountpoint);
+
+describe('parseSourcetable', () => {
+  const table = parseSourcetable(SOURCETABLE);
+
+  it('parses STR records', () => {
+    expect(table.streams.find(stream => stream.mountpoint === 'SF01')).toEqual({
+      mountpoint: 'SF01',
+      identifier: 'San Francisco',
+      format: 'RTCM 3.3',
+      formatDetails: '1004(1),1005(10),1074(1),1084(1)',
+      carrier: 2,
+      navSystems: ['GPS', 'GLO', 'GAL', 'BDS'],
+      network: 'GEODNET',
+      country: 'USA',
+      latitude: 37.77,
+      longitude: -122.42,
+      requiresNMEA: false,
+      isNetworkSolution: false,
+      generator: 'UM980',
+      compression: 'none',
+      authentication: 'B',
+      fee: false,
+      bitrate: 9600,
+      misc: 'misc;with;semicolons'
+    });
+  });
+
+  it('reads the NMEA, network solution and fee flags', () => {
+    const vrs = table.streams.find(stream => stream.mountpoint === 'VRS1');
+    expect(vrs).toMatchObject({ requiresNMEA: true, isNetworkSolution: true, fee: true });
+  });
+
+  it('parses CAS records', () => {
+    expect(table.casters).toEqual([
+      {
+        host: 'rtk.geodnet.com',
+        port: 2101,
+        identifier: 'GEODNET',
+        operator: 'GEODNET Foundation',
+        requiresNMEA: false,
+        country: 'USA',
+        latitude: 37.77,
+        longitude: -122.42,
+        fallbackHost: 'rtk2.geodnet.com',
+        fallbackPort: 2102,
+        misc: 'Primary caster'
+      },
+      {
+        host: 'backup.example.net',
+        port: 443,
+        identifier: 'BACKUP',
+        operator: '',
+        requiresNMEA: true,
+        country: 'DEU',
+        latitude: 50.11,
+        longitude: 8.68,
+        fallbackHost: '',
+        fallbackPort: null,
+        misc: ''
+      }
+    ]);
+  });
+
+  it('parses NET records', () => {
+    expect(table.networks).toEqual([
+      {
+        identifier: 'GEODNET',
+        operator: 'GEODNET Foundation',
+        authentication: 'B',
+        fee: false,
+        webNet: 'https://geodnet.com',
+        webStr: 'https://geodnet.com/str',
+        webReg: 'https://geodnet.com/register',
+        misc: 'none'
+      },
+      {
+        identifier: 'PAIDNET',
+        operator: 'Example GmbH',
+        authentication: 'D',
+        fee: true,
+        webNet: '',
+        webStr: '',
+        webReg: '',
+        misc: ''
+      }
+    ]);
+  });
+
+  describe('malformed lines', () => {
+    it('skips STR records without a mountpoint', () => {
+      expect(table.streams.some(stream => stream.identifier === 'Missing mountpoint')).toBe(false);
+    });
+
+    it('keeps records with unparseable numbers as null', () => {
+      expect(table.streams.find(stream => stream.mountpoint === 'BADPOS')).toMatchObject({
+        carrier: null,
+        latitude: null,
+        longitude: null,
+        bitrate: null
+      });
+    });
+
+    it('fills missing trailing fields with defaults', () => {
+      expect(table.streams.find(stream => stream.mountpoint === 'SHORT')).toMatchObject({
+        format: '',
+        navSystems: [],
+        latitude: null,
+        longitude: null,
+        requiresNMEA: false,
+        authentication: 'N',
+        fee: false,
+        bitrate: null,
+        misc: ''
+      });
+    });
+
+    it('ignores unknown records, comments, blank lines and ENDSOURCETABLE', () => {
+      expect(mountpoints(table.streams)).toEqual([
+        'SF01', 'OAK1', 'LA01', 'VRS1', 'LEGACY', 'GLOONLY', 'NOPOS', 'BADPOS', 'SHORT'
+      ]);
+      expect(table.casters).toHaveLength(2);
+      expect(table.networks).toHaveLength(2);
+    });
+
+    it('accepts CRLF line endings and HTTP response headers', () => {
+      const response = [
+        'SOURCETABLE 200 OK',
+        'Server: NTRIP Caster',
+        'Content-Type: text/plain',
+        '',
+        'STR;CRLF1;Windows;RTCM 3.2;;2;GPS;NET;USA;1.5;2.5;0;0;;none;N;N;;',
+        'ENDSOURCETABLE',
+        ''
+      ].join('\r\n');
+
+      const parsed = parseSourcetable(response);
+      expect(mountpoints(parsed.streams)).toEqual(['CRLF1']);
+      expect(parsed.streams[0]).toMatchObject({ latitude: 1.5, longitude: 2.5, misc: '' });
+    });
+
+    it('returns empty lists for an empty table', () => {
+      expect(parseSourcetable('')).toEqual({ streams: [], casters: [], networks: [] });
+    });
+  });
+});
+
+describe('isCompatibleStream', () => {
+  const stream = (format, navSystems) => ({ format, navSystems });
+
+  it('requires RTCM 3 carrying GPS', () => {
+    expect(isCompatibleStream(stream('RTCM 3.3', ['GPS', 'GLO']))).toBe(true);
+    expect(isCompatibleStream(stream('RTCM3', ['GPS']))).toBe(true);
+    expect(isCompatibleStream(stream('RTCM 2.3', ['GPS']))).toBe(false);
+    expect(isCompatibleStream(stream('RTCM 3.2', ['GLO']))).toBe(false);
+    expect(isCompatibleStream(stream('', []))).toBe(false);
+  });
+
+  it('accepts streams that do not list their systems', () => {
+    expect(isCompatibleStream(stream('RTCM 3.2', []))).toBe(true);
+  });
+
+  it('can require another navigation system', () => {
+    expect(isCompatibleStream(stream('RTCM 3.2', ['GLO']), { navSystem: 'GLO' })).toBe(true);
+  });
+});
+
+describe('AUTO mountpoint selection', () => {
+  const table = parseSourcetable(SOURCETABLE);
+
+  it('ranks compatible mountpoints nearest first, unknown positions last', () => {
+    const ranked = rankMountpoints(table, SAN_FRANCISCO);
+
+    expect(mountpoints(ranked)).toEqual(['SF01', 'OAK1', 'VRS1', 'LA01', 'NOPOS', 'BADPOS']);
+    expect(ranked[0].distanceKm).toBeCloseTo(0.5, 1);
+    expect(ranked[1].distanceKm).toBeCloseTo(13.1, 0);
+    expect(ranked.at(-1).distanceKm).toBeNull();
+  });
+
+  it('skips nearer streams that are not RTCM 3 with GPS', () => {
+    expect(selectNearestMountpoint(table, SAN_FRANCISCO).mountpoint).toBe('SF01');
+  });
+
+  it('follows the rover', () => {
+    expect(selectNearestMountpoint(table, LOS_ANGELES).mountpoint).toBe('LA01');
+  });
+
+  it('keeps table order without a position', () => {
+    const ranked = rankMountpoints(table, null);
+
+    expect(ranked.every(stream => stream.distanceKm === null)).toBe(true);
+    expect(selectNearestMountpoint(table, null).mountpoint).toBe('SF01');
+  });
+
+  it('returns null when nothing is compatible', () => {
+    const legacyOnly = parseSourcetable('STR;LEGACY;Old;RTCM 2.3;;1;GPS;NET;USA;37.7;-122.4;0;0');
+
+    expect(selectNearestMountpoint(legacyOnly, SAN_FRANCISCO)).toBeNull();
+    expect(selectNearestMountpoint(null, SAN_FRANCISCO)).toBeNull();
+  });
+
+  it('measures the distance to a mountpoint', () => {
+    const oakland = table.streams.find(stream => stream.mountpoint === 'OAK1');
+
+    expect(distanceToMountpoint(oakland, SAN_FRANCISCO)).toBeCloseTo(13.1, 0);
+    expect(distanceToMountpoint(table.streams.find(stream => stream.mountpoint === 'NOPOS'), SAN_FRANCISCO)).toBeNull();
+    expect(distanceToMountpoint(oakland, null)).toBeNull();
+  });
+
+  describe('NTRIPClient', () => {
+    // Transport answering every request with the fixture as an NTRIP v1 sourcetable
+    const sourcetableTransport = () => {
+      const requests = [];
+      const factory = vi.fn(() => {
+        const transport = {
+          onData: null,
+          onClose: null,
+          onError: null,
+          open: () => Promise.resolve(),
+          send(bytes) {
+            requests.push(new TextDecoder().decode(bytes));
+            transport.onData(new TextEncoder().encode(`SOURCETABLE 200 OK\r\nServer: Test\r\n\r\n${SOURCETABLE}`));
+          },
+          close: vi.fn()
+        };
+        return transport;
+      });
+      return { factory, requests };
+    };
+
+    const client = (mountpoint, transportFactory) => new NTRIPClient(
+      { host: 'rtk.geodnet.com', port: 2101, mountpoint },
+      { transportFactory }
+    );
+
+    it('resolves AUTO to the nearest compatible mountpoint from the caster sourcetable', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const { factory, requests } = sourcetableTransport();
+      const ntrip = client('AUTO', factory);
+      ntrip.updatePosition(SAN_FRANCISCO);
+
+      await expect(ntrip.resolveMountpoint()).resolves.toBe('SF01');
+      expect(requests[0]).toMatch(/^GET \/ HTTP\/1\.1\r\n/);
+      expect(mountpoints(ntrip.sourcetable.streams)).toContain('OAK1');
+
+      // The downloaded table is reused for later resolutions
+      ntrip.updatePosition(LOS_ANGELES);
+      await expect(ntrip.resolveMountpoint()).resolves.toBe('LA01');
+      expect(factory).toHaveBeenCalledTimes(1);
+      vi.restoreAllMocks();
+    });
+
+    it('uses a configured mountpoint without fetching the sourcetable', async () => {
+      const { factory } = sourcetableTransport();
+
+      await expect(client('OAK1', factory).resolveMountpoint()).resolves.toBe('OAK1');
+      expect(factory).not.toHaveBeenCalled();
+    });
+
+    it('fails without retrying when the table has no compatible stream', async () => {
+      const ntrip = client('AUTO', null);
+      ntrip.sourcetable = parseSourcetable('STR;LEGACY;Old;RTCM 2.3;;1;GPS;NET;USA;37.7;-122.4;0;0');
+
+      await expect(ntrip.resolveMountpoint()).rejects.toMatchObject({ code: 'NO_MOUNTPOINT', retryable: false });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+// Object Cache
+// Persists fetched deployed objects in IndexedDB, grouped by geohash tile, so the
+// viewer can show the agents it last saw when the network is gone. Each tile keeps
+// the time it was last fetched; old tiles and the oldest tiles beyond a size budget
+// are evicted.
+
+import { encodeGeohash, geohashesInBox } from './geohash';
+import { boundingBox, surfaceDistance } from './geodesy';
+
+const DB_NAME = 'near-object-cache';
+const DB_VERSION = 1;
+const STORE = 'tiles';
+
+const DEFAULT_OPTIONS = {
+  // Geohash precision of a tile (6 ≈ 1.2km × 0.6km)
+  tilePrecision: 6,
+  // Results younger than this are served without a network request
+  freshMs: 60 * 1000,
+  // Tiles older than this are dropped
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+  // Approximate total size budget (bytes of JSON)
+  maxBytes: 2 * 1024 * 1024
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+class ObjectCache {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        this.dbPromise = Promise.reject(new Error('IndexedDB is not available'));
+      } else {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('fetchedAt', 'fetchedAt');
+        };
+        this.dbPromise = promisify(request);
+      }
+      this.dbPromise.catch(error => console.warn('⚠️ Object cache disabled:', error.message));
+    }
+    return this.dbPromise;
+  }
+
+  tileOf(object) {
+    return encodeGeohash(object.latitude, object.longitude, this.options.tilePrecision);
+  }
+
+  tilesAround(location, radius) {
+    return geohashesInBox(boundingBox(location.latitude, location.longitude, radius), this.options.tilePrecision);
+  }
+
+  async readTiles(keys) {
+    const db = await this.open();
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    return Promise.all(keys.map(key => promisify(store.get(key))));
+  }
+
+  async writeTiles(tiles) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    tiles.forEach(tile => {
+      const record = { ...tile, size: JSON.stringify(tile.objects).length };
+      if (Object.keys(record.objects).length === 0) {
+        store.delete(record.key);
+      } else {
+        store.put(record);
+      }
+    });
+    await transactionDone(transaction);
+  }
+
+  // Cached objects within `radius` of a location, nearest first.
+  // Resolves to { objects, cachedAt, complete, isFresh } or null when nothing is cached.
+  async getArea(location, radius) {
+    try {
+      const keys = this.tilesAround(location, radius);
+      const tiles = (await this.readTiles(keys)).filter(Boolean);
+      if (tiles.length === 0) return null;
+
+      const cachedAt = Math.min(...tiles.map(tile => tile.fetchedAt));
+      if (Date.now() - cachedAt > this.options.maxAgeMs) return null;
+
+      const objects = tiles
+        .flatMap(tile => Object.values(tile.objects))
+        .map(object => ({ ...object, distance_meters: surfaceDistance(location, object) }))
+        .filter(object => object.distance_meters <= radius)
+        .sort((a, b) => a.distance_meters - b.distance_meters);
+
+      return {
+        objects,
+        cachedAt,
+        // Every tile under the search area has been fetched at least once
+        complete: tiles.length === keys.length,
+        isFresh: Date.now() - cachedAt <= this.options.freshMs
+      };
+    } catch (error) {
+      console.warn('⚠️ Object cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  // A single cached object by id, with distance from `location` when given
+  async getObject(id, location = null) {
+    try {
+      const db = await this.open();
+      const tiles = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+      const tile = tiles.find(candidate => candidate.objects[id]);
+      if (!tile) return null;
+
+      const object = tile.objects[id];
+      return {
+        object: { ...object, distance_meters: location ? surfaceDistance(location, object) : null },
+        cachedAt: tile.fetchedAt
+      };
+    } catch (error) {
+      console.warn('⚠️ Object cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  // Store a fetch result. When `complete`, the result is authoritative for the area,
+  // so cached objects inside it that were not returned are removed.
+  async putArea(location, radius, objects, { complete = true } = {}) {
+    try {
+      const keys = this.tilesAround(location, radius);
+      const existing = await this.readTiles(keys);
+      const now = Date.now();
+
+      const tiles = keys.map((key, index) => {
+        const tile = existing[index] || { key, objects: {} };
+        const kept = Object.values(tile.objects)
+          .filter(object => !complete || surfaceDistance(location, object) > radius);
+        return {
+          key,
+          fetchedAt: now,
+          objects: Object.fromEntries(kept.map(object => [object.id, object]))
+        };
+      });
+
+      const byKey = new Map(tiles.map(tile => [tile.key, tile]));
+      objects.forEach(object => {
+        const tile = byKey.get(this.tileOf(object));
+        if (tile) {
+          const { distance_meters: _distance, ...stored } = object;
+          tile.objects[object.id] = stored;
+        }
+      });
+
+      await this.writeTiles(tiles);
+      await this.evict();
+    } catch (error) {
+      console.warn('⚠️ Object cache write failed:', error.message);
+    }
+  }
+
+  // Apply a realtime change to tiles already in the cache
+  async applyChange(change) {
+    try {
+      const db = await this.open();
+      const all = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+
+      const changed = all.filter(tile => {
+        if (!tile.objects[change.id]) return false;
+        delete tile.objects[change.id];
+        return true;
+      });
+
+      const object = change.object;
+      if (change.type !== 'DELETE' && object?.is_active) {
+        const key = this.tileOf(object);
+        const tile = all.find(candidate => candidate.key === key);
+        if (tile) {
+          const { distance_meters: _distance, ...stored } = object;
+          tile.objects[object.id] = stored;
+          if (!changed.includes(tile)) changed.push(tile);
+        }
+      }
+
+      if (changed.length > 0) {
+        await this.writeTiles(changed);
+      }
+    } catch (error) {
+      console.warn('⚠️ Object cache update failed:', error.message);
+    }
+  }
+
+  // Drop expired tiles, then the oldest until the cache fits its size budget
+  async evict() {
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    const tiles = await promisify(store.index('fetchedAt').getAll());
+
+    const now = Date.now();
+    let totalBytes = tiles.reduce((sum, tile) => sum + (tile.size || 0), 0);
+    let evicted = 0;
+
+    // Index order is oldest first
+    tiles.forEach(tile => {
+      if (now - tile.fetchedAt > this.options.maxAgeMs || totalBytes > this.options.maxBytes) {
+        store.delete(tile.key);
+        totalBytes -= tile.size || 0;
+        evicted++;
+      }
+    });
+
+    await transactionDone(transaction);
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} cached tiles`);
+    }
+  }
+
+  async clear() {
+    try {
+      const db = await this.open();
+      const transaction = db.transaction(STORE, 'readwrite');
+      transaction.objectStore(STORE).clear();
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn('⚠️ Object cache clear failed:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const objectCache = new ObjectCache();
+
+export default objectCache;
+export { ObjectCache };
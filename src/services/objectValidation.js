@@ -0,0 +1,194 @@
+// Object Validation Service
+// One zod schema for deployed_objects rows, applied to every source (Supabase,
+// realtime, offline cache, mock). Rows that fail are kept out of the viewer and
+// quarantined with the reason, so bad data shows up in diagnostics instead of
+// turning into an agent at 0,0.
+
+import { z } from 'zod';
+import { ALTITUDE_DATUM } from './geoid';
+
+export const AGENT_TYPES = [
+  'Intelligent Assistant',
+  'Content Creator',
+  'Local Services',
+  'Tutor/Teacher',
+  'Game Agent'
+];
+
+// Shown for agent types this build does not know (e.g. added by a newer client)
+export const GENERIC_AGENT_TYPE = AGENT_TYPES[0];
+
+// deployed_objects.visibility_radius column default (meters)
+export const DEFAULT_VISIBILITY_RADIUS = 50;
+
+const DEFAULT_MODEL_URL = 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf';
+
+// Datum of deployed_objects.altitude when a row does not name one
+const DEFAULT_OBJECT_ALTITUDE_DATUM = import.meta.env.VITE_OBJECT_ALTITUDE_DATUM || ALTITUDE_DATUM.EGM96;
+
+// Quarantined rows kept for diagnostics
+const MAX_QUARANTINE = 200;
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Postgres numeric columns arrive as strings; blank strings are not zero
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const requiredNumber = (min, max) =>
+  z.preprocess(toNumber, z.number({ required_error: 'is required', invalid_type_error: 'must be a number' }).finite().min(min).max(max));
+
+const optionalNumber = (schema = z.number().finite()) =>
+  z.preprocess(value => (isBlank(value) ? undefined : toNumber(value)), schema.optional());
+
+const withDefault = (schema, fallback) =>
+  z.preprocess(value => (isBlank(value) ? undefined : value), schema.optional())
+    .transform(value => value ?? fallback);
+
+export const deployedObjectSchema = z.object({
+  id: z.union([z.string().min(1), z.number()]).transform(String),
+  user_id: withDefault(z.string(), 'unknown'),
+  object_type: withDefault(z.string(), 'agent'),
+  agent_type: z.preprocess(value => (isBlank(value) ? undefined : value), z.string().trim().min(1).optional())
+    .transform(value => (value === undefined || AGENT_TYPES.includes(value) ? value : GENERIC_AGENT_TYPE)),
+  name: z.string({ required_error: 'is required' }).trim().min(1, 'is empty'),
+  description: withDefault(z.string(), 'No description available'),
+
+  latitude: requiredNumber(-90, 90),
+  longitude: requiredNumber(-180, 180),
+  altitude: optionalNumber().transform(value => value ?? null),
+  altitude_datum: withDefault(z.enum([ALTITUDE_DATUM.ELLIPSOID, ALTITUDE_DATUM.EGM96]), DEFAULT_OBJECT_ALTITUDE_DATUM),
+
+  model_url: withDefault(z.string().url(), DEFAULT_MODEL_URL),
+  model_type: withDefault(z.string(), 'gltf'),
+  scale_x: optionalNumber(z.number().finite().positive()).transform(value => value ?? 1),
+  scale_y: optionalNumber(z.number().finite().positive()).transform(value => value ?? 1),
+  scale_z: optionalNumber(z.number().finite().positive()).transform(value => value ?? 1),
+  rotation_x: optionalNumber().transform(value => value ?? 0),
+  rotation_y: optionalNumber().transform(value => value ?? 0),
+  rotation_z: optionalNumber().transform(value => value ?? 0),
+
+  is_active: withDefault(z.boolean(), true),
+  visibility_radius: optionalNumber(z.number().finite().positive()).transform(value => value ?? DEFAULT_VISIBILITY_RADIUS),
+  interaction_fee: optionalNumber(z.number().finite().nonnegative()).transform(value => value ?? null),
+  fee_token: withDefault(z.string(), 'USDFC'),
+
+  created_at: withDefault(z.string(), null),
+  updated_at: withDefault(z.string(), null),
+
+  preciselatitude: optionalNumber(z.number().finite().min(-90).max(90)),
+  preciselongitude: optionalNumber(z.number().finite().min(-180).max(180)),
+  precisealtitude: optionalNumber(),
+  accuracy: optionalNumber(z.number().finite().nonnegative()),
+  correctionapplied: withDefault(z.boolean(), false)
+})
+  .refine(object => !(object.latitude === 0 && object.longitude === 0), {
+    message: 'coordinates are 0,0 (missing location)'
+  })
+  .transform(object => {
+    // Place objects at their RTK-surveyed position when the row has one
+    const hasPrecisePosition = object.preciselatitude !== undefined && object.preciselongitude !== undefined;
+
+    return {
+      ...object,
+      latitude: hasPrecisePosition ? object.preciselatitude : object.latitude,
+      longitude: hasPrecisePosition ? object.preciselongitude : object.longitude,
+      altitude: object.precisealtitude ?? object.altitude,
+      position_source: hasPrecisePosition ? 'precise' : 'standard',
+      // Typed agents keep their type; other objects only get one if object_type names an agent type
+      agent_type: object.agent_type ?? (AGENT_TYPES.includes(object.object_type) ? object.object_type : null),
+      created_at: object.created_at ?? new Date().toISOString(),
+      updated_at: object.updated_at ?? object.created_at ?? new Date().toISOString()
+    };
+  });
+
+const describeIssues = (error) =>
+  error.issues
+    .map(issue => (issue.path.length ? `${issue.path.join('.')} ${issue.message}` : issue.message))
+    .join('; ');
+
+class ObjectValidationService {
+  constructor() {
+    this.quarantine = new Map();
+    this.validCount = 0;
+    this.listeners = [];
+  }
+
+  // Parsed object, or null when the row is invalid (it is then quarantined)
+  validate(row, source) {
+    const result = deployedObjectSchema.safeParse(row);
+    if (result.success) {
+      this.validCount++;
+      return result.data;
+    }
+
+    this.quarantineRow(row, source, row ? describeIssues(result.error) : 'row is empty');
+    return null;
+  }
+
+  quarantineRow(row, source, reason) {
+    const key = `${source}:${row?.id ?? JSON.stringify(row)}`;
+    const isNew = !this.quarantine.has(key);
+
+    // Re-insert so the most recent failures are kept when trimming
+    this.quarantine.delete(key);
+    this.quarantine.set(key, { id: row?.id ?? null, source, reason, row, at: Date.now() });
+    if (this.quarantine.size > MAX_QUARANTINE) {
+      this.quarantine.delete(this.quarantine.keys().next().value);
+    }
+
+    if (isNew) {
+      console.warn(`⚠️ Quarantined ${source} row ${row?.id ?? '(no id)'}: ${reason}`);
+      this.emit('change', this.getDiagnostics());
+    }
+  }
+
+  getQuarantine() {
+    return Array.from(this.quarantine.values()).reverse();
+  }
+
+  getDiagnostics() {
+    const bySource = {};
+    this.quarantine.forEach(entry => {
+      bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+    });
+    return {
+      validCount: this.validCount,
+      quarantinedCount: this.quarantine.size,
+      bySource
+    };
+  }
+
+  clearQuarantine() {
+    this.quarantine.clear();
+    this.emit('change', this.getDiagnostics());
+  }
+
+  subscribe(event, handler) {
+    this.listeners.push({ event, handler });
+    return () => this.unsubscribe(event, handler);
+  }
+
+  unsubscribe(event, handler) {
+    this.listeners = this.listeners.filter(listener =>
+      !(listener.event === event && listener.handler === handler)
+    );
+  }
+
+  emit(event, payload) {
+    this.listeners
+      .filter(listener => listener.event === event)
+      .forEach(({ handler }) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`❌ Object validation ${event} listener error:`, error);
+        }
+      });
+  }
+}
+
+// Create singleton instance
+const objectValidationService = new ObjectValidationService();
+
+export default objectValidationService;
+export { ObjectValidationService };
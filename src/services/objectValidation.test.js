@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ObjectValidationService, GENERIC_AGENT_TYPE, DEFAULT_VISIBILITY_RADIUS } from './objectValidation';
+
+const row = (overrides = {}) => ({
+  id: 7,
+  name: 'Corner Guide',
+  object_type: 'agent',
+  agent_type: 'Local Services',
+  latitude: '37.7749',
+  longitude: '-122.4194',
+  ...overrides
+});
+
+describe('ObjectValidationService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new ObjectValidationService();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('parses a row and fills the column defaults', () => {
+    expect(service.validate(row(), 'supabase')).toMatchObject({
+      id: '7',
+      agent_type: 'Local Services',
+      latitude: 37.7749,
+      longitude: -122.4194,
+      visibility_radius: DEFAULT_VISIBILITY_RADIUS,
+      position_source: 'standard'
+    });
+  });
+
+  it('shows unknown agent types as the generic type instead of quarantining the row', () => {
+    const object = service.validate(row({ agent_type: 'Tour Guide' }), 'supabase');
+
+    expect(object).toMatchObject({ name: 'Corner Guide', agent_type: GENERIC_AGENT_TYPE });
+    expect(service.getDiagnostics().quarantinedCount).toBe(0);
+  });
+
+  it('leaves the agent type empty when the row has none', () => {
+    expect(service.validate(row({ agent_type: ' ' }), 'supabase').agent_type).toBeNull();
+    expect(service.validate(row({ agent_type: null, object_type: 'Game Agent' }), 'supabase').agent_type).toBe('Game Agent');
+  });
+
+  it.each([
+    ['missing latitude', { latitude: undefined }, 'latitude is required'],
+    ['blank longitude', { longitude: '' }, 'longitude'],
+    ['out-of-range latitude', { latitude: 91 }, 'latitude'],
+    ['out-of-range longitude', { longitude: -181 }, 'longitude'],
+    ['0,0 coordinates', { latitude: 0, longitude: 0 }, 'coordinates are 0,0']
+  ])('quarantines a row with %s', (name, overrides, reason) => {
+    expect(service.validate(row(overrides), 'supabase')).toBeNull();
+    expect(service.getQuarantine()[0]).toMatchObject({ id: 7, source: 'supabase' });
+    expect(service.getQuarantine()[0].reason).toContain(reason);
+  });
+});
@@ -0,0 +1,232 @@
+// Position Smoothing Filter
+// Constant-velocity Kalman filter in a local east/north tangent plane, weighted by
+// each fix's reported accuracy. Earth-frame acceleration from DeviceMotion can be
+// fed in between fixes as a control input.
+
+import { metersPerDegree } from './geodesy';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Gaps longer than this restart the filter instead of predicting across them
+const MAX_PREDICTION_GAP_SECONDS = 30;
+
+// Innovations beyond this many standard deviations (and MIN_RESET_DISTANCE) restart the filter
+const RESET_SIGMA = 6;
+const MIN_RESET_DISTANCE = 100;
+
+// The tangent plane is re-centred once the estimate drifts this far from its origin
+const RECENTER_DISTANCE = 1000;
+
+// Rotate a device-frame vector into east/north/up using DeviceOrientation angles
+// (W3C Z-X'-Y'' convention; alpha must be referenced to north for a true ENU result)
+export const deviceToEarthFrame = ({ x, y, z }, { alpha, beta, gamma }) => {
+  const a = (alpha || 0) * DEG_TO_RAD;
+  const b = (beta || 0) * DEG_TO_RAD;
+  const g = (gamma || 0) * DEG_TO_RAD;
+
+  const cA = Math.cos(a), sA = Math.sin(a);
+  const cB = Math.cos(b), sB = Math.sin(b);
+  const cG = Math.cos(g), sG = Math.sin(g);
+
+  return {
+    east: (cA * cG - sA * sB * sG) * x + (-cB * sA) * y + (cA * sG + cG * sA * sB) * z,
+    north: (cG * sA + cA * sB * sG) * x + (cA * cB) * y + (sA * sG - cA * cG * sB) * z,
+    up: (-cB * sG) * x + sB * y + (cB * cG) * z
+  };
+};
+
+// One horizontal axis: state [position, velocity], covariance [[p00, p01], [p01, p11]]
+const createAxis = (position, variance) => ({
+  x: position,
+  v: 0,
+  p00: variance,
+  p01: 0,
+  p11: 100
+});
+
+const predictAxis = (axis, dt, acceleration, processNoise) => {
+  const dt2 = dt * dt;
+  const dt3 = dt2 * dt;
+
+  axis.x += axis.v * dt + 0.5 * acceleration * dt2;
+  axis.v += acceleration * dt;
+
+  // P = F P F' + Q for white-acceleration noise
+  const p00 = axis.p00 + 2 * dt * axis.p01 + dt2 * axis.p11 + processNoise * dt3 / 3;
+  const p01 = axis.p01 + dt * axis.p11 + processNoise * dt2 / 2;
+  const p11 = axis.p11 + processNoise * dt;
+
+  axis.p00 = p00;
+  axis.p01 = p01;
+  axis.p11 = p11;
+};
+
+const updateAxis = (axis, measurement, variance) => {
+  const innovation = measurement - axis.x;
+  const s = axis.p00 + variance;
+  const k0 = axis.p00 / s;
+  const k1 = axis.p01 / s;
+
+  axis.x += k0 * innovation;
+  axis.v += k1 * innovation;
+
+  const p00 = (1 - k0) * axis.p00;
+  const p01 = (1 - k0) * axis.p01;
+  const p11 = axis.p11 - k1 * axis.p01;
+
+  axis.p00 = p00;
+  axis.p01 = p01;
+  axis.p11 = p11;
+};
+
+class PositionFilter {
+  constructor({ processNoise = 0.5, motionProcessNoise = 2.0, altitudeProcessNoise = 0.1 } = {}) {
+    // Process noise spectral densities (m²/s³); motion input is noisy, so it gets a larger one
+    this.processNoise = processNoise;
+    this.motionProcessNoise = motionProcessNoise;
+    this.altitudeProcessNoise = altitudeProcessNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.origin = null;
+    this.scale = null;
+    this.east = null;
+    this.north = null;
+    this.altitude = null;
+    this.altitudeVariance = null;
+    this.lastTime = null;
+    this.lastRaw = null;
+  }
+
+  isInitialized() {
+    return this.origin !== null;
+  }
+
+  toLocal(latitude, longitude) {
+    return {
+      east: (longitude - this.origin.longitude) * this.scale.longitude,
+      north: (latitude - this.origin.latitude) * this.scale.latitude
+    };
+  }
+
+  toGeodetic(east, north) {
+    return {
+      latitude: this.origin.latitude + north / this.scale.latitude,
+      longitude: this.origin.longitude + east / this.scale.longitude
+    };
+  }
+
+  initialize(position) {
+    const variance = Math.pow(position.accuracy || 10, 2);
+
+    this.origin = { latitude: position.latitude, longitude: position.longitude };
+    this.scale = metersPerDegree(position.latitude);
+    this.east = createAxis(0, variance);
+    this.north = createAxis(0, variance);
+    this.altitude = position.altitude ?? null;
+    this.altitudeVariance = Math.pow(position.altitudeAccuracy || 10, 2);
+    this.lastTime = position.timestamp || Date.now();
+  }
+
+  // Advance the state to `timestamp`, optionally applying an east/north acceleration (m/s²)
+  predict(timestamp, acceleration = null) {
+    if (!this.isInitialized()) return;
+
+    const dt = (timestamp - this.lastTime) / 1000;
+    if (dt <= 0) return;
+
+    if (dt > MAX_PREDICTION_GAP_SECONDS) {
+      // Too long without data: keep the position, forget the velocity
+      this.east.v = 0;
+      this.north.v = 0;
+      this.east.p11 = 100;
+      this.north.p11 = 100;
+      this.east.p00 += this.processNoise * dt;
+      this.north.p00 += this.processNoise * dt;
+      this.lastTime = timestamp;
+      return;
+    }
+
+    const noise = acceleration ? this.motionProcessNoise : this.processNoise;
+    predictAxis(this.east, dt, acceleration ? acceleration.east : 0, noise);
+    predictAxis(this.north, dt, acceleration ? acceleration.north : 0, noise);
+    this.altitudeVariance += this.altitudeProcessNoise * dt;
+    this.lastTime = timestamp;
+  }
+
+  // Fuse a geolocation fix; returns the smoothed position
+  update(position) {
+    const timestamp = position.timestamp || Date.now();
+    this.lastRaw = position;
+
+    if (!this.isInitialized()) {
+      this.initialize(position);
+      return this.getState();
+    }
+
+    this.predict(timestamp);
+
+    const variance = Math.pow(position.accuracy || 10, 2);
+    const measured = this.toLocal(position.latitude, position.longitude);
+
+    // Large jumps (teleport, provider switch) restart rather than drag the estimate
+    const distance = Math.hypot(measured.east - this.east.x, measured.north - this.north.x);
+    const sigma = Math.sqrt(Math.max(this.east.p00, this.north.p00) + variance);
+    if (distance > MIN_RESET_DISTANCE && distance > RESET_SIGMA * sigma) {
+      this.initialize(position);
+      this.lastRaw = position;
+      return this.getState();
+    }
+
+    updateAxis(this.east, measured.east, variance);
+    updateAxis(this.north, measured.north, variance);
+
+    if (this.altitude === null) {
+      this.altitude = position.altitude ?? null;
+    } else if (position.altitude !== null && position.altitude !== undefined) {
+      const altitudeVariance = Math.pow(position.altitudeAccuracy || 10, 2);
+      const gain = this.altitudeVariance / (this.altitudeVariance + altitudeVariance);
+      this.altitude += gain * (position.altitude - this.altitude);
+      this.altitudeVariance *= 1 - gain;
+    }
+
+    if (Math.hypot(this.east.x, this.north.x) > RECENTER_DISTANCE) {
+      this.recenter();
+    }
+
+    return this.getState();
+  }
+
+  // Move the tangent-plane origin to the current estimate to keep the flat-earth error small
+  recenter() {
+    this.origin = this.toGeodetic(this.east.x, this.north.x);
+    this.scale = metersPerDegree(this.origin.latitude);
+    this.east.x = 0;
+    this.north.x = 0;
+  }
+
+  getState() {
+    if (!this.isInitialized()) return null;
+
+    const { latitude, longitude } = this.toGeodetic(this.east.x, this.north.x);
+
+    return {
+      latitude,
+      longitude,
+      altitude: this.altitude,
+      accuracy: Math.sqrt((this.east.p00 + this.north.p00) / 2),
+      altitudeAccuracy: Math.sqrt(this.altitudeVariance),
+      velocity: { east: this.east.v, north: this.north.v },
+      // Position covariance in m² (east/north/up, cross-axis terms are not modelled)
+      covariance: [
+        [this.east.p00, 0, 0],
+        [0, this.north.p00, 0],
+        [0, 0, this.altitudeVariance]
+      ],
+      timestamp: this.lastTime
+    };
+  }
+}
+
+export default PositionFilter;
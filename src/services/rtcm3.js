@@ -0,0 +1,406 @@
+// RTCM 3.x Decoder
+// Frames raw correction bytes, verifies CRC-24Q and decodes station (1005/1006),
+// receiver/antenna descriptor (1033) and MSM4/MSM7 observation messages.
+
+const PREAMBLE = 0xd3;
+const HEADER_LENGTH = 3;
+const CRC_LENGTH = 3;
+const MAX_PAYLOAD_LENGTH = 1023;
+const SPEED_OF_LIGHT = 299792458;
+const RANGE_MS = SPEED_OF_LIGHT / 1000;
+
+// Sliding window used for message rate statistics
+const RATE_WINDOW_MS = 10000;
+
+// MSM message number ranges per constellation (1071-1077, 1081-1087, ...)
+const MSM_CONSTELLATIONS = {
+  107: 'GPS',
+  108: 'GLONASS',
+  109: 'Galileo',
+  110: 'SBAS',
+  111: 'QZSS',
+  112: 'BeiDou'
+};
+
+const CRC24Q_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864cfb;
+    }
+    table[i] = crc & 0xffffff;
+  }
+  return table;
+})();
+
+// CRC-24Q over the frame header and payload
+export const crc24q = (bytes, start = 0, end = bytes.length) => {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = ((crc << 8) & 0xffffff) ^ CRC24Q_TABLE[(crc >>> 16) ^ bytes[i]];
+  }
+  return crc;
+};
+
+// Big-endian bit reader; fields wider than 32 bits are assembled with arithmetic
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.bytes.length * 8 - this.offset;
+  }
+
+  unsigned(bits) {
+    if (bits > this.remaining) {
+      throw new RangeError(`RTCM payload too short (need ${bits} bits, have ${this.remaining})`);
+    }
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const byte = this.bytes[(this.offset + i) >> 3];
+      const bit = (byte >> (7 - ((this.offset + i) & 7))) & 1;
+      value = value * 2 + bit;
+    }
+    this.offset += bits;
+    return value;
+  }
+
+  signed(bits) {
+    const value = this.unsigned(bits);
+    const limit = 2 ** (bits - 1);
+    return value >= limit ? value - 2 * limit : value;
+  }
+
+  skip(bits) {
+    this.unsigned(bits);
+  }
+
+  text(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += String.fromCharCode(this.unsigned(8));
+    }
+    return result;
+  }
+}
+
+// 1005 / 1006: stationary reference station ARP
+const decodeStationPosition = (reader, messageType) => {
+  const message = {
+    stationId: reader.unsigned(12),
+    itrfYear: reader.unsigned(6),
+    gps: !!reader.unsigned(1),
+    glonass: !!reader.unsigned(1),
+    galileo: !!reader.unsigned(1),
+    referenceStation: !!reader.unsigned(1)
+  };
+
+  const x = reader.signed(38);
+  message.singleReceiverOscillator = !!reader.unsigned(1);
+  reader.skip(1);
+  const y = reader.signed(38);
+  message.quarterCycleIndicator = reader.unsigned(2);
+  const z = reader.signed(38);
+
+  message.ecef = { x: x * 0.0001, y: y * 0.0001, z: z * 0.0001 };
+  message.antennaHeight = messageType === 1006 ? reader.unsigned(16) * 0.0001 : null;
+
+  return message;
+};
+
+// 1033: receiver and antenna descriptors
+const decodeDescriptors = (reader) => {
+  const stationId = reader.unsigned(12);
+  const antennaDescriptor = reader.text(reader.unsigned(8));
+  const antennaSetupId = reader.unsigned(8);
+  const antennaSerialNumber = reader.text(reader.unsigned(8));
+  const receiverType = reader.text(reader.unsigned(8));
+  const receiverFirmware = reader.text(reader.unsigned(8));
+  const receiverSerialNumber = reader.text(reader.unsigned(8));
+
+  return {
+    stationId,
+    antennaDescriptor,
+    antennaSetupId,
+    antennaSerialNumber,
+    receiverType,
+    receiverFirmware,
+    receiverSerialNumber
+  };
+};
+
+const maskIndices = (reader, bits) => {
+  const indices = [];
+  for (let i = 1; i <= bits; i++) {
+    if (reader.unsigned(1)) indices.push(i);
+  }
+  return indices;
+};
+
+// Read one value per item for a field; `invalid` raw values decode to null
+const readField = (reader, count, read, invalid = null) => {
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const raw = read();
+    values.push(raw === invalid ? null : raw);
+  }
+  return values;
+};
+
+// MSM4 / MSM7 multiple signal messages
+const decodeMSM = (reader, messageType) => {
+  const constellation = MSM_CONSTELLATIONS[Math.floor(messageType / 10)];
+  const msmType = messageType % 10;
+  const isMSM7 = msmType === 7;
+
+  const header = {
+    stationId: reader.unsigned(12),
+    epochTime: reader.unsigned(30),
+    multipleMessage: !!reader.unsigned(1),
+    iods: reader.unsigned(3)
+  };
+  reader.skip(7);
+  header.clockSteering = reader.unsigned(2);
+  header.externalClock = reader.unsigned(2);
+  header.smoothing = !!reader.unsigned(1);
+  header.smoothingInterval = reader.unsigned(3);
+
+  const satellites = maskIndices(reader, 64);
+  const signals = maskIndices(reader, 32);
+
+  const cells = [];
+  satellites.forEach(satellite => {
+    signals.forEach(signal => {
+      if (reader.unsigned(1)) cells.push({ satellite, signal });
+    });
+  });
+
+  const satCount = satellites.length;
+  const cellCount = cells.length;
+
+  // Satellite data
+  const roughRangeMs = readField(reader, satCount, () => reader.unsigned(8), 255);
+  const extendedInfo = isMSM7 ? readField(reader, satCount, () => reader.unsigned(4)) : [];
+  const roughRangeModMs = readField(reader, satCount, () => reader.unsigned(10) / 1024);
+  const roughRangeRate = isMSM7 ? readField(reader, satCount, () => reader.signed(14), -8192) : [];
+
+  // Signal data
+  const finePseudorange = isMSM7
+    ? readField(reader, cellCount, () => reader.signed(20), -(2 ** 19)).map(v => v === null ? null : v * 2 ** -29)
+    : readField(reader, cellCount, () => reader.signed(15), -(2 ** 14)).map(v => v === null ? null : v * 2 ** -24);
+  const finePhaserange = isMSM7
+    ? readField(reader, cellCount, () => reader.signed(24), -(2 ** 23)).map(v => v === null ? null : v * 2 ** -31)
+    : readField(reader, cellCount, () => reader.signed(22), -(2 ** 21)).map(v => v === null ? null : v * 2 ** -29);
+  const lockTime = readField(reader, cellCount, () => reader.unsigned(isMSM7 ? 10 : 4));
+  const halfCycle = readField(reader, cellCount, () => !!reader.unsigned(1));
+  const cnr = isMSM7
+    ? readField(reader, cellCount, () => reader.unsigned(10) * 2 ** -4)
+    : readField(reader, cellCount, () => reader.unsigned(6));
+  const finePhaseRangeRate = isMSM7
+    ? readField(reader, cellCount, () => reader.signed(15), -(2 ** 14)).map(v => v === null ? null : v * 0.0001)
+    : [];
+
+  const satelliteData = satellites.map((satellite, i) => ({
+    satellite,
+    roughRangeMs: roughRangeMs[i] === null ? null : roughRangeMs[i] + roughRangeModMs[i],
+    extendedInfo: isMSM7 ? extendedInfo[i] : null,
+    roughRangeRate: isMSM7 ? roughRangeRate[i] : null
+  }));
+
+  const observations = cells.map((cell, i) => {
+    const sat = satelliteData[satellites.indexOf(cell.satellite)];
+    const hasRange = sat.roughRangeMs !== null;
+
+    return {
+      satellite: cell.satellite,
+      signal: cell.signal,
+      pseudorange: hasRange && finePseudorange[i] !== null
+        ? (sat.roughRangeMs + finePseudorange[i]) * RANGE_MS
+        : null,
+      phaserange: hasRange && finePhaserange[i] !== null
+        ? (sat.roughRangeMs + finePhaserange[i]) * RANGE_MS
+        : null,
+      phaseRangeRate: isMSM7 && sat.roughRangeRate !== null && finePhaseRangeRate[i] !== null
+        ? sat.roughRangeRate + finePhaseRangeRate[i]
+        : null,
+      lockTimeIndicator: lockTime[i],
+      halfCycleAmbiguity: halfCycle[i],
+      cnr: cnr[i]
+    };
+  });
+
+  return {
+    ...header,
+    constellation,
+    msmType,
+    satellites,
+    signals,
+    satelliteData,
+    observations
+  };
+};
+
+const isMSMType = (messageType) =>
+  MSM_CONSTELLATIONS[Math.floor(messageType / 10)] !== undefined &&
+  (messageType % 10 === 4 || messageType % 10 === 7);
+
+// Decode a single frame payload; unsupported types only carry their number
+export const decodeMessage = (payload) => {
+  const reader = new BitReader(payload);
+  const messageType = reader.unsigned(12);
+
+  if (messageType === 1005 || messageType === 1006) {
+    return { messageType, ...decodeStationPosition(reader, messageType) };
+  }
+  if (messageType === 1033) {
+    return { messageType, ...decodeDescriptors(reader) };
+  }
+  if (isMSMType(messageType)) {
+    return { messageType, ...decodeMSM(reader, messageType) };
+  }
+
+  return { messageType, unsupported: true };
+};
+
+// Splits a byte stream into CRC-checked RTCM3 frames and decodes them
+class RTCM3Decoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.onMessage = null;
+    this.reset();
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.stats = {
+      bytesReceived: 0,
+      framesDecoded: 0,
+      crcErrors: 0,
+      decodeErrors: 0,
+      lastMessageAt: null,
+      lastObservationAt: null,
+      messageCounts: {}
+    };
+    this.arrivals = [];
+    this.baseStation = null;
+    this.descriptor = null;
+  }
+
+  push(bytes) {
+    this.stats.bytesReceived += bytes.length;
+
+    const merged = new Uint8Array(this.buffer.length + bytes.length);
+    merged.set(this.buffer, 0);
+    merged.set(bytes, this.buffer.length);
+
+    const messages = [];
+    let offset = 0;
+
+    while (offset + HEADER_LENGTH <= merged.length) {
+      if (merged[offset] !== PREAMBLE || (merged[offset + 1] & 0xfc) !== 0) {
+        offset += 1;
+        continue;
+      }
+
+      const length = ((merged[offset + 1] & 0x03) << 8) | merged[offset + 2];
+      const frameLength = HEADER_LENGTH + length + CRC_LENGTH;
+      if (length > MAX_PAYLOAD_LENGTH) {
+        offset += 1;
+        continue;
+      }
+      if (offset + frameLength > merged.length) break;
+
+      const payloadEnd = offset + HEADER_LENGTH + length;
+      const expected = (merged[payloadEnd] << 16) | (merged[payloadEnd + 1] << 8) | merged[payloadEnd + 2];
+      if (crc24q(merged, offset, payloadEnd) !== expected) {
+        // Not a real frame start: resync one byte later
+        this.stats.crcErrors += 1;
+        offset += 1;
+        continue;
+      }
+
+      const message = this.handleFrame(merged.subarray(offset + HEADER_LENGTH, payloadEnd));
+      if (message) messages.push(message);
+      offset += frameLength;
+    }
+
+    this.buffer = merged.slice(offset);
+    return messages;
+  }
+
+  handleFrame(payload) {
+    let message;
+    try {
+      message = decodeMessage(payload);
+    } catch (error) {
+      this.stats.decodeErrors += 1;
+      console.warn('⚠️ RTCM decode error:', error.message);
+      return null;
+    }
+
+    const now = Date.now();
+    const { messageType } = message;
+
+    this.stats.framesDecoded += 1;
+    this.stats.lastMessageAt = now;
+    this.stats.messageCounts[messageType] = (this.stats.messageCounts[messageType] || 0) + 1;
+    this.arrivals.push({ messageType, at: now });
+
+    if (messageType === 1005 || messageType === 1006) {
+      this.baseStation = {
+        stationId: message.stationId,
+        ecef: message.ecef,
+        antennaHeight: message.antennaHeight,
+        itrfYear: message.itrfYear,
+        updatedAt: now
+      };
+    } else if (messageType === 1033) {
+      this.descriptor = message;
+    } else if (message.observations) {
+      this.stats.lastObservationAt = now;
+    }
+
+    if (this.onMessage) {
+      try {
+        this.onMessage(message);
+      } catch (error) {
+        console.error('❌ RTCM message handler error:', error);
+      }
+    }
+
+    return message;
+  }
+
+  // Messages per second by type over the last RATE_WINDOW_MS
+  getMessageRates() {
+    const cutoff = Date.now() - RATE_WINDOW_MS;
+    this.arrivals = this.arrivals.filter(arrival => arrival.at >= cutoff);
+
+    const rates = {};
+    this.arrivals.forEach(({ messageType }) => {
+      rates[messageType] = (rates[messageType] || 0) + 1;
+    });
+    Object.keys(rates).forEach(type => {
+      rates[type] = rates[type] / (RATE_WINDOW_MS / 1000);
+    });
+    return rates;
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      ...this.stats,
+      messageCounts: { ...this.stats.messageCounts },
+      messageRates: this.getMessageRates(),
+      correctionAge: this.stats.lastObservationAt ? (now - this.stats.lastObservationAt) / 1000 : null,
+      baseStation: this.baseStation,
+      descriptor: this.descriptor
+    };
+  }
+}
+
+export default RTCM3Decoder;
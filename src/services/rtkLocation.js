@@ -1,12 +1,85 @@
 // RTK Location Service for Geodnet Integration
 // Provides enhanced GPS accuracy using Real-Time Kinematic positioning
 
+import NTRIPClient, { NTRIP_STATUS } from './ntripClient';
+import RTCM3Decoder from './rtcm3';
+import PositionFilter, { deviceToEarthFrame } from './positionFilter';
+import SimulatedLocationProvider, { getSimulationFromUrl } from './simulatedLocationProvider';
+import { FIX_QUALITY, FIX_QUALITY_RANK, describeFix, meetsFixQuality } from './fixQuality';
+import { rankMountpoints, distanceToMountpoint } from './ntripSourcetable';
+import geoid, { ALTITUDE_DATUM, ALTITUDE_DATUM_LABELS, altitudeIn } from './geoid';
+import { summarizeSurvey } from './surveyAveraging';
+
+// Corrections older than this are treated as unavailable
+const MAX_CORRECTION_AGE_SECONDS = 30;
+
+// AUTO mountpoint re-selection: minimum time between switches, and how much
+// nearer a candidate must be before it replaces the current stream
+const MOUNTPOINT_RESELECT_INTERVAL_MS = 60000;
+const MOUNTPOINT_RESELECT_MARGIN_KM = 2;
+
+// Reported accuracy of a manually entered / picked position (meters)
+const MANUAL_LOCATION_ACCURACY = 30;
+const MANUAL_LOCATION_STORAGE_KEY = 'near-manual-location';
+
+// Survey mode: default length, and the cap for surveys that stop at a sample count
+const SURVEY_DEFAULT_DURATION_MS = 30000;
+const SURVEY_MAX_DURATION_MS = 300000;
+
+const WATCH_OPTIONS = {
+  enableHighAccuracy: true,
+  timeout: 15000,
+  maximumAge: 0
+};
+
+// Convert a GeolocationPosition into the service's location shape.
+// Geolocation altitudes are WGS84 ellipsoidal heights; providers that report
+// another datum say so with `altitudeDatum`.
+const toLocation = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  altitude: position.coords.altitude ?? null,
+  altitudeDatum: position.altitudeDatum || ALTITUDE_DATUM.ELLIPSOID,
+  accuracy: position.coords.accuracy || 10.0,
+  altitudeAccuracy: position.coords.altitudeAccuracy || 10.0,
+  heading: position.coords.heading || 0,
+  speed: position.coords.speed || 0,
+  timestamp: Date.now(),
+  source: position.source || 'Standard GPS',
+  isSimulated: position.source === 'Simulated',
+  isManual: position.source === 'Manual'
+});
+
+// Keep the GeolocationPositionError code so callers can tell denial from failure
+const toGPSError = (error) => Object.assign(new Error(`GPS error: ${error.message}`), { code: error.code });
+
 class RTKLocationService {
   constructor() {
     this.isConnected = false;
     this.lastRTKPosition = null;
     this.fallbackPosition = null;
     this.listeners = [];
+    this.watchId = null;
+    this.watchGeolocation = null;
+    this.locationProvider = null;
+    this.simulatedProvider = null;
+    this.manualProvider = null;
+    this.lastPosition = null;
+    this.lastFixQuality = FIX_QUALITY.NO_FIX;
+    this.positionFilter = new PositionFilter();
+    this.filterOptions = { enabled: true, fuseMotion: false };
+    this.deviceOrientation = null;
+    this.motionHandlers = null;
+    this.ntripClient = null;
+    this.mountpointOverride = null;
+    this.lastMountpointSwitch = 0;
+    // Running surveys, fed every unfiltered fix
+    this.surveys = new Set();
+    this.rtcmDecoder = new RTCM3Decoder();
+    this.lastRTCMMessages = {};
+    this.rtcmDecoder.onMessage = (message) => {
+      this.lastRTCMMessages[message.messageType] = message;
+    };
     
     // RTK configuration from environment
     this.config = {
@@ -14,41 +87,92 @@ class RTKLocationService {
       port: parseInt(import.meta.env.VITE_RTK_PORT) || 2101,
       mountpoint: import.meta.env.VITE_RTK_MOUNTPOINT || 'AUTO',
       username: import.meta.env.VITE_RTK_USERNAME || '',
-      password: import.meta.env.VITE_RTK_PASSWORD || ''
+      password: import.meta.env.VITE_RTK_PASSWORD || '',
+      ntripVersion: parseInt(import.meta.env.VITE_RTK_NTRIP_VERSION) || 2,
+      bridgeUrl: import.meta.env.VITE_RTK_BRIDGE_URL || '',
+      maxBaselineKm: parseFloat(import.meta.env.VITE_RTK_MAX_BASELINE_KM) || 20
     };
     
     console.log('🛰️ RTK Service initialized with config:', {
       host: this.config.host,
       port: this.config.port,
       mountpoint: this.config.mountpoint,
+      ntripVersion: this.config.ntripVersion,
+      hasBridge: !!this.config.bridgeUrl,
       hasCredentials: !!(this.config.username && this.config.password)
     });
   }
 
+  // Use a custom NTRIP transport (e.g. a local mock caster) instead of the WebSocket bridge
+  setNTRIPTransport(transportFactory) {
+    this.stopRTKStream();
+    this.ntripClient = this.createNTRIPClient(transportFactory);
+  }
+
+  createNTRIPClient(transportFactory = null) {
+    const client = new NTRIPClient({
+      host: this.config.host,
+      port: this.config.port,
+      mountpoint: this.mountpointOverride || this.config.mountpoint,
+      username: this.config.username,
+      password: this.config.password,
+      version: this.config.ntripVersion,
+      bridgeUrl: this.config.bridgeUrl
+    }, { transportFactory });
+
+    client.on('status', ({ status }) => {
+      this.isConnected = status === NTRIP_STATUS.STREAMING;
+      if (status === NTRIP_STATUS.CONNECTING) {
+        // New session: drop partial frames and stale station data
+        this.rtcmDecoder.reset();
+        this.lastRTCMMessages = {};
+      }
+    });
+    client.on('data', (bytes) => this.rtcmDecoder.push(bytes));
+
+    return client;
+  }
+
+  // Start the NTRIP correction stream if it is not already running
+  async startRTKStream(position) {
+    if (!this.ntripClient) {
+      this.ntripClient = this.createNTRIPClient();
+    }
+    if (position) {
+      this.ntripClient.updatePosition(position);
+    }
+    await this.ntripClient.start();
+    return this.ntripClient;
+  }
+
+  // Stop the NTRIP correction stream
+  stopRTKStream() {
+    if (this.ntripClient) {
+      this.ntripClient.stop();
+    }
+    this.isConnected = false;
+  }
+
   // Get enhanced location with RTK correction
   async getEnhancedLocation() {
     try {
       console.log('📍 Getting enhanced RTK location...');
+      this.loadGeoid();
       
       // First get standard GPS position
       const standardPosition = await this.getStandardGPS();
       
       // Try to get RTK correction
-      const rtkCorrection = await this.getRTKCorrection(standardPosition);
+      const isDeviceFix = !standardPosition.isSimulated && !standardPosition.isManual;
+      const rtkCorrection = isDeviceFix ? await this.getRTKCorrection(standardPosition) : null;
       
       if (rtkCorrection) {
-        const enhancedPosition = this.applyRTKCorrection(standardPosition, rtkCorrection);
-        console.log('✅ RTK enhanced position:', enhancedPosition);
-        return enhancedPosition;
+        console.log('✅ RTK correction stream available');
       } else {
         console.log('⚠️ RTK correction not available, using standard GPS');
-        return {
-          ...standardPosition,
-          isRTKEnhanced: false,
-          accuracy: standardPosition.accuracy || 5.0,
-          source: 'Standard GPS'
-        };
       }
+
+      return this.withAltitudes(this.enhancePosition(standardPosition, rtkCorrection));
     } catch (error) {
       console.error('❌ RTK location error:', error);
       throw error;
@@ -58,30 +182,21 @@ class RTKLocationService {
   // Get standard GPS position
   async getStandardGPS() {
     return new Promise((resolve, reject) => {
-      if (!navigator.geolocation) {
+      const geolocation = this.getGeolocation();
+      if (!geolocation) {
         reject(new Error('Geolocation not supported'));
         return;
       }
 
-      navigator.geolocation.getCurrentPosition(
+      geolocation.getCurrentPosition(
         (position) => {
-          const location = {
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-            altitude: position.coords.altitude || 0,
-            accuracy: position.coords.accuracy || 10.0,
-            altitudeAccuracy: position.coords.altitudeAccuracy || 10.0,
-            heading: position.coords.heading || 0,
-            speed: position.coords.speed || 0,
-            timestamp: Date.now(),
-            source: 'Standard GPS'
-          };
+          const location = toLocation(position);
           
           this.fallbackPosition = location;
           resolve(location);
         },
         (error) => {
-          reject(new Error(`GPS error: ${error.message}`));
+          reject(toGPSError(error));
         },
         {
           enableHighAccuracy: true,
@@ -92,88 +207,577 @@ class RTKLocationService {
     });
   }
 
-  // Simulate RTK correction (in a real implementation, this would connect to NTRIP)
+  // Get RTK correction status from the NTRIP caster
   async getRTKCorrection(basePosition) {
     try {
+      if (!this.config.username || !this.config.password) {
+        return null;
+      }
+
+      if (!this.config.bridgeUrl && !this.ntripClient?.transportFactory) {
+        console.log('⚠️ RTK credentials set but no NTRIP bridge configured (VITE_RTK_BRIDGE_URL)');
+        return null;
+      }
+
       console.log('🛰️ Attempting RTK correction via Geodnet...');
-      
-      // Simulate RTK correction data
-      // In a real implementation, this would:
-      // 1. Connect to rtk.geodnet.com:2101 via NTRIP protocol
-      // 2. Authenticate with username/password
-      // 3. Request correction data for the mountpoint
-      // 4. Parse RTCM messages for position corrections
-      
-      // For now, simulate improved accuracy
-      const hasRTKSignal = Math.random() > 0.3; // 70% chance of RTK signal
-      
-      if (hasRTKSignal) {
-        return {
-          latitudeCorrection: (Math.random() - 0.5) * 0.00001, // ~1m correction
-          longitudeCorrection: (Math.random() - 0.5) * 0.00001,
-          altitudeCorrection: (Math.random() - 0.5) * 2.0, // ~2m altitude correction
-          accuracyImprovement: 0.02, // 2cm accuracy
-          timestamp: Date.now(),
-          source: 'Geodnet RTK'
-        };
+
+      const client = await this.startRTKStream(basePosition);
+      if (client.status === NTRIP_STATUS.ERROR) {
+        return null;
       }
-      
-      return null;
+
+      await client.waitForData(5000);
+
+      return this.getCurrentCorrection();
     } catch (error) {
       console.warn('⚠️ RTK correction failed:', error.message);
       return null;
     }
   }
 
-  // Apply RTK correction to base position
-  applyRTKCorrection(basePosition, correction) {
+  // Correction details from the running stream, or null when stale or not streaming
+  getCurrentCorrection() {
+    if (!this.ntripClient || !this.ntripClient.isStreaming()) {
+      return null;
+    }
+
+    // Only decoded observation messages count as usable corrections
+    const corrections = this.rtcmDecoder.getStats();
+    if (corrections.correctionAge === null || corrections.correctionAge > MAX_CORRECTION_AGE_SECONDS) {
+      return null;
+    }
+
+    return {
+      mountpoint: this.ntripClient.mountpoint,
+      correctionAge: corrections.correctionAge,
+      bytesReceived: corrections.bytesReceived,
+      baseStation: corrections.baseStation,
+      messageRates: corrections.messageRates,
+      timestamp: corrections.lastObservationAt,
+      source: 'Geodnet RTK'
+    };
+  }
+
+  // Combine a standard fix with a correction (if any) into the emitted position
+  enhancePosition(standardPosition, correction) {
+    const position = correction
+      ? this.attachCorrectionInfo(standardPosition, correction)
+      : {
+        ...standardPosition,
+        accuracy: standardPosition.accuracy || 5.0,
+        source: standardPosition.source || 'Standard GPS'
+      };
+
+    const fix = describeFix(position, correction);
+
     return {
-      latitude: basePosition.latitude + correction.latitudeCorrection,
-      longitude: basePosition.longitude + correction.longitudeCorrection,
-      altitude: (basePosition.altitude || 0) + correction.altitudeCorrection,
-      accuracy: correction.accuracyImprovement,
-      altitudeAccuracy: correction.accuracyImprovement,
+      ...position,
+      ...fix,
+      isRTKEnhanced: FIX_QUALITY_RANK[fix.fixQuality] >= FIX_QUALITY_RANK[FIX_QUALITY.RTK_FLOAT]
+    };
+  }
+
+  // Attach correction stream details to the base position.
+  // The browser geolocation fix is not re-solved here, so coordinates, accuracy,
+  // source and fix quality stay as reported by the device.
+  attachCorrectionInfo(basePosition, correction) {
+    const position = {
+      latitude: basePosition.latitude,
+      longitude: basePosition.longitude,
+      altitude: basePosition.altitude,
+      altitudeDatum: basePosition.altitudeDatum,
+      accuracy: basePosition.accuracy,
+      altitudeAccuracy: basePosition.altitudeAccuracy,
       heading: basePosition.heading,
       speed: basePosition.speed,
       timestamp: Date.now(),
-      isRTKEnhanced: true,
-      source: 'Geodnet RTK Enhanced',
+      source: basePosition.source || 'Standard GPS',
+      ggaQuality: basePosition.ggaQuality,
       rtkProvider: 'Geodnet',
       baseAccuracy: basePosition.accuracy,
-      correctionApplied: {
-        latitude: correction.latitudeCorrection,
-        longitude: correction.longitudeCorrection,
-        altitude: correction.altitudeCorrection
+      correctionStream: {
+        mountpoint: correction.mountpoint,
+        correctionAge: correction.correctionAge,
+        bytesReceived: correction.bytesReceived,
+        baseStationId: correction.baseStation?.stationId ?? null
       }
     };
+
+    this.lastRTKPosition = position;
+    return position;
+  }
+
+  // Subscribe to 'position', 'error' or 'fixQuality' events; returns an unsubscribe function.
+  // Position tracking starts with the first 'position' subscriber and stops with the last.
+  // `minQuality` (a FIX_QUALITY value) limits 'position' events to fixes at least that good.
+  subscribe(event, handler, { minQuality = null } = {}) {
+    this.listeners.push({ event, handler, minQuality });
+
+    if (event === 'position') {
+      if (this.lastPosition && meetsFixQuality(this.lastPosition, minQuality)) {
+        handler(this.lastPosition);
+      }
+      this.startWatching();
+    }
+
+    return () => this.unsubscribe(event, handler);
+  }
+
+  unsubscribe(event, handler) {
+    this.listeners = this.listeners.filter(listener =>
+      !(listener.event === event && listener.handler === handler)
+    );
+
+    if (!this.listeners.some(listener => listener.event === 'position')) {
+      this.stopWatching();
+    }
   }
 
-  // Start continuous RTK positioning
-  startContinuousPositioning(callback, interval = 5000) {
+  emit(event, payload) {
+    this.listeners
+      .filter(listener => listener.event === event)
+      .filter(listener => event !== 'position' || meetsFixQuality(payload, listener.minQuality))
+      .forEach(({ handler }) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`❌ RTK ${event} listener error:`, error);
+        }
+      });
+  }
+
+  // Watch the device position and emit an event for every fix
+  startWatching() {
+    if (this.watchId !== null) return;
+
+    const geolocation = this.getGeolocation();
+    if (!geolocation) {
+      this.emit('error', new Error('Geolocation not supported'));
+      return;
+    }
+
     console.log('🔄 Starting continuous RTK positioning...');
-    
-    const updatePosition = async () => {
-      try {
-        const position = await this.getEnhancedLocation();
-        callback(position);
-      } catch (error) {
-        console.error('❌ Continuous positioning error:', error);
-        if (this.fallbackPosition) {
-          callback(this.fallbackPosition);
+    this.loadGeoid();
+    this.watchGeolocation = geolocation;
+    this.watchId = geolocation.watchPosition(
+      (position) => this.handleFix(toLocation(position)),
+      (error) => {
+        console.warn('⚠️ Position watch error:', error.message);
+        this.emit('error', toGPSError(error));
+      },
+      WATCH_OPTIONS
+    );
+
+    if (this.filterOptions.enabled && this.filterOptions.fuseMotion) {
+      this.startMotionTracking();
+    }
+  }
+
+  stopWatching() {
+    if (this.watchId === null) return;
+    this.watchGeolocation.clearWatch(this.watchId);
+    this.watchId = null;
+    this.watchGeolocation = null;
+    this.stopMotionTracking();
+    console.log('⏹️ Stopped continuous RTK positioning');
+  }
+
+  // Configure the smoothing stage: { enabled, fuseMotion }
+  setFilterOptions(options) {
+    this.filterOptions = { ...this.filterOptions, ...options };
+
+    if (!this.filterOptions.enabled) {
+      this.positionFilter.reset();
+    }
+
+    if (this.filterOptions.enabled && this.filterOptions.fuseMotion && this.watchId !== null) {
+      this.startMotionTracking();
+    } else {
+      this.stopMotionTracking();
+    }
+  }
+
+  // Turn on DeviceMotion fusion; iOS needs this to run from a user gesture
+  async enableMotionFusion() {
+    try {
+      for (const EventType of [window.DeviceMotionEvent, window.DeviceOrientationEvent]) {
+        if (typeof EventType?.requestPermission === 'function') {
+          const result = await EventType.requestPermission();
+          if (result !== 'granted') {
+            console.warn('⚠️ Motion sensor permission denied');
+            return false;
+          }
         }
       }
+    } catch (error) {
+      console.warn('⚠️ Motion sensor permission request failed:', error.message);
+      return false;
+    }
+
+    this.setFilterOptions({ fuseMotion: true });
+    return true;
+  }
+
+  startMotionTracking() {
+    if (this.motionHandlers || !window.DeviceMotionEvent) return;
+
+    const orientationEvent = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+
+    const handleOrientation = (event) => {
+      // iOS reports compass heading separately; alpha there is not north-referenced
+      const alpha = typeof event.webkitCompassHeading === 'number'
+        ? 360 - event.webkitCompassHeading
+        : event.alpha;
+
+      if (alpha === null || (!event.absolute && typeof event.webkitCompassHeading !== 'number')) {
+        this.deviceOrientation = null;
+        return;
+      }
+
+      this.deviceOrientation = { alpha, beta: event.beta, gamma: event.gamma };
     };
 
-    // Initial position
-    updatePosition();
+    const handleMotion = (event) => {
+      if (!event.acceleration || !this.deviceOrientation || !this.positionFilter.isInitialized()) return;
 
-    // Set up interval for continuous updates
-    const intervalId = setInterval(updatePosition, interval);
-    
-    return () => {
-      clearInterval(intervalId);
-      console.log('⏹️ Stopped continuous RTK positioning');
+      const acceleration = deviceToEarthFrame(event.acceleration, this.deviceOrientation);
+      this.positionFilter.predict(Date.now(), acceleration);
     };
+
+    window.addEventListener(orientationEvent, handleOrientation);
+    window.addEventListener('devicemotion', handleMotion);
+    this.motionHandlers = { orientationEvent, handleOrientation, handleMotion };
+    console.log('📱 DeviceMotion fusion enabled');
+  }
+
+  stopMotionTracking() {
+    if (!this.motionHandlers) return;
+
+    const { orientationEvent, handleOrientation, handleMotion } = this.motionHandlers;
+    window.removeEventListener(orientationEvent, handleOrientation);
+    window.removeEventListener('devicemotion', handleMotion);
+    this.motionHandlers = null;
+    this.deviceOrientation = null;
+  }
+
+  // Smooth a position through the Kalman filter, keeping the raw fix for diagnostics
+  filterPosition(position) {
+    if (!this.filterOptions.enabled) {
+      return position;
+    }
+
+    const filtered = this.positionFilter.update(position);
+
+    return {
+      ...position,
+      latitude: filtered.latitude,
+      longitude: filtered.longitude,
+      altitude: filtered.altitude,
+      accuracy: filtered.accuracy,
+      altitudeAccuracy: filtered.altitudeAccuracy,
+      velocity: filtered.velocity,
+      covariance: filtered.covariance,
+      isFiltered: true,
+      raw: position
+    };
+  }
+
+  // Active position source: a custom provider, or the device's geolocation
+  getGeolocation() {
+    return this.locationProvider || navigator.geolocation || null;
+  }
+
+  // Swap the position source (anything implementing the Geolocation API)
+  setLocationProvider(provider) {
+    const wasWatching = this.watchId !== null;
+    if (wasWatching) {
+      this.stopWatching();
+    }
+
+    this.locationProvider = provider;
+    this.positionFilter.reset();
+    this.lastPosition = null;
+
+    if (wasWatching) {
+      this.startWatching();
+    }
+  }
+
+  // Switch to the simulated provider, creating it on first use
+  useSimulatedLocation(options = {}) {
+    if (!this.simulatedProvider) {
+      this.simulatedProvider = new SimulatedLocationProvider(options);
+    }
+    if (this.locationProvider !== this.simulatedProvider) {
+      this.setLocationProvider(this.simulatedProvider);
+      console.log('🧪 Using simulated location provider');
+    }
+    return this.simulatedProvider;
+  }
+
+  // Use a user-entered or map-picked position as the location source
+  useManualLocation(latitude, longitude) {
+    if (!this.manualProvider) {
+      this.manualProvider = new SimulatedLocationProvider({ source: 'Manual', accuracy: MANUAL_LOCATION_ACCURACY });
+    }
+    if (this.locationProvider !== this.manualProvider) {
+      this.simulatedProvider?.pause();
+      this.setLocationProvider(this.manualProvider);
+    }
+    this.manualProvider.teleport(latitude, longitude);
+
+    try {
+      localStorage.setItem(MANUAL_LOCATION_STORAGE_KEY, JSON.stringify({ latitude, longitude }));
+    } catch (error) {
+      console.warn('⚠️ Could not remember manual location:', error.message);
+    }
+    console.log('📌 Using manual location');
+    return this.manualProvider;
+  }
+
+  // Last manually chosen position, or null
+  getSavedManualLocation() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(MANUAL_LOCATION_STORAGE_KEY));
+      return Number.isFinite(saved?.latitude) && Number.isFinite(saved?.longitude) ? saved : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Switch back to navigator.geolocation
+  useDeviceLocation() {
+    if (this.locationProvider === null) return;
+    this.simulatedProvider?.pause();
+    this.setLocationProvider(null);
+    console.log('📡 Using device location');
+  }
+
+  isSimulated() {
+    return this.locationProvider !== null && this.locationProvider === this.simulatedProvider;
+  }
+
+  isManual() {
+    return this.locationProvider !== null && this.locationProvider === this.manualProvider;
+  }
+
+  // Apply ?sim= / ?simTrack= URL parameters; returns true when simulation was enabled
+  async applySimulationFromUrl(search) {
+    const simulation = getSimulationFromUrl(search);
+    if (!simulation) return false;
+
+    const provider = this.useSimulatedLocation();
+    if (simulation.mode === 'track') {
+      await provider.loadTrackFromUrl(simulation.trackUrl);
+      provider.setSpeed(simulation.speed);
+      provider.setLoop(simulation.loop);
+      provider.play();
+    } else {
+      provider.teleport(simulation.latitude, simulation.longitude, simulation.altitude);
+    }
+    return true;
+  }
+
+  handleFix(standardPosition) {
+    this.fallbackPosition = standardPosition;
+
+    if (standardPosition.isSimulated || standardPosition.isManual) {
+      // Corrections cannot apply to a fake or hand-placed position
+      const enhanced = this.enhancePosition(standardPosition, null);
+      this.feedSurveys(enhanced);
+      this.publishPosition(this.filterPosition(enhanced));
+      return;
+    }
+
+    if (this.ntripClient) {
+      this.ntripClient.updatePosition(standardPosition);
+      this.maybeReselectMountpoint(standardPosition);
+    } else if (this.config.username && this.config.password && this.config.bridgeUrl) {
+      // First fix: bring up the correction stream in the background
+      this.startRTKStream(standardPosition).catch(error => {
+        console.warn('⚠️ RTK stream start failed:', error.message);
+      });
+    }
+
+    const enhanced = this.enhancePosition(standardPosition, this.getCurrentCorrection());
+    this.feedSurveys(enhanced);
+    this.publishPosition(this.filterPosition(enhanced));
+  }
+
+  // Surveys average raw fixes; the smoothing filter would hide their real scatter
+  feedSurveys(position) {
+    this.surveys.forEach(survey => survey.add(position));
+  }
+
+  // Fetch the geoid grid in the background; orthometric heights appear once it is loaded
+  loadGeoid() {
+    geoid.load().catch(error => {
+      console.warn('⚠️ Geoid grid unavailable, altitudes stay in their source datum:', error.message);
+    });
+  }
+
+  // Attach the altitude in both datums alongside the source datum
+  withAltitudes(position) {
+    return {
+      ...position,
+      ellipsoidalAltitude: altitudeIn(position, ALTITUDE_DATUM.ELLIPSOID),
+      orthometricAltitude: altitudeIn(position, ALTITUDE_DATUM.EGM96),
+      geoidUndulation: geoid.undulation(position.latitude, position.longitude)
+    };
+  }
+
+  publishPosition(fix) {
+    const position = this.withAltitudes(fix);
+    this.lastPosition = position;
+    this.emit('position', position);
+
+    const { fixQuality } = position;
+    if (fixQuality !== this.lastFixQuality) {
+      const previous = this.lastFixQuality;
+      this.lastFixQuality = fixQuality;
+      this.emit('fixQuality', { fixQuality, previous, position });
+    }
+  }
+
+  // Start continuous RTK positioning; returns a function that stops it
+  startContinuousPositioning(callback) {
+    return this.subscribe('position', callback);
+  }
+
+  // Survey mode: collect fixes for `durationMs`, or until `samples` fixes are in
+  // (capped at SURVEY_MAX_DURATION_MS), then resolve to the averaged position from
+  // summarizeSurvey with outliers rejected. Fixes below `minQuality` are skipped.
+  // `onProgress` gets { collected, skipped, elapsedMs, durationMs, samples, estimate }
+  // after each fix; aborting `signal` rejects with a 'Survey cancelled' error.
+  survey({ durationMs = null, samples = null, minQuality = null, onProgress, signal } = {}) {
+    const limitMs = durationMs ?? (samples ? SURVEY_MAX_DURATION_MS : SURVEY_DEFAULT_DURATION_MS);
+
+    return new Promise((resolve, reject) => {
+      const fixes = [];
+      let skipped = 0;
+      let done = false;
+      let timer = null;
+      let unsubscribe = () => {};
+      const startedAt = Date.now();
+
+      const finish = (error = null) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        this.surveys.delete(survey);
+        unsubscribe();
+        signal?.removeEventListener('abort', cancel);
+
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        const result = summarizeSurvey(fixes);
+        if (!result) {
+          reject(new Error(skipped > 0 ? 'No fixes met the required fix quality' : 'No fixes received during the survey'));
+          return;
+        }
+        console.log(`📐 Survey: ${result.samples} fixes (${result.rejected} outliers), σh ${result.horizontalStdDev.toFixed(3)}m`);
+        resolve({ ...result, skipped, durationMs: Date.now() - startedAt, source: 'Survey' });
+      };
+
+      const cancel = () => finish(new Error('Survey cancelled'));
+
+      const survey = {
+        add: (position) => {
+          if (!meetsFixQuality(position, minQuality)) {
+            skipped++;
+          } else {
+            fixes.push(position);
+          }
+
+          onProgress?.({
+            collected: fixes.length,
+            skipped,
+            elapsedMs: Date.now() - startedAt,
+            durationMs: limitMs,
+            samples,
+            estimate: summarizeSurvey(fixes)
+          });
+
+          if (samples && fixes.length >= samples) finish();
+        }
+      };
+
+      if (signal?.aborted) {
+        reject(new Error('Survey cancelled'));
+        return;
+      }
+
+      console.log(`📐 Survey started (${samples ? `${samples} fixes, ` : ''}up to ${Math.round(limitMs / 1000)}s)`);
+      this.surveys.add(survey);
+      // Keeps the position watch running for the length of the survey
+      timer = setTimeout(() => finish(), limitMs);
+      signal?.addEventListener('abort', cancel);
+      unsubscribe = this.subscribe('position', () => {});
+      // A provider that answers synchronously may already have completed the survey
+      if (done) unsubscribe();
+    });
+  }
+
+  // Current baseline (km): from the decoded base station if known, else the sourcetable location
+  getCurrentBaselineKm(position) {
+    const { baseStation } = this.rtcmDecoder.getStats();
+    if (baseStation) {
+      const { baselineDistance } = describeFix(position, { baseStation });
+      if (baselineDistance !== null) return baselineDistance / 1000;
+    }
+    return distanceToMountpoint(this.ntripClient?.streamEntry(this.ntripClient.mountpoint), position);
+  }
+
+  // In AUTO mode, move to a nearer mountpoint once the baseline exceeds maxBaselineKm
+  maybeReselectMountpoint(position) {
+    const client = this.ntripClient;
+    if (!client || this.mountpointOverride || this.config.mountpoint !== 'AUTO') return;
+    if (!client.sourcetable || !client.mountpoint || !client.isStreaming()) return;
+    if (Date.now() - this.lastMountpointSwitch < MOUNTPOINT_RESELECT_INTERVAL_MS) return;
+
+    const baselineKm = this.getCurrentBaselineKm(position);
+    if (baselineKm === null || baselineKm <= this.config.maxBaselineKm) return;
+
+    const [nearest] = rankMountpoints(client.sourcetable, position);
+    if (!nearest || nearest.mountpoint === client.mountpoint || nearest.distanceKm === null) return;
+    if (nearest.distanceKm > baselineKm - MOUNTPOINT_RESELECT_MARGIN_KM) return;
+
+    console.log(`📡 Baseline ${baselineKm.toFixed(1)}km exceeds ${this.config.maxBaselineKm}km, switching to ${nearest.mountpoint}`);
+    this.lastMountpointSwitch = Date.now();
+    client.switchMountpoint('AUTO');
+  }
+
+  // Download the caster sourcetable (for settings UIs)
+  async refreshSourcetable() {
+    if (!this.ntripClient) {
+      this.ntripClient = this.createNTRIPClient();
+    }
+    return this.ntripClient.fetchSourcetable();
+  }
+
+  // Compatible mountpoints nearest first, with distance and selection flags
+  getMountpointCandidates(position = this.lastPosition) {
+    const client = this.ntripClient;
+    if (!client?.sourcetable) return [];
+
+    return rankMountpoints(client.sourcetable, position).map(candidate => ({
+      ...candidate,
+      isActive: candidate.mountpoint === client.mountpoint,
+      isOverride: candidate.mountpoint === this.mountpointOverride
+    }));
+  }
+
+  // Pin a mountpoint chosen by the user; null returns to the configured/AUTO choice
+  setMountpointOverride(mountpoint) {
+    this.mountpointOverride = mountpoint || null;
+    const target = this.mountpointOverride || this.config.mountpoint;
+
+    if (this.ntripClient) {
+      this.ntripClient.switchMountpoint(target);
+    }
   }
 
   // Get RTK status information
@@ -183,10 +787,16 @@ class RTKLocationService {
       isConnected: this.isConnected,
       lastPosition: this.lastRTKPosition,
       provider: 'Geodnet',
+      ntrip: this.ntripClient ? this.ntripClient.getStats() : null,
+      corrections: this.rtcmDecoder.getStats(),
+      lastMessages: { ...this.lastRTCMMessages },
       config: {
         host: this.config.host,
         port: this.config.port,
-        mountpoint: this.config.mountpoint
+        mountpoint: this.config.mountpoint,
+        mountpointOverride: this.mountpointOverride,
+        maxBaselineKm: this.config.maxBaselineKm,
+        ntripVersion: this.config.ntripVersion
       }
     };
   }
@@ -197,15 +807,17 @@ class RTKLocationService {
     
     const lat = position.latitude.toFixed(6);
     const lon = position.longitude.toFixed(6);
-    const alt = position.altitude ? position.altitude.toFixed(1) : '0.0';
+    const alt = position.altitude !== null && position.altitude !== undefined ? position.altitude.toFixed(1) : '—';
+    const datum = ALTITUDE_DATUM_LABELS[position.altitudeDatum] || '';
     const acc = position.accuracy ? position.accuracy.toFixed(2) : 'Unknown';
     
     return {
       coordinates: `${lat}, ${lon}`,
-      altitude: `${alt}m`,
+      altitude: `${alt}m ${datum}`.trim(),
       accuracy: `±${acc}m`,
       source: position.source || 'Unknown',
       isRTKEnhanced: position.isRTKEnhanced || false,
+      fixQuality: position.fixQualityLabel || 'Unknown',
       timestamp: new Date(position.timestamp).toLocaleTimeString()
     };
   }
@@ -0,0 +1,339 @@
+// Simulated Location Provider
+// Drop-in replacement for navigator.geolocation that plays back a GPX or GeoJSON
+// track (with pause, seek, loop and variable speed) or holds a static teleport position.
+
+import { ALTITUDE_DATUM } from './geoid';
+import { surfaceDistance, initialBearing } from './geodesy';
+
+// Parse GPX track, route or waypoint points (<ele> is height above mean sea level)
+export const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX: XML parse error');
+  }
+
+  let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+  if (nodes.length === 0) nodes = Array.from(doc.getElementsByTagName('rtept'));
+  if (nodes.length === 0) nodes = Array.from(doc.getElementsByTagName('wpt'));
+
+  return nodes.map(node => {
+    const elevation = node.getElementsByTagName('ele')[0]?.textContent;
+    return {
+      latitude: parseFloat(node.getAttribute('lat')),
+      longitude: parseFloat(node.getAttribute('lon')),
+      altitude: elevation !== undefined ? parseFloat(elevation) : null,
+      altitudeDatum: ALTITUDE_DATUM.EGM96
+    };
+  }).filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+};
+
+// Parse the first LineString / MultiLineString found in a GeoJSON document
+// (RFC 7946 altitudes are WGS84 ellipsoidal heights)
+export const parseGeoJSON = (input) => {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+
+  const findLine = (node) => {
+    if (!node) return null;
+    switch (node.type) {
+      case 'LineString':
+        return node.coordinates;
+      case 'MultiLineString':
+        return node.coordinates.flat();
+      case 'Feature':
+        return findLine(node.geometry);
+      case 'FeatureCollection':
+        for (const feature of node.features || []) {
+          const line = findLine(feature);
+          if (line) return line;
+        }
+        return null;
+      case 'GeometryCollection':
+        for (const geometry of node.geometries || []) {
+          const line = findLine(geometry);
+          if (line) return line;
+        }
+        return null;
+      default:
+        return null;
+    }
+  };
+
+  const coordinates = findLine(geojson);
+  if (!coordinates) {
+    throw new Error('GeoJSON contains no LineString');
+  }
+
+  return coordinates.map(([longitude, latitude, altitude]) => ({
+    latitude,
+    longitude,
+    altitude: altitude ?? null,
+    altitudeDatum: ALTITUDE_DATUM.ELLIPSOID
+  }));
+};
+
+// Detect the format from content and parse it
+export const parseTrack = (text) => {
+  const trimmed = text.trim();
+  return trimmed.startsWith('<') ? parseGPX(trimmed) : parseGeoJSON(trimmed);
+};
+
+class SimulatedLocationProvider {
+  constructor({ speed = 1.4, accuracy = 5, updateInterval = 1000, loop = true, source = 'Simulated' } = {}) {
+    this.source = source;
+    this.speed = speed; // meters per second
+    this.accuracy = accuracy;
+    this.updateInterval = updateInterval;
+    this.loop = loop;
+
+    this.mode = 'static';
+    this.staticPosition = null;
+    this.track = [];
+    this.cumulative = [];
+    this.totalDistance = 0;
+    this.progress = 0; // meters along the track
+    this.isPlaying = false;
+    this.lastTick = null;
+    this.timer = null;
+    this.watchers = new Map();
+    this.nextWatchId = 1;
+    this.stateListeners = new Set();
+  }
+
+  // Hold a fixed position; altitudes are taken as mean-sea-level heights unless told otherwise
+  teleport(latitude, longitude, altitude = null, altitudeDatum = ALTITUDE_DATUM.EGM96) {
+    this.pause();
+    this.mode = 'static';
+    this.staticPosition = { latitude, longitude, altitude, altitudeDatum, heading: null, speed: 0 };
+    console.log(`📍 Simulated location teleported to ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`);
+    this.broadcast();
+  }
+
+  // Load a route from GPX/GeoJSON text or an array of points
+  loadTrack(input) {
+    const points = Array.isArray(input) ? input : parseTrack(input);
+    if (points.length < 2) {
+      throw new Error('Track needs at least two points');
+    }
+
+    this.track = points;
+    this.cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      this.cumulative.push(this.cumulative[i - 1] + surfaceDistance(points[i - 1], points[i]));
+    }
+    this.totalDistance = this.cumulative[this.cumulative.length - 1];
+    this.progress = 0;
+    this.mode = 'track';
+
+    console.log(`🗺️ Loaded simulated track: ${points.length} points, ${this.totalDistance.toFixed(0)}m`);
+    this.broadcast();
+  }
+
+  // Fetch and load a track file from a URL
+  async loadTrackFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load track ${url}: ${response.status}`);
+    }
+    this.loadTrack(await response.text());
+  }
+
+  play() {
+    if (this.mode !== 'track' || this.isPlaying) return;
+    if (!this.loop && this.progress >= this.totalDistance) {
+      this.progress = 0;
+    }
+    this.isPlaying = true;
+    this.lastTick = Date.now();
+    this.timer = setInterval(() => this.tick(), this.updateInterval);
+    this.notifyState();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.notifyState();
+  }
+
+  // Jump to a fraction (0..1) of the track length
+  seek(fraction) {
+    if (this.mode !== 'track') return;
+    this.progress = Math.max(0, Math.min(1, fraction)) * this.totalDistance;
+    this.broadcast();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(0, speed);
+    this.notifyState();
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+    this.notifyState();
+  }
+
+  tick() {
+    const now = Date.now();
+    const elapsed = (now - this.lastTick) / 1000;
+    this.lastTick = now;
+
+    this.progress += this.speed * elapsed;
+    if (this.progress >= this.totalDistance) {
+      if (this.loop && this.totalDistance > 0) {
+        this.progress %= this.totalDistance;
+      } else {
+        this.progress = this.totalDistance;
+        this.pause();
+      }
+    }
+
+    this.broadcast();
+  }
+
+  // Interpolated point at the current playback progress
+  getTrackPoint() {
+    let index = this.cumulative.findIndex(distance => distance > this.progress);
+    if (index === -1) index = this.track.length - 1;
+    index = Math.max(1, index);
+
+    const from = this.track[index - 1];
+    const to = this.track[index];
+    const segmentLength = this.cumulative[index] - this.cumulative[index - 1];
+    const t = segmentLength > 0 ? (this.progress - this.cumulative[index - 1]) / segmentLength : 0;
+    const altitude = from.altitude !== null && to.altitude !== null
+      ? from.altitude + (to.altitude - from.altitude) * t
+      : from.altitude;
+
+    return {
+      latitude: from.latitude + (to.latitude - from.latitude) * t,
+      longitude: from.longitude + (to.longitude - from.longitude) * t,
+      altitude,
+      altitudeDatum: from.altitudeDatum || ALTITUDE_DATUM.ELLIPSOID,
+      heading: initialBearing(from, to),
+      speed: this.isPlaying ? this.speed : 0
+    };
+  }
+
+  getCurrentPoint() {
+    if (this.mode === 'track' && this.track.length > 1) {
+      return this.getTrackPoint();
+    }
+    return this.staticPosition;
+  }
+
+  // Build a GeolocationPosition-shaped object
+  buildPosition() {
+    const point = this.getCurrentPoint();
+    if (!point) return null;
+
+    return {
+      coords: {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: point.altitude,
+        accuracy: this.accuracy,
+        altitudeAccuracy: point.altitude !== null ? this.accuracy : null,
+        heading: point.heading,
+        speed: point.speed
+      },
+      timestamp: Date.now(),
+      source: this.source,
+      altitudeDatum: point.altitudeDatum
+    };
+  }
+
+  broadcast() {
+    const position = this.buildPosition();
+    if (position) {
+      this.watchers.forEach(({ success }) => success(position));
+    }
+    this.notifyState();
+  }
+
+  // Geolocation API: one-shot position
+  getCurrentPosition(success, error) {
+    const position = this.buildPosition();
+    setTimeout(() => {
+      if (position) {
+        success(position);
+      } else if (error) {
+        error({ code: 2, message: 'Simulated location has no position (teleport or load a track)' });
+      }
+    }, 0);
+  }
+
+  // Geolocation API: continuous updates
+  watchPosition(success, error) {
+    const id = this.nextWatchId++;
+    this.watchers.set(id, { success, error });
+    this.getCurrentPosition(success, error);
+    return id;
+  }
+
+  clearWatch(id) {
+    this.watchers.delete(id);
+  }
+
+  // Playback state for settings UI
+  getState() {
+    return {
+      mode: this.mode,
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      loop: this.loop,
+      progress: this.totalDistance > 0 ? this.progress / this.totalDistance : 0,
+      totalDistance: this.totalDistance,
+      pointCount: this.track.length,
+      position: this.getCurrentPoint()
+    };
+  }
+
+  onStateChange(handler) {
+    this.stateListeners.add(handler);
+    return () => this.stateListeners.delete(handler);
+  }
+
+  notifyState() {
+    const state = this.getState();
+    this.stateListeners.forEach(handler => handler(state));
+  }
+
+  destroy() {
+    this.pause();
+    this.watchers.clear();
+    this.stateListeners.clear();
+  }
+}
+
+// Read simulation settings from the page URL:
+//   ?sim=37.7749,-122.4194[,52]            static position (altitude above mean sea level)
+//   ?simTrack=/tracks/walk.gpx&simSpeed=2  route playback (simLoop=0 to stop at the end)
+export const getSimulationFromUrl = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+
+  if (params.has('simTrack')) {
+    return {
+      mode: 'track',
+      trackUrl: params.get('simTrack'),
+      speed: parseFloat(params.get('simSpeed')) || 1.4,
+      loop: params.get('simLoop') !== '0'
+    };
+  }
+
+  if (params.has('sim')) {
+    const [latitude, longitude, altitude] = params.get('sim').split(',').map(parseFloat);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      return {
+        mode: 'static',
+        latitude,
+        longitude,
+        altitude: Number.isFinite(altitude) ? altitude : null
+      };
+    }
+  }
+
+  return null;
+};
+
+export default SimulatedLocationProvider;
@@ -0,0 +1,94 @@
+// Sign-In With Ethereum (EIP-4361)
+// Builds and parses the plain-text message a wallet signs to prove it controls an
+// address. Shared by the browser (walletAuth) and the local auth endpoint (server/auth),
+// so it has no imports and no browser APIs.
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// EIP-4361 nonces are at least 8 alphanumeric characters
+const NONCE_PATTERN = /^[A-Za-z0-9]{8,}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+export const createSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId = 1,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime
+}) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    address,
+    '',
+    ...(statement ? [statement, ''] : []),
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+};
+
+// Fields of a message, or null when it is not an EIP-4361 message
+export const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || !ADDRESS_PATTERN.test(lines[1] || '') || lines[2] !== '') {
+    return null;
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null
+  };
+
+  let index = 3;
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    // Like the header, the statement is followed by a blank line
+    if (lines[index + 1] !== '') return null;
+    fields.statement = lines[index];
+    index += 2;
+  }
+
+  for (const line of lines.slice(index)) {
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator === -1 || !key) return null;
+    fields[key] = line.slice(separator + 2);
+  }
+
+  if (!fields.uri || fields.version !== '1' || !fields.nonce || !fields.issuedAt) return null;
+  fields.chainId = Number(fields.chainId);
+  return Number.isInteger(fields.chainId) ? fields : null;
+};
+
+// Reason the parsed message must be rejected, or null when it is acceptable
+export const siweMessageProblem = (fields, { domains, now = Date.now() }) => {
+  if (!fields) return 'Not a Sign-In With Ethereum message';
+  if (!domains.includes(fields.domain)) return `Message was created for ${fields.domain}`;
+  if (!NONCE_PATTERN.test(fields.nonce)) return 'Invalid nonce';
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt > now + 60 * 1000) return 'Invalid issue time';
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) return 'Message has expired';
+  if (fields.notBefore && !(Date.parse(fields.notBefore) <= now)) return 'Message is not valid yet';
+  return null;
+};
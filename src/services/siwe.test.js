@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createSiweMessage, parseSiweMessage, siweMessageProblem } from './siwe';
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const message = (overrides = {}) => createSiweMessage({
+  domain: 'app.example',
+  address: ADDRESS,
+  statement: 'Sign in to NeAR Viewer',
+  uri: 'https://app.example',
+  chainId: 314,
+  nonce: 'a1b2c3d4e5f6a7b8',
+  issuedAt: new Date(NOW).toISOString(),
+  ...overrides
+});
+
+describe('parseSiweMessage', () => {
+  it('reads back a created message', () => {
+    expect(parseSiweMessage(message({ expirationTime: new Date(NOW + 60000).toISOString() }))).toEqual({
+      domain: 'app.example',
+      address: ADDRESS,
+      statement: 'Sign in to NeAR Viewer',
+      uri: 'https://app.example',
+      version: '1',
+      chainId: 314,
+      nonce: 'a1b2c3d4e5f6a7b8',
+      issuedAt: new Date(NOW).toISOString(),
+      expirationTime: new Date(NOW + 60000).toISOString()
+    });
+  });
+
+  it('accepts a message without a statement', () => {
+    expect(parseSiweMessage(message({ statement: undefined }))).toMatchObject({ statement: null, uri: 'https://app.example' });
+  });
+
+  it('requires a blank line after the header and after the statement', () => {
+    const text = message();
+
+    expect(parseSiweMessage(text.replace(`${ADDRESS}\n\n`, `${ADDRESS}\n`))).toBeNull();
+    expect(parseSiweMessage(text.replace('NeAR Viewer\n\n', 'NeAR Viewer\n'))).toBeNull();
+    expect(parseSiweMessage(text.replace('NeAR Viewer\n\n', 'NeAR Viewer\nRequest ID: 1\n'))).toBeNull();
+  });
+
+  it('rejects unknown fields, missing fields and bad values', () => {
+    expect(parseSiweMessage(`${message()}\nResources: https://evil.example`)).toBeNull();
+    expect(parseSiweMessage(message().replace(/\nNonce: .*/, ''))).toBeNull();
+    expect(parseSiweMessage(message().replace('Version: 1', 'Version: 2'))).toBeNull();
+    expect(parseSiweMessage(message({ chainId: 'mainnet' }))).toBeNull();
+    expect(parseSiweMessage(message({ address: '0x1234' }))).toBeNull();
+    expect(parseSiweMessage(null)).toBeNull();
+  });
+});
+
+describe('siweMessageProblem', () => {
+  const problem = (text, now = NOW) => siweMessageProblem(parseSiweMessage(text), { domains: ['app.example'], now });
+
+  it('accepts a current message for an allowed domain', () => {
+    expect(problem(message())).toBeNull();
+  });
+
+  it('rejects other domains, bad nonces and times outside the validity window', () => {
+    expect(problem(message({ domain: 'evil.example' }))).toBe('Message was created for evil.example');
+    expect(problem(message({ nonce: 'short' }))).toBe('Invalid nonce');
+    expect(problem(message({ issuedAt: new Date(NOW + 120000).toISOString() }))).toBe('Invalid issue time');
+    expect(problem(message({ expirationTime: new Date(NOW).toISOString() }))).toBe('Message has expired');
+    expect(problem(`${message()}\nNot Before: ${new Date(NOW + 1000).toISOString()}`)).toBe('Message is not valid yet');
+    expect(problem('not a message')).toBe('Not a Sign-In With Ethereum message');
+  });
+});
@@ -0,0 +1,119 @@
+// Survey Averaging
+// Averages a set of fixes taken at one spot into a single position for anchoring
+// permanent objects. Fixes are compared in a local east/north/up plane; outliers
+// are rejected against the median before the mean and standard deviations are taken.
+
+import { metersPerDegree } from './geodesy';
+import { ALTITUDE_DATUM, altitudeIn } from './geoid';
+import { FIX_QUALITY, FIX_QUALITY_RANK } from './fixQuality';
+
+// Fixes further from the median position than this multiple of the median
+// distance are outliers (about 0.2% of fixes with Gaussian scatter)
+const OUTLIER_MEDIAN_MULTIPLE = 3;
+// Vertical outliers: this many robust standard deviations (1.4826 × MAD) from the median height
+const OUTLIER_VERTICAL_SIGMA = 3;
+// Floor for both thresholds, so identical fixes (simulated, manual) do not reject tiny noise
+const MIN_OUTLIER_DISTANCE = 0.02;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample standard deviation (0 for a single value)
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Heights to average: ellipsoidal when every fix converts, else the fixes' own
+// datum when they all share one, else none
+const surveyHeights = (fixes) => {
+  const ellipsoidal = fixes.map(fix => altitudeIn(fix, ALTITUDE_DATUM.ELLIPSOID));
+  if (ellipsoidal.every(height => height !== null && Number.isFinite(height))) {
+    return { heights: ellipsoidal, datum: ALTITUDE_DATUM.ELLIPSOID };
+  }
+
+  const datum = fixes[0].altitudeDatum;
+  const raw = fixes.map(fix => fix.altitude);
+  if (datum && fixes.every(fix => fix.altitudeDatum === datum) && raw.every(Number.isFinite)) {
+    return { heights: raw, datum };
+  }
+  return { heights: null, datum: null };
+};
+
+// Lowest fix quality among `fixes`
+export const minimumFixQuality = (fixes) =>
+  fixes.reduce((lowest, fix) => {
+    const quality = fix.fixQuality || FIX_QUALITY.NO_FIX;
+    return FIX_QUALITY_RANK[quality] < FIX_QUALITY_RANK[lowest] ? quality : lowest;
+  }, FIX_QUALITY.RTK_FIXED);
+
+// Averaged position of `fixes`, or null when there are none. `accuracy` is the
+// horizontal standard deviation (DRMS) of the fixes that were kept, but never better
+// than the best accuracy a single fix reported: identical fixes (manual, simulated,
+// a stuck receiver) have no scatter without being exact.
+export const summarizeSurvey = (fixes) => {
+  if (fixes.length === 0) return null;
+
+  const origin = fixes[0];
+  const perDegree = metersPerDegree(origin.latitude);
+  const { heights, datum } = surveyHeights(fixes);
+
+  const points = fixes.map((fix, index) => ({
+    fix,
+    east: (fix.longitude - origin.longitude) * perDegree.longitude,
+    north: (fix.latitude - origin.latitude) * perDegree.latitude,
+    up: heights ? heights[index] : null
+  }));
+
+  // Horizontal outliers against the median position
+  const medianEast = median(points.map(point => point.east));
+  const medianNorth = median(points.map(point => point.north));
+  const distances = points.map(point => Math.hypot(point.east - medianEast, point.north - medianNorth));
+  const horizontalLimit = Math.max(OUTLIER_MEDIAN_MULTIPLE * median(distances), MIN_OUTLIER_DISTANCE);
+
+  // Vertical outliers against the median height
+  let verticalLimit = Infinity;
+  let medianUp = null;
+  if (heights) {
+    medianUp = median(heights);
+    const mad = median(heights.map(height => Math.abs(height - medianUp)));
+    verticalLimit = Math.max(OUTLIER_VERTICAL_SIGMA * 1.4826 * mad, MIN_OUTLIER_DISTANCE);
+  }
+
+  const kept = points.filter((point, index) =>
+    distances[index] <= horizontalLimit && (medianUp === null || Math.abs(point.up - medianUp) <= verticalLimit)
+  );
+
+  const east = kept.map(point => point.east);
+  const north = kept.map(point => point.north);
+  const stdDevEast = standardDeviation(east);
+  const stdDevNorth = standardDeviation(north);
+  const horizontalStdDev = Math.hypot(stdDevEast, stdDevNorth);
+  const up = heights ? kept.map(point => point.up) : null;
+  const reportedAccuracies = kept.map(point => point.fix.accuracy).filter(Number.isFinite);
+  const bestReported = reportedAccuracies.length ? Math.min(...reportedAccuracies) : 0;
+
+  return {
+    latitude: origin.latitude + mean(north) / perDegree.latitude,
+    longitude: origin.longitude + mean(east) / perDegree.longitude,
+    altitude: up ? mean(up) : null,
+    altitudeDatum: up ? datum : null,
+    accuracy: Math.max(horizontalStdDev, bestReported),
+    horizontalStdDev,
+    verticalStdDev: up ? standardDeviation(up) : null,
+    stdDevEast,
+    stdDevNorth,
+    fixQuality: minimumFixQuality(kept.map(point => point.fix)),
+    samples: kept.length,
+    rejected: fixes.length - kept.length,
+    startedAt: fixes[0].timestamp ?? null,
+    endedAt: fixes[fixes.length - 1].timestamp ?? null
+  };
+};
@@ -0,0 +1,135 @@
+// Wallet Auth Service
+// Signs the connected wallet in with Sign-In With Ethereum: the auth endpoint
+// (server/auth, /api/auth by default) checks the signature and returns a Supabase JWT
+// whose wallet_address claim row-level security compares with user_id. The Supabase
+// client sends that token instead of the anon key while a session is active.
+
+import { createSiweMessage } from './siwe';
+
+const AUTH_URL = (import.meta.env.VITE_AUTH_URL || '/api/auth').replace(/\/$/, '');
+const STORAGE_KEY = 'near-wallet-session';
+// Time the wallet has to sign before the message is refused
+const MESSAGE_TTL_MS = 10 * 60 * 1000;
+
+const loadSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return session?.token && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const requestJson = async (path, init) => {
+  const response = await fetch(`${AUTH_URL}${path}`, init);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Auth endpoint returned ${response.status}`);
+  }
+  return body;
+};
+
+class WalletAuthService {
+  constructor() {
+    this.session = null;
+    this.expiryTimer = null;
+    this.listeners = [];
+    this.setSession(loadSession());
+  }
+
+  // Active session ({ token, address, expiresAt }), optionally only for `address`
+  getSession(address = null) {
+    if (!this.session || this.session.expiresAt <= Date.now()) return null;
+    if (address && this.session.address !== address.toLowerCase()) return null;
+    return { ...this.session };
+  }
+
+  // Bearer token for Supabase requests, or null for the anon key
+  getAccessToken() {
+    return this.getSession()?.token ?? null;
+  }
+
+  // `signMessage(message)` asks the wallet for a personal_sign signature
+  async signIn({ address, chainId, signMessage }) {
+    const { nonce } = await requestJson('/nonce');
+    const message = createSiweMessage({
+      domain: window.location.host,
+      address,
+      statement: 'Sign in to NeAR Viewer to manage the agents this wallet owns.',
+      uri: window.location.origin,
+      chainId: chainId || 1,
+      nonce,
+      expirationTime: new Date(Date.now() + MESSAGE_TTL_MS).toISOString()
+    });
+
+    const signature = await signMessage(message);
+    const result = await requestJson('/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, signature })
+    });
+
+    this.setSession({
+      token: result.access_token,
+      address: result.address,
+      expiresAt: result.expires_at * 1000
+    });
+    console.log(`🔐 Signed in as ${result.address}`);
+    return this.getSession();
+  }
+
+  signOut() {
+    if (!this.session) return;
+    console.log('🔓 Signed out');
+    this.setSession(null);
+  }
+
+  setSession(session) {
+    this.session = session;
+    clearTimeout(this.expiryTimer);
+
+    try {
+      if (session) {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+      } else {
+        sessionStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not persist wallet session:', error.message);
+    }
+
+    if (session) {
+      this.expiryTimer = setTimeout(() => this.signOut(), session.expiresAt - Date.now());
+    }
+    this.emit('change', this.getSession());
+  }
+
+  subscribe(event, handler) {
+    this.listeners.push({ event, handler });
+    return () => this.unsubscribe(event, handler);
+  }
+
+  unsubscribe(event, handler) {
+    this.listeners = this.listeners.filter(listener =>
+      !(listener.event === event && listener.handler === handler)
+    );
+  }
+
+  emit(event, payload) {
+    this.listeners
+      .filter(listener => listener.event === event)
+      .forEach(({ handler }) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`❌ Wallet auth ${event} listener error:`, error);
+        }
+      });
+  }
+}
+
+// Create singleton instance
+const walletAuthService = new WalletAuthService();
+
+export default walletAuthService;
+export { WalletAuthService };
@@ -0,0 +1,43 @@
+-- deployed_objects: agents and objects placed in the world.
+-- Matches the columns the app reads; a no-op on projects where the table already exists.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.deployed_objects (
+  id uuid primary key default gen_random_uuid(),
+  user_id text,
+  object_type text default 'agent',
+  agent_type text,
+  name text not null,
+  description text,
+
+  latitude double precision not null check (latitude between -90 and 90),
+  longitude double precision not null check (longitude between -180 and 180),
+  altitude double precision,
+  -- 'egm96' (mean sea level) or 'wgs84' (ellipsoid)
+  altitude_datum text default 'egm96',
+
+  -- RTK-corrected placement, when the deployer had a fix
+  preciselatitude double precision,
+  preciselongitude double precision,
+  precisealtitude double precision,
+  accuracy double precision,
+  correctionapplied boolean default false,
+
+  model_url text,
+  model_type text default 'gltf',
+  scale_x double precision default 1,
+  scale_y double precision default 1,
+  scale_z double precision default 1,
+  rotation_x double precision default 0,
+  rotation_y double precision default 0,
+  rotation_z double precision default 0,
+
+  is_active boolean not null default true,
+  visibility_radius double precision default 50,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists deployed_objects_is_active_idx on public.deployed_objects (is_active);
@@ -0,0 +1,45 @@
+-- Spatial lookup for deployed_objects.
+-- Adds a generated geography column with a GiST index and the nearby_objects RPC,
+-- which returns active objects within `radius` meters, nearest first, paginated.
+
+create extension if not exists postgis;
+
+-- An object sits at its RTK-surveyed position (preciselatitude/preciselongitude) when
+-- it has one, as in the viewer, the bounding-box fallback and the local data sources.
+alter table public.deployed_objects
+  add column if not exists location geography(Point, 4326)
+  generated always as (st_setsrid(st_makepoint(
+    coalesce(preciselongitude, longitude),
+    coalesce(preciselatitude, latitude)
+  ), 4326)::geography) stored;
+
+create index if not exists deployed_objects_location_idx
+  on public.deployed_objects using gist (location);
+
+-- Rows come back as JSON so columns added to deployed_objects later are passed
+-- through without changing the function signature. Each row gets distance_meters.
+create or replace function public.nearby_objects(
+  lat double precision,
+  lon double precision,
+  radius double precision default 100,
+  result_limit integer default 50,
+  result_offset integer default 0
+)
+returns setof jsonb
+language sql
+stable
+as $$
+  with origin as (
+    select st_setsrid(st_makepoint(lon, lat), 4326)::geography as point
+  )
+  select (to_jsonb(o) - 'location') || jsonb_build_object('distance_meters', st_distance(o.location, origin.point))
+  from public.deployed_objects o, origin
+  where o.is_active
+    and st_dwithin(o.location, origin.point, radius)
+  order by st_distance(o.location, origin.point), o.id
+  limit least(greatest(result_limit, 0), 500)
+  offset greatest(result_offset, 0);
+$$;
+
+grant execute on function public.nearby_objects(double precision, double precision, double precision, integer, integer)
+  to anon, authenticated;
@@ -0,0 +1,14 @@
+-- Broadcast deployed_objects changes over Supabase Realtime so viewers see
+-- agents appear, move and disappear without reloading.
+
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'deployed_objects'
+     ) then
+    alter publication supabase_realtime add table public.deployed_objects;
+  end if;
+end
+$$;
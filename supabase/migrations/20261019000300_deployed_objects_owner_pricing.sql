@@ -0,0 +1,7 @@
+-- Owner dashboard: per-agent pricing and lookups by owner wallet.
+
+alter table public.deployed_objects
+  add column if not exists interaction_fee numeric check (interaction_fee >= 0),
+  add column if not exists fee_token text default 'USDFC';
+
+create index if not exists deployed_objects_user_id_idx on public.deployed_objects (user_id);
@@ -0,0 +1,43 @@
+-- Wallet sign-in: owner-only writes on deployed_objects.
+-- The local auth endpoint (server/auth) verifies a Sign-In With Ethereum signature and
+-- issues a JWT with role 'authenticated' and the lowercase address as wallet_address.
+-- Anyone can still read objects (deep links show inactive agents too); only the
+-- wallet in user_id can insert, update or delete them.
+
+-- Wallet of the signed-in request, or null for anonymous requests.
+-- Tables added later (payments, interactions) can use it in their own policies.
+create or replace function public.request_wallet_address()
+returns text
+language sql
+stable
+as $$
+  select nullif(lower(coalesce(auth.jwt() ->> 'wallet_address', '')), '')
+$$;
+
+alter table public.deployed_objects enable row level security;
+
+drop policy if exists "deployed_objects are readable by everyone" on public.deployed_objects;
+create policy "deployed_objects are readable by everyone"
+  on public.deployed_objects for select
+  to anon, authenticated
+  using (true);
+
+drop policy if exists "owners insert their deployed_objects" on public.deployed_objects;
+create policy "owners insert their deployed_objects"
+  on public.deployed_objects for insert
+  to authenticated
+  with check (lower(user_id) = public.request_wallet_address());
+
+-- The check also stops an owner from handing an object to another wallet
+drop policy if exists "owners update their deployed_objects" on public.deployed_objects;
+create policy "owners update their deployed_objects"
+  on public.deployed_objects for update
+  to authenticated
+  using (lower(user_id) = public.request_wallet_address())
+  with check (lower(user_id) = public.request_wallet_address());
+
+drop policy if exists "owners delete their deployed_objects" on public.deployed_objects;
+create policy "owners delete their deployed_objects"
+  on public.deployed_objects for delete
+  to authenticated
+  using (lower(user_id) = public.request_wallet_address());
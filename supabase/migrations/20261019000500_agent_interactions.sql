@@ -0,0 +1,57 @@
+-- agent_interactions: event log of what people do with agents, written in batches by
+-- the viewer (src/services/interactionEvents.js).
+-- Events are reported by the client, so anyone may insert them, but only a wallet signed
+-- in as wallet_address may attribute an event to it. A wallet can read its own events
+-- and an owner can read the events of its agents (see request_wallet_address).
+
+create table if not exists public.agent_interactions (
+  -- Generated on the device so retried batches are not stored twice
+  id uuid primary key,
+  event_type text not null check (event_type in (
+    'view', 'open', 'message_sent', 'payment_started', 'payment_confirmed', 'call_started'
+  )),
+  -- Text rather than a foreign key: events queued offline may reference agents deleted since
+  agent_id text not null,
+  -- Lowercase wallet of the event, only accepted from a request signed in as it
+  wallet_address text,
+
+  -- Centre of a coarse geohash cell, never the precise fix
+  latitude double precision check (latitude between -90 and 90),
+  longitude double precision check (longitude between -180 and 180),
+  geohash text,
+  -- Meters the true position may be from latitude/longitude
+  location_uncertainty double precision,
+
+  occurred_at timestamptz not null,
+  received_at timestamptz not null default now(),
+  metadata jsonb not null default '{}'::jsonb
+);
+
+create index if not exists agent_interactions_agent_idx
+  on public.agent_interactions (agent_id, occurred_at desc);
+create index if not exists agent_interactions_wallet_idx
+  on public.agent_interactions (wallet_address, occurred_at desc);
+
+alter table public.agent_interactions enable row level security;
+
+drop policy if exists "anyone records agent_interactions" on public.agent_interactions;
+create policy "anyone records agent_interactions"
+  on public.agent_interactions for insert
+  to anon, authenticated
+  with check (wallet_address is null or lower(wallet_address) = public.request_wallet_address());
+
+drop policy if exists "wallets read their agent_interactions" on public.agent_interactions;
+create policy "wallets read their agent_interactions"
+  on public.agent_interactions for select
+  to authenticated
+  using (wallet_address = public.request_wallet_address());
+
+drop policy if exists "owners read interactions with their agents" on public.agent_interactions;
+create policy "owners read interactions with their agents"
+  on public.agent_interactions for select
+  to authenticated
+  using (exists (
+    select 1 from public.deployed_objects o
+    where o.id::text = agent_interactions.agent_id
+      and lower(o.user_id) = public.request_wallet_address()
+  ));
@@ -0,0 +1,7 @@
+-- Owner queries (My Agents) match user_id exactly, while row-level security compares
+-- lower(user_id). The viewer now writes and queries lowercase addresses; bring rows
+-- stored with checksummed addresses in line so their owners can still list them.
+
+update public.deployed_objects
+  set user_id = lower(user_id)
+  where user_id <> lower(user_id);
@@ -1,18 +1,33 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import path from 'path'
+import { walletAuthPlugin } from './server/auth/vitePlugin.js'
+import { authDomainsFromEnv } from './server/auth/handler.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(),tailwindcss()],
-  resolve: {
-    alias: {
-      "@": path.resolve(__dirname, "./src"),
+export default defineConfig(({ mode }) => {
+  // Server-only settings (no VITE_ prefix, never bundled)
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [
+      react(),
+      tailwindcss(),
+      walletAuthPlugin({
+        jwtSecret: env.SUPABASE_JWT_SECRET,
+        domains: authDomainsFromEnv(env),
+        tokenTtlSeconds: parseInt(env.AUTH_TOKEN_TTL, 10) || undefined
+      })
+    ],
+    resolve: {
+      alias: {
+        "@": path.resolve(__dirname, "./src"),
+      },
     },
-  },
-  server: {
-    host: true,
-    allowedHosts: 'all'
+    server: {
+      host: true,
+      allowedHosts: 'all'
+    }
   }
 })